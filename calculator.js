@@ -0,0 +1,138 @@
+/**
+ * @file Mortgage and rent-vs-buy maths for the flat detail modal. All
+ * amounts are in one currency (the listing currency); rates are annual
+ * percentages. Loaded as a classic script in the browser (window.HomeFinance)
+ * and with require() in the tests.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.HomeFinance = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Month-by-month balances below this are treated as paid off (floating-point noise).
+    const EPSILON = 1e-6;
+
+    function monthlyRate(annualRatePercent) {
+        return annualRatePercent / 100 / 12;
+    }
+
+    /**
+     * Fixed monthly payment that repays `principal` over `years`.
+     * @param {number} principal
+     * @param {number} annualRatePercent e.g. 6.5
+     * @param {number} years
+     * @returns {number}
+     */
+    function monthlyPayment(principal, annualRatePercent, years) {
+        const months = Math.round(years * 12);
+        if (principal <= 0 || months <= 0) return 0;
+        const rate = monthlyRate(annualRatePercent);
+        if (rate === 0) return principal / months;
+        return (principal * rate) / (1 - Math.pow(1 + rate, -months));
+    }
+
+    /**
+     * Full amortization schedule, one row per month:
+     * `{ month, payment, interest, principal, balance }`. The last payment
+     * is trimmed so the balance ends at exactly zero.
+     */
+    function amortizationSchedule(principal, annualRatePercent, years) {
+        const months = Math.round(years * 12);
+        const rate = monthlyRate(annualRatePercent);
+        const payment = monthlyPayment(principal, annualRatePercent, years);
+        const schedule = [];
+        let balance = principal;
+        for (let month = 1; month <= months && balance > EPSILON; month++) {
+            const interest = balance * rate;
+            const principalPaid = Math.min(payment - interest, balance);
+            balance = month === months ? 0 : Math.max(balance - principalPaid, 0);
+            schedule.push({ month, payment: interest + principalPaid, interest, principal: principalPaid, balance });
+        }
+        return schedule;
+    }
+
+    // Totals per loan year: `{ year, interest, principal, balance }` (balance at the end of the year).
+    function summarizeByYear(schedule) {
+        const years = [];
+        schedule.forEach(row => {
+            const index = Math.floor((row.month - 1) / 12);
+            years[index] = years[index] || { year: index + 1, interest: 0, principal: 0, balance: 0 };
+            years[index].interest += row.interest;
+            years[index].principal += row.principal;
+            years[index].balance = row.balance;
+        });
+        return years;
+    }
+
+    /**
+     * Monthly payment and totals for buying at `price` with a down payment
+     * given as a percentage of the price.
+     */
+    function mortgageSummary({ price, downPaymentPercent, annualRatePercent, years }) {
+        const downPayment = price * Math.min(Math.max(downPaymentPercent, 0), 100) / 100;
+        const loanAmount = price - downPayment;
+        const schedule = amortizationSchedule(loanAmount, annualRatePercent, years);
+        const totalPaid = schedule.reduce((sum, row) => sum + row.payment, 0);
+        return {
+            downPayment,
+            loanAmount,
+            monthlyPayment: monthlyPayment(loanAmount, annualRatePercent, years),
+            totalInterest: totalPaid - loanAmount,
+            totalPaid,
+            schedule
+        };
+    }
+
+    /**
+     * Compares renting at `monthlyRent` with buying a comparable home, priced
+     * at `priceToRentRatio` years of rent, over `horizonYears`. The cost of
+     * buying is what was paid (down payment, closing costs, mortgage payments
+     * and yearly ownership costs) minus what selling at that point would
+     * leave after paying off the loan. Rent and home value grow yearly by the
+     * given rates; closing, ownership and selling costs are percentages of
+     * the price or value at the time.
+     * @returns {{ homePrice: number, years: object[], breakEvenYear: number|null }}
+     */
+    function rentVsBuy({
+        monthlyRent,
+        priceToRentRatio,
+        downPaymentPercent,
+        annualRatePercent,
+        years,
+        horizonYears,
+        rentIncreasePercent = 0,
+        appreciationPercent = 0,
+        ownershipCostPercent = 0,
+        closingCostPercent = 0,
+        sellingCostPercent = 0
+    }) {
+        const homePrice = monthlyRent * 12 * priceToRentRatio;
+        const mortgage = mortgageSummary({ price: homePrice, downPaymentPercent, annualRatePercent, years });
+        const rows = [];
+        let cumulativeRent = 0;
+        let paid = mortgage.downPayment + homePrice * closingCostPercent / 100;
+        let breakEvenYear = null;
+        for (let year = 1; year <= horizonYears; year++) {
+            cumulativeRent += monthlyRent * 12 * Math.pow(1 + rentIncreasePercent / 100, year - 1);
+            const homeValueAtStart = homePrice * Math.pow(1 + appreciationPercent / 100, year - 1);
+            paid += homeValueAtStart * ownershipCostPercent / 100;
+            paid += mortgage.schedule
+                .filter(row => row.month > (year - 1) * 12 && row.month <= year * 12)
+                .reduce((sum, row) => sum + row.payment, 0);
+            const homeValue = homePrice * Math.pow(1 + appreciationPercent / 100, year);
+            const balanceRow = mortgage.schedule[Math.min(year * 12, mortgage.schedule.length) - 1];
+            const balance = balanceRow && year * 12 < mortgage.schedule.length ? balanceRow.balance : 0;
+            const equity = homeValue * (1 - sellingCostPercent / 100) - balance;
+            const buyCost = paid - equity;
+            if (breakEvenYear === null && buyCost <= cumulativeRent) breakEvenYear = year;
+            rows.push({ year, rentCost: cumulativeRent, buyCost, equity });
+        }
+        return { homePrice, monthlyPayment: mortgage.monthlyPayment, years: rows, breakEvenYear };
+    }
+
+    return { amortizationSchedule, monthlyPayment, mortgageSummary, rentVsBuy, summarizeByYear };
+});
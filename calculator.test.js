@@ -0,0 +1,109 @@
+const { amortizationSchedule, monthlyPayment, mortgageSummary, rentVsBuy, summarizeByYear } = require('./calculator');
+
+describe('monthlyPayment', () => {
+  it('matches the standard annuity formula', () => {
+    expect(monthlyPayment(200000, 6.5, 30)).toBeCloseTo(1264.14, 2);
+    expect(monthlyPayment(350000, 4, 15)).toBeCloseTo(2588.91, 2);
+  });
+
+  it('splits the principal evenly at a zero rate', () => {
+    expect(monthlyPayment(120000, 0, 10)).toBeCloseTo(1000, 10);
+  });
+
+  it('is zero when there is nothing to borrow', () => {
+    expect(monthlyPayment(0, 6.5, 30)).toBe(0);
+    expect(monthlyPayment(100000, 6.5, 0)).toBe(0);
+  });
+});
+
+describe('amortizationSchedule', () => {
+  it('pays the loan off exactly over the term', () => {
+    const schedule = amortizationSchedule(200000, 6.5, 30);
+    expect(schedule).toHaveLength(360);
+    expect(schedule[0].interest).toBeCloseTo(1083.33, 2);
+    expect(schedule[0].principal).toBeCloseTo(180.80, 2);
+    expect(schedule[359].balance).toBe(0);
+    const principalPaid = schedule.reduce((sum, row) => sum + row.principal, 0);
+    expect(principalPaid).toBeCloseTo(200000, 6);
+    schedule.forEach(row => expect(row.payment).toBeCloseTo(1264.14, 2));
+  });
+
+  it('sums each loan year', () => {
+    const schedule = amortizationSchedule(120000, 0, 10);
+    const years = summarizeByYear(schedule);
+    expect(years).toHaveLength(10);
+    expect(years[0]).toMatchObject({ year: 1, interest: 0, balance: 108000 });
+    expect(years[0].principal).toBeCloseTo(12000, 6);
+    expect(years[9].balance).toBe(0);
+  });
+});
+
+describe('mortgageSummary', () => {
+  it('borrows the price less the down payment', () => {
+    const summary = mortgageSummary({ price: 250000, downPaymentPercent: 20, annualRatePercent: 6.5, years: 30 });
+    expect(summary.downPayment).toBe(50000);
+    expect(summary.loanAmount).toBe(200000);
+    expect(summary.monthlyPayment).toBeCloseTo(1264.14, 2);
+    expect(summary.totalPaid).toBeCloseTo(1264.136 * 360, 0);
+    expect(summary.totalInterest).toBeCloseTo(summary.totalPaid - 200000, 6);
+  });
+
+  it('clamps the down payment to the price', () => {
+    const summary = mortgageSummary({ price: 100000, downPaymentPercent: 150, annualRatePercent: 5, years: 20 });
+    expect(summary.loanAmount).toBe(0);
+    expect(summary.monthlyPayment).toBe(0);
+    expect(summary.schedule).toEqual([]);
+  });
+});
+
+describe('rentVsBuy', () => {
+  const base = {
+    monthlyRent: 2000,
+    priceToRentRatio: 20,
+    downPaymentPercent: 20,
+    annualRatePercent: 6,
+    years: 30,
+    horizonYears: 10
+  };
+
+  it('prices the comparable home from the rent', () => {
+    const result = rentVsBuy(base);
+    expect(result.homePrice).toBe(480000);
+    expect(result.monthlyPayment).toBeCloseTo(monthlyPayment(384000, 6, 30), 10);
+    expect(result.years).toHaveLength(10);
+    expect(result.years[0].rentCost).toBe(24000);
+  });
+
+  it('grows rent yearly', () => {
+    const result = rentVsBuy({ ...base, rentIncreasePercent: 10, horizonYears: 2 });
+    expect(result.years[1].rentCost).toBeCloseTo(24000 + 26400, 6);
+  });
+
+  it('counts equity against the cost of buying', () => {
+    const result = rentVsBuy({ ...base, downPaymentPercent: 100, annualRatePercent: 0, horizonYears: 3 });
+    result.years.forEach(row => expect(row.buyCost).toBeCloseTo(0, 6));
+    expect(result.breakEvenYear).toBe(1);
+  });
+
+  it('finds the year buying becomes cheaper, or null', () => {
+    const costs = { ownershipCostPercent: 1, closingCostPercent: 3, sellingCostPercent: 6 };
+    const result = rentVsBuy({ ...base, ...costs, appreciationPercent: 4, rentIncreasePercent: 3, horizonYears: 30 });
+    const breakEven = result.years.find(row => row.buyCost <= row.rentCost);
+    expect(result.breakEvenYear).toBe(breakEven.year);
+    expect(result.breakEvenYear).toBeGreaterThan(1);
+    expect(result.breakEvenYear).toBe(3);
+    const never = rentVsBuy({ ...base, ...costs, priceToRentRatio: 60, annualRatePercent: 9 });
+    expect(never.breakEvenYear).toBeNull();
+  });
+
+  it('charges closing costs up front and selling costs against equity', () => {
+    const result = rentVsBuy({ ...base, downPaymentPercent: 100, annualRatePercent: 0, closingCostPercent: 3, sellingCostPercent: 5, horizonYears: 1 });
+    expect(result.years[0].equity).toBeCloseTo(456000, 6);
+    expect(result.years[0].buyCost).toBeCloseTo(14400 + 24000, 6);
+  });
+
+  it('holds no debt after the loan term', () => {
+    const result = rentVsBuy({ ...base, years: 5, horizonYears: 6 });
+    expect(result.years[5].equity).toBeCloseTo(480000, 6);
+  });
+});
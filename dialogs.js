@@ -0,0 +1,207 @@
+/**
+ * @file Keyboard, focus and touch handling for the page's modal dialogs
+ * (the flat detail modal, the lightbox, comparison and history). Loaded as a
+ * classic script in the browser (window.Dialogs) and with require() in the
+ * tests.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Dialogs = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const FOCUSABLE_SELECTOR = [
+        'a[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])', 'select:not([disabled])',
+        'textarea:not([disabled])', 'iframe', '[tabindex]:not([tabindex="-1"])', '[contenteditable="true"]'
+    ].join(', ');
+
+    // Open dialogs, the topmost last; keys and focus always go to the topmost one.
+    const openDialogs = [];
+    const listeningDocuments = new Set();
+
+    /**
+     * The elements Tab can reach inside `container`, in order. Elements inside a
+     * `.hidden` (display: none) or `[hidden]` ancestor are skipped.
+     * @param {Element} container
+     * @returns {HTMLElement[]}
+     */
+    function focusableElements(container) {
+        return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+            .filter(element => !element.closest('.hidden, [hidden], [inert]'));
+    }
+
+    function topDialog() {
+        return openDialogs[openDialogs.length - 1] || null;
+    }
+
+    function handleKeyDown(event) {
+        const dialog = topDialog();
+        if (dialog) dialog.handleKeyDown(event);
+    }
+
+    // Focus that escapes the topmost dialog (a click on the page behind, a screen reader's virtual cursor) is brought back.
+    function handleFocusIn(event) {
+        const dialog = topDialog();
+        if (dialog && !dialog.element.contains(event.target)) dialog.focusFirst();
+    }
+
+    function listenTo(doc) {
+        if (listeningDocuments.has(doc)) return;
+        listeningDocuments.add(doc);
+        doc.addEventListener('keydown', handleKeyDown);
+        doc.addEventListener('focusin', handleFocusIn);
+    }
+
+    /**
+     * Makes `element` behave as a modal dialog between open() and close():
+     * focus moves into it and Tab cycles within it, Escape calls `onClose`,
+     * other keys go to `onKeyDown`, and closing returns focus to the element
+     * that had it before. Showing and hiding the element stays with the caller.
+     * @param {HTMLElement} element the dialog, with role="dialog" and aria-modal="true"
+     * @param {{ onClose: function(): void, onKeyDown?: function(KeyboardEvent): void, initialFocus?: function(): (HTMLElement|null) }} options
+     * @returns {{ open: function(): void, close: function(): void, isOpen: function(): boolean }}
+     */
+    function createDialog(element, { onClose, onKeyDown, initialFocus } = {}) {
+        let returnFocusTo = null;
+
+        const dialog = {
+            element,
+            handleKeyDown(event) {
+                if (event.key === 'Escape') {
+                    event.preventDefault();
+                    onClose();
+                } else if (event.key === 'Tab') {
+                    const focusable = focusableElements(element);
+                    if (focusable.length === 0) {
+                        event.preventDefault();
+                        return;
+                    }
+                    const first = focusable[0];
+                    const last = focusable[focusable.length - 1];
+                    const active = element.ownerDocument.activeElement;
+                    if (event.shiftKey && (active === first || !element.contains(active))) {
+                        event.preventDefault();
+                        last.focus();
+                    } else if (!event.shiftKey && (active === last || !element.contains(active))) {
+                        event.preventDefault();
+                        first.focus();
+                    }
+                } else if (onKeyDown) {
+                    onKeyDown(event);
+                }
+            },
+            focusFirst() {
+                const target = (initialFocus && initialFocus()) || focusableElements(element)[0] || element;
+                if (target === element && !element.hasAttribute('tabindex')) element.setAttribute('tabindex', '-1');
+                target.focus();
+            }
+        };
+
+        return {
+            open() {
+                if (openDialogs.includes(dialog)) return;
+                listenTo(element.ownerDocument);
+                returnFocusTo = element.ownerDocument.activeElement;
+                openDialogs.push(dialog);
+                dialog.focusFirst();
+            },
+            close() {
+                const index = openDialogs.indexOf(dialog);
+                if (index === -1) return;
+                openDialogs.splice(index, 1);
+                const below = topDialog();
+                // The opener may be gone (re-rendered) or hidden; the dialog underneath then takes focus
+                if (returnFocusTo && returnFocusTo.isConnected && returnFocusTo !== element.ownerDocument.body &&
+                    (!below || below.element.contains(returnFocusTo))) {
+                    returnFocusTo.focus();
+                } else if (below) {
+                    below.focusFirst();
+                }
+                returnFocusTo = null;
+            },
+            isOpen() {
+                return openDialogs.includes(dialog);
+            }
+        };
+    }
+
+    function distance(touches) {
+        return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+    }
+
+    /**
+     * Touch gestures for an image viewer. A horizontal swipe calls
+     * `onSwipe(1)` for the next image and `onSwipe(-1)` for the previous one;
+     * two fingers pinch-zoom `image` (from 1x to `maxScale`), and one finger
+     * pans it while zoomed. The surface should have `touch-action: none`, so
+     * the browser leaves these gestures to us.
+     * @param {HTMLElement} surface element receiving the touches
+     * @param {HTMLElement} image element that is zoomed and panned
+     * @param {{ onSwipe: function(number): void, maxScale?: number, swipeThreshold?: number }} options
+     *   swipeThreshold: horizontal distance in px that counts as a swipe
+     * @returns {{ reset: function(): void, getScale: function(): number }}
+     */
+    function attachImageGestures(surface, image, { onSwipe, maxScale = 4, swipeThreshold = 50 } = {}) {
+        let scale = 1;
+        let offset = { x: 0, y: 0 };
+        let gesture = null;
+
+        function apply() {
+            image.style.transform = scale === 1 ? '' : `translate(${offset.x}px, ${offset.y}px) scale(${scale})`;
+        }
+
+        function reset() {
+            scale = 1;
+            offset = { x: 0, y: 0 };
+            apply();
+        }
+
+        surface.addEventListener('touchstart', event => {
+            if (event.touches.length === 2) {
+                gesture = { type: 'pinch', startDistance: distance(event.touches), startScale: scale };
+            } else if (event.touches.length === 1 && (!gesture || gesture.type !== 'pinch')) {
+                const touch = event.touches[0];
+                gesture = { type: 'drag', startX: touch.clientX, startY: touch.clientY, startOffset: offset, dx: 0, dy: 0 };
+            }
+        }, { passive: true });
+
+        surface.addEventListener('touchmove', event => {
+            if (!gesture) return;
+            if (gesture.type === 'pinch' && event.touches.length === 2) {
+                event.preventDefault();
+                scale = Math.min(maxScale, Math.max(1, gesture.startScale * distance(event.touches) / gesture.startDistance));
+                if (scale === 1) offset = { x: 0, y: 0 };
+                apply();
+            } else if (gesture.type === 'drag' && event.touches.length === 1) {
+                event.preventDefault();
+                gesture.dx = event.touches[0].clientX - gesture.startX;
+                gesture.dy = event.touches[0].clientY - gesture.startY;
+                if (scale > 1) {
+                    offset = { x: gesture.startOffset.x + gesture.dx, y: gesture.startOffset.y + gesture.dy };
+                    apply();
+                }
+            }
+        }, { passive: false });
+
+        surface.addEventListener('touchend', event => {
+            if (!gesture || event.touches.length > 0) return;
+            const { type, dx, dy } = gesture;
+            gesture = null;
+            // Swipes only change the image while it is not zoomed; zoomed, the same gesture pans
+            if (type === 'drag' && scale === 1 && Math.abs(dx) >= swipeThreshold && Math.abs(dx) > Math.abs(dy)) {
+                onSwipe(dx < 0 ? 1 : -1);
+            }
+        });
+
+        surface.addEventListener('touchcancel', () => {
+            gesture = null;
+        });
+
+        return { reset, getScale: () => scale };
+    }
+
+    return { attachImageGestures, createDialog, focusableElements };
+});
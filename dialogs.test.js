@@ -0,0 +1,187 @@
+/**
+ * @jest-environment jsdom
+ */
+const fs = require('fs');
+const path = require('path');
+const axe = require('axe-core');
+const { attachImageGestures, createDialog, focusableElements } = require('./dialogs');
+
+// The page's markup as shipped, without running its scripts. Tailwind is not loaded, so the
+// one utility the dialogs rely on for hiding content is added by hand.
+function loadPage() {
+  const html = fs.readFileSync(path.join(__dirname, 'apartment.html'), 'utf8');
+  document.documentElement.innerHTML = html.replace(/^[\s\S]*?<html[^>]*>/i, '').replace(/<\/html>[\s\S]*$/i, '');
+  document.head.insertAdjacentHTML('beforeend', '<style>.hidden { display: none; }</style>');
+}
+
+function show(dialog) {
+  dialog.classList.remove('hidden');
+  dialog.classList.add('active');
+}
+
+function press(key, options = {}) {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+  (document.activeElement || document.body).dispatchEvent(event);
+  return event;
+}
+
+function touch(element, type, points) {
+  const event = new Event(type, { bubbles: true, cancelable: true });
+  Object.defineProperty(event, 'touches', { value: points.map(([clientX, clientY]) => ({ clientX, clientY })) });
+  element.dispatchEvent(event);
+  return event;
+}
+
+async function axeViolations(element) {
+  const results = await axe.run(element, { rules: { 'color-contrast': { enabled: false } } });
+  return results.violations.map(violation => `${violation.id}: ${violation.nodes.map(node => node.target.join(' ')).join(', ')}`);
+}
+
+beforeEach(loadPage);
+
+describe('dialog markup', () => {
+  it.each(['flat-detail-modal', 'lightbox-modal', 'compare-modal', 'history-modal'])('%s is a labelled modal dialog', id => {
+    const dialog = document.getElementById(id);
+    expect(dialog.getAttribute('role')).toBe('dialog');
+    expect(dialog.getAttribute('aria-modal')).toBe('true');
+    // The flat detail title is filled in when a flat is shown; axe checks the names below
+    expect(document.getElementById(dialog.getAttribute('aria-labelledby'))).not.toBeNull();
+  });
+
+  it('has no axe violations in the open flat detail modal', async () => {
+    const dialog = document.getElementById('flat-detail-modal');
+    document.getElementById('flat-detail-title').textContent = '2BHK in Downtown';
+    show(dialog);
+    expect(await axeViolations(dialog)).toEqual([]);
+  });
+
+  it('has no axe violations in the open lightbox', async () => {
+    const dialog = document.getElementById('lightbox-modal');
+    document.getElementById('lightbox-image').src = 'https://example.com/flat.jpg';
+    show(dialog);
+    expect(await axeViolations(dialog)).toEqual([]);
+  });
+
+  it('announces toasts and lightbox positions through live regions', () => {
+    expect(document.getElementById('toast-container').getAttribute('aria-live')).toBe('polite');
+    expect(document.getElementById('lightbox-counter').getAttribute('aria-live')).toBe('polite');
+  });
+});
+
+describe('createDialog', () => {
+  it('moves focus in, keeps Tab inside and closes on Escape, restoring focus to the opener', () => {
+    const opener = document.getElementById('applyFiltersBtn');
+    const element = document.getElementById('lightbox-modal');
+    const onClose = jest.fn();
+    const dialog = createDialog(element, { onClose });
+    opener.focus();
+    show(element);
+    dialog.open();
+
+    const focusable = focusableElements(element);
+    expect(focusable.map(button => button.getAttribute('aria-label'))).toEqual(['Close image viewer', 'Previous image', 'Next image']);
+    expect(document.activeElement).toBe(focusable[0]);
+    focusable[focusable.length - 1].focus();
+    expect(press('Tab').defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(focusable[0]);
+    press('Tab', { shiftKey: true });
+    expect(document.activeElement).toBe(focusable[focusable.length - 1]);
+
+    press('Escape');
+    expect(onClose).toHaveBeenCalledTimes(1);
+    dialog.close();
+    expect(dialog.isOpen()).toBe(false);
+    expect(document.activeElement).toBe(opener);
+  });
+
+  it('skips hidden controls and brings stray focus back', () => {
+    const element = document.getElementById('lightbox-modal');
+    const dialog = createDialog(element, { onClose: jest.fn() });
+    document.getElementById('lightbox-prev').classList.add('hidden');
+    show(element);
+    dialog.open();
+    expect(focusableElements(element).map(button => button.id)).not.toContain('lightbox-prev');
+    document.getElementById('applyFiltersBtn').focus();
+    expect(element.contains(document.activeElement)).toBe(true);
+    dialog.close();
+  });
+
+  it('hands keys to the topmost dialog only and returns focus into the one below', () => {
+    const modal = document.getElementById('flat-detail-modal');
+    const lightbox = document.getElementById('lightbox-modal');
+    const closeModal = jest.fn();
+    const closeLightbox = jest.fn();
+    const onKeyDown = jest.fn();
+    const modalDialog = createDialog(modal, { onClose: closeModal });
+    const lightboxDialog = createDialog(lightbox, { onClose: closeLightbox, onKeyDown });
+    show(modal);
+    modalDialog.open();
+    const opener = document.getElementById('flat-detail-inquire-btn');
+    opener.focus();
+    show(lightbox);
+    lightboxDialog.open();
+
+    press('ArrowRight');
+    expect(onKeyDown).toHaveBeenCalledWith(expect.objectContaining({ key: 'ArrowRight' }));
+    press('Escape');
+    expect(closeLightbox).toHaveBeenCalledTimes(1);
+    expect(closeModal).not.toHaveBeenCalled();
+
+    lightboxDialog.close();
+    expect(document.activeElement).toBe(opener);
+    press('Escape');
+    expect(closeModal).toHaveBeenCalledTimes(1);
+    modalDialog.close();
+  });
+});
+
+describe('attachImageGestures', () => {
+  function setUp() {
+    const surface = document.querySelector('.lightbox-content');
+    const image = document.getElementById('lightbox-image');
+    const onSwipe = jest.fn();
+    return { surface, image, onSwipe, gestures: attachImageGestures(surface, image, { onSwipe }) };
+  }
+
+  it('turns horizontal swipes into next and previous', () => {
+    const { surface, onSwipe } = setUp();
+    touch(surface, 'touchstart', [[300, 200]]);
+    touch(surface, 'touchmove', [[150, 210]]);
+    touch(surface, 'touchend', []);
+    touch(surface, 'touchstart', [[100, 200]]);
+    touch(surface, 'touchmove', [[260, 190]]);
+    touch(surface, 'touchend', []);
+    expect(onSwipe.mock.calls).toEqual([[1], [-1]]);
+  });
+
+  it('ignores short and mostly vertical drags', () => {
+    const { surface, onSwipe } = setUp();
+    touch(surface, 'touchstart', [[300, 200]]);
+    touch(surface, 'touchmove', [[280, 200]]);
+    touch(surface, 'touchend', []);
+    touch(surface, 'touchstart', [[300, 100]]);
+    touch(surface, 'touchmove', [[240, 300]]);
+    touch(surface, 'touchend', []);
+    expect(onSwipe).not.toHaveBeenCalled();
+  });
+
+  it('pinch-zooms up to the limit, pans instead of swiping while zoomed, and resets', () => {
+    const { surface, image, onSwipe, gestures } = setUp();
+    touch(surface, 'touchstart', [[100, 100], [200, 100]]);
+    expect(touch(surface, 'touchmove', [[50, 100], [250, 100]]).defaultPrevented).toBe(true);
+    expect(gestures.getScale()).toBe(2);
+    touch(surface, 'touchmove', [[0, 100], [1000, 100]]);
+    expect(gestures.getScale()).toBe(4);
+    touch(surface, 'touchend', []);
+
+    touch(surface, 'touchstart', [[300, 200]]);
+    touch(surface, 'touchmove', [[150, 200]]);
+    touch(surface, 'touchend', []);
+    expect(onSwipe).not.toHaveBeenCalled();
+    expect(image.style.transform).toBe('translate(-150px, 0px) scale(4)');
+
+    gestures.reset();
+    expect(gestures.getScale()).toBe(1);
+    expect(image.style.transform).toBe('');
+  });
+});
@@ -1,86 +1,875 @@
 // index.js
 const express = require('express');
-const admin = require('firebase-admin');
+const multer = require('multer');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
+const { authenticate, createIdTokenVerifier, createUserEmailLookup, requireAdmin, requireAdminOrFeedToken } = require('./server/auth');
+const { issue, validateFlat, validateRentalTerms } = require('./server/validation');
+const { DocumentExistsError, createRepositories } = require('./server/repositories');
+const { buildSearchTokens, rankFlats } = require('./server/search');
+const { normalizeAmenities } = require('./server/amenities');
+const { distanceKm, encodeGeohash, geohashPrefixesFor } = require('./server/geo');
+const { buildWhereClauses, computeFacets, matchesFlatFilters, parseFlatFilters } = require('./server/flatFilters');
+const { InvalidCursorError, paginate, paginateList, parseLimit, queryKeyFor } = require('./server/pagination');
+const { CURRENT_RATES_ID, parseRatesCsv, validateRates } = require('./server/rates');
+const { VIEWING_RATE_LIMITS, findSlot, listSlots, loadViewingSchedule, toICalendar, validateViewingRequest, viewingIdFor } = require('./server/viewings');
+const { findNewMatches, matchEmail } = require('./server/savedSearches');
+const { createEmailTransport } = require('./server/email');
+const {
+  DUPLICATE_WINDOW_MS,
+  INQUIRY_RATE_LIMITS,
+  buildInquiryWhereClauses,
+  canTransition,
+  inquiryFingerprint,
+  quarantineEntry,
+  screenInquiry,
+  validateInquiry,
+  validateInquiryUpdate
+} = require('./server/inquiries');
+const { RateLimiter } = require('./server/rateLimit');
+const {
+  TESTIMONIAL_RATE_LIMIT,
+  legacyTestimonialFields,
+  toPublicTestimonial,
+  validateTestimonial,
+  validateTestimonialUpdate
+} = require('./server/testimonials');
+const { latestEntriesByFlat, priceDropFields, priceHistoryEntry } = require('./server/priceHistory');
+const { ratingSummary, reviewIdFor, toPublicReview, validateModeration, validateReview } = require('./server/reviews');
+const { QUERY_SCHEMAS, describeSchema, validateQuery } = require('./server/querySchemas');
+const { IMAGE_UPLOAD_LIMITS, InvalidImageError, processImage, validateImageFile } = require('./server/images');
+const { LocalImageStorage, createImageStorage } = require('./server/imageStorage');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Initialize Firebase Admin SDK
-const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT || require('./serviceAccountKey.json'));
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-  databaseURL: 'https://apartment-34739.firebaseio.com'
-});
+// Storage backend (Firestore, in-memory or JSON file) chosen by STORAGE_BACKEND
+const repositories = createRepositories();
+app.locals.repositories = repositories;
+// Firebase Auth verifies ID tokens; unsigned local tokens only with ALLOW_UNSIGNED_TOKENS=1 outside production
+app.locals.verifyIdToken = createIdTokenVerifier();
+// Where saved-search matches are emailed: the verified address of the account (see server/auth.js)
+app.locals.lookupUserEmail = createUserEmailLookup(repositories.users);
+// Agent hours for viewings, and the secret that lets calendar apps read the staff feed
+app.locals.viewingSchedule = loadViewingSchedule();
+app.locals.feedToken = process.env.VIEWING_FEED_TOKEN || null;
+// Outgoing email (see server/email.js) and the site URL used in links
+app.locals.emailTransport = createEmailTransport();
+app.locals.publicUrl = process.env.PUBLIC_URL || `http://localhost:${port}`;
+// Where uploaded flat images are stored (see server/imageStorage.js)
+app.locals.imageStorage = createImageStorage();
+// Throttling of the public inquiry endpoint, per client IP and per email address
+app.locals.inquiryRateLimiters = {
+  ip: new RateLimiter(INQUIRY_RATE_LIMITS.ip),
+  email: new RateLimiter(INQUIRY_RATE_LIMITS.email)
+};
+// Throttling of testimonial submissions, per client IP
+app.locals.testimonialRateLimiter = new RateLimiter(TESTIMONIAL_RATE_LIMIT);
+// Throttling of anonymous viewing bookings, per client IP and per email address
+app.locals.viewingRateLimiters = {
+  ip: new RateLimiter(VIEWING_RATE_LIMITS.ip),
+  email: new RateLimiter(VIEWING_RATE_LIMITS.email)
+};
 
-const db = admin.firestore();
+// Behind a load balancer or CDN, TRUST_PROXY (number of proxies, or their addresses) makes req.ip the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 
 // Middleware
 app.use(cors());
 app.use(express.json());
+// data/ holds the seed, the json backend's store and the email outbox, none of which is public
+app.use('/data', (req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
 app.use(express.static(path.join(__dirname, '.'))); // Serve static files (e.g., apartment.html)
+// Uploaded images on the local backend; every file gets a new name, so browsers can cache them for good
+if (app.locals.imageStorage instanceof LocalImageStorage) {
+  const { publicPath, directory } = app.locals.imageStorage;
+  app.use(publicPath, express.static(directory, { fallthrough: false, immutable: true, maxAge: '1y' }));
+}
+
+const hasCoordinates = flat => typeof flat.latitude === 'number' && typeof flat.longitude === 'number';
+
+// Derived fields stored on each flat so it can be queried: the search index,
+// the normalised amenity list (legacy stringified amenities included) and
+// the geohash of its coordinates (null without coordinates)
+function indexedFields(flat) {
+  return {
+    searchTokens: buildSearchTokens(flat),
+    amenityKeys: normalizeAmenities(flat.amenities),
+    geohash: hasCoordinates(flat) ? encodeGeohash(flat.latitude, flat.longitude) : null
+  };
+}
+
+// Same shape as the query validation errors in server/querySchemas.js
+function sendInvalidCursor(res) {
+  return res.status(400).json({
+    error: 'Invalid cursor',
+    details: [issue('invalid_cursor', 'cursor', 'cursor does not belong to this query')]
+  });
+}
+
+// Strip internal fields before sending a flat to clients
+function toApiFlat({ searchTokens, amenityKeys, geohash, ...flat }) {
+  return flat;
+}
+
+// Rebuild the derived fields of every flat, ratings and price drops included (used after imports or schema changes)
+async function reindexFlats() {
+  const [flats, reviews, priceHistory] = await Promise.all([
+    repositories.flats.find(),
+    repositories.reviews.find({ where: [['status', '==', 'approved']] }),
+    repositories.priceHistory.find()
+  ]);
+  const latestPrices = latestEntriesByFlat(priceHistory);
+  await Promise.all(flats.map(flat => repositories.flats.update(flat.id, {
+    ...indexedFields(flat),
+    ...ratingSummary(reviews.filter(review => review.flatId === flat.id)),
+    ...priceDropFields(latestPrices.get(flat.id))
+  })));
+  return flats.length;
+}
+
+// Give testimonials added by hand before moderation existed a status, so they stay listed
+async function migrateLegacyTestimonials() {
+  const now = new Date();
+  const testimonials = await repositories.testimonials.find();
+  const updates = testimonials
+    .map(testimonial => [testimonial.id, legacyTestimonialFields(testimonial, now)])
+    .filter(([, fields]) => fields);
+  await Promise.all(updates.map(([id, fields]) => repositories.testimonials.update(id, fields)));
+  return updates.length;
+}
+
+// Flag users who saved searches before hasSavedSearches existed, so notifySavedSearches finds them
+async function migrateSavedSearchFlags() {
+  const users = await repositories.users.find();
+  const unflagged = users.filter(user => Array.isArray(user.savedSearches) && user.savedSearches.length > 0 && user.hasSavedSearches !== true);
+  await Promise.all(unflagged.map(user => repositories.users.update(user.id, { hasSavedSearches: true })));
+  return unflagged.length;
+}
+
+// Recompute a flat's averageRating and reviewCount after one of its reviews was approved or withdrawn
+async function refreshFlatRating(flatId) {
+  const reviews = await repositories.reviews.find({ where: [['flatId', '==', flatId], ['status', '==', 'approved']] });
+  if (await repositories.flats.get(flatId)) {
+    await repositories.flats.update(flatId, ratingSummary(reviews));
+  }
+}
 
 // API Endpoints
-// Get all apartments
-app.get('/api/flats', async (req, res) => {
+// Get apartments, one page at a time: ?limit=20&cursor=<nextCursor from the previous page>
+app.get('/api/flats', validateQuery(QUERY_SCHEMAS.flatList), async (req, res) => {
   try {
-    const { offerType, flatType, minPrice, maxPrice, sortBy } = req.query;
-    let query = db.collection('flats');
+    const { sortBy, cursor } = res.locals.query;
+    const filters = parseFlatFilters(res.locals.query);
+    const orderBy = sortBy ? [sortBy.split('-')] : [];
+    const where = buildWhereClauses(filters, { sortField: sortBy ? orderBy[0][0] : null });
+    const limit = parseLimit(res.locals.query.limit);
+    const queryKey = queryKeyFor(req.query);
 
-    if (offerType && offerType !== 'all') {
-      query = query.where('offerType', '==', offerType);
-    }
-    if (flatType && flatType !== 'all') {
-      query = query.where('type', '==', flatType);
-    }
-    if (minPrice) {
-      query = query.where('price', '>=', parseFloat(minPrice));
+    let page;
+    if (filters.searchTerms.length > 0) {
+      // Relevance first; sortBy only breaks ties. Ranking needs every match, so pages are sliced from the ranked list.
+      const flats = await repositories.flats.find({ where, orderBy });
+      const ranked = rankFlats(flats.filter(flat => matchesFlatFilters(flat, filters)), filters.searchTerms);
+      page = paginateList(ranked, { limit, cursor, queryKey });
+    } else {
+      page = await paginate(repositories.flats, {
+        where,
+        orderBy,
+        filter: flat => matchesFlatFilters(flat, filters),
+        limit,
+        cursor,
+        queryKey
+      });
     }
-    if (maxPrice) {
-      query = query.where('price', '<=', parseFloat(maxPrice));
-    }
-    if (sortBy) {
-      const [field, direction] = sortBy.includes('-') ? sortBy.split('-') : [sortBy, 'asc'];
-      query = query.orderBy(field, direction);
-    }
-
-    const snapshot = await query.get();
-    const flats = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-    res.status(200).json(flats);
+    res.status(200).json({ flats: page.items.map(toApiFlat), nextCursor: page.nextCursor });
   } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return sendInvalidCursor(res);
+    }
     console.error('Error fetching flats:', error);
     res.status(500).json({ error: 'Failed to fetch apartments' });
   }
 });
 
+// Get facet counts (type, offerType, bedrooms, price buckets) for the current filters
+app.get('/api/flats/facets', validateQuery(QUERY_SCHEMAS.flatFacets), async (req, res) => {
+  try {
+    const filters = parseFlatFilters(res.locals.query);
+    const flats = await repositories.flats.find();
+    res.status(200).json(computeFacets(flats, filters));
+  } catch (error) {
+    console.error('Error computing facets:', error);
+    res.status(500).json({ error: 'Failed to compute facets' });
+  }
+});
+
+// Flats within radiusKm of a point, nearest first, each with `distanceKm`:
+// ?lat=..&lng=..&radiusKm=3 plus the GET /api/flats filters, limit and cursor
+app.get('/api/flats/near', validateQuery(QUERY_SCHEMAS.flatsNear), async (req, res) => {
+  try {
+    const { lat: latitude, lng: longitude, radiusKm } = res.locals.query;
+    const filters = parseFlatFilters(res.locals.query);
+    // One range query per geohash cell around the point; the cells overshoot the circle, so distances are re-checked
+    const batches = await Promise.all(geohashPrefixesFor(latitude, longitude, radiusKm).map(prefix => repositories.flats.find({
+      where: [['geohash', '>=', prefix], ['geohash', '<=', `${prefix}~`]]
+    })));
+    const nearby = new Map();
+    batches.flat().forEach(flat => {
+      if (!hasCoordinates(flat) || !matchesFlatFilters(flat, filters)) return;
+      const distance = distanceKm(latitude, longitude, flat.latitude, flat.longitude);
+      if (distance <= radiusKm) nearby.set(flat.id, { ...toApiFlat(flat), distanceKm: Math.round(distance * 1000) / 1000 });
+    });
+    const sorted = [...nearby.values()].sort((a, b) => a.distanceKm - b.distanceKm || (a.id < b.id ? -1 : 1));
+    const page = paginateList(sorted, { limit: parseLimit(res.locals.query.limit), cursor: res.locals.query.cursor, queryKey: queryKeyFor(req.query) });
+    res.status(200).json({ flats: page.items, nextCursor: page.nextCursor });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return sendInvalidCursor(res);
+    }
+    console.error('Error fetching nearby flats:', error);
+    res.status(500).json({ error: 'Failed to fetch nearby apartments' });
+  }
+});
+
+// The listing query schema (filters, sort orders and their bounds), used to build the filter bar
+app.get('/api/flats/query-schema', validateQuery(QUERY_SCHEMAS.none), (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.status(200).json(describeSchema(QUERY_SCHEMAS.flatList));
+});
+
 // Get single apartment by ID
-app.get('/api/flats/:id', async (req, res) => {
+app.get('/api/flats/:id', validateQuery(QUERY_SCHEMAS.none), async (req, res) => {
   try {
-    const flatDoc = await db.collection('flats').doc(req.params.id).get();
-    if (!flatDoc.exists) {
+    const flat = await repositories.flats.get(req.params.id);
+    if (!flat) {
       return res.status(404).json({ error: 'Apartment not found' });
     }
-    res.status(200).json({ id: flatDoc.id, ...flatDoc.data() });
+    res.status(200).json(toApiFlat(flat));
   } catch (error) {
     console.error('Error fetching flat:', error);
     res.status(500).json({ error: 'Failed to fetch apartment' });
   }
 });
 
-// Submit inquiry
-app.post('/api/inquiries', async (req, res) => {
+// Every recorded price of an apartment, oldest first: { flatId, price, history: [{ price, previousPrice, changedAt }] }
+app.get('/api/flats/:id/price-history', validateQuery(QUERY_SCHEMAS.none), async (req, res) => {
+  try {
+    const flat = await repositories.flats.get(req.params.id);
+    if (!flat) {
+      return res.status(404).json({ error: 'Apartment not found' });
+    }
+    const entries = await repositories.priceHistory.find({ where: [['flatId', '==', req.params.id]], orderBy: [['changedAt', 'asc']] });
+    res.status(200).json({
+      flatId: flat.id,
+      price: flat.price,
+      history: entries.map(({ price, previousPrice, changedAt }) => ({ price, previousPrice, changedAt }))
+    });
+  } catch (error) {
+    console.error('Error fetching price history:', error);
+    res.status(500).json({ error: 'Failed to fetch price history' });
+  }
+});
+
+// Record an admin change to a flat in the audit log, in the batch that writes the change
+function recordFlatAudit(batch, flatId, action, user, changes) {
+  batch.add('flatAudit', {
+    flatId,
+    action,
+    changes,
+    uid: user.uid,
+    email: user.email || null,
+    timestamp: new Date()
+  });
+}
+
+/**
+ * Records a notification, and emails the user when their address is known,
+ * for each saved search the flat newly matches (`previous` is the flat
+ * before a price change, null for a new listing). Failures are logged so
+ * they never fail the admin write that triggered them.
+ */
+async function notifySavedSearches(flat, previous = null) {
+  try {
+    const users = await repositories.users.find({ where: [['hasSavedSearches', '==', true]] });
+    const matches = findNewMatches(users, flat, previous);
+    const reason = previous ? 'price-change' : 'new-listing';
+    await Promise.all(matches.map(async ({ uid, search }) => {
+      // One notification per user, search and flat; a later match marks it unread again
+      await repositories.notifications.set(`${uid}_${search.id}_${flat.id}`, {
+        uid,
+        searchId: search.id,
+        searchName: search.name,
+        flatId: flat.id,
+        reason,
+        price: flat.price,
+        read: false,
+        createdAt: new Date()
+      });
+      const email = await app.locals.lookupUserEmail(uid);
+      if (email) {
+        const flatUrl = `${app.locals.publicUrl}/flats/${encodeURIComponent(flat.id)}`;
+        await app.locals.emailTransport.send(matchEmail({ email, search, flat, reason, flatUrl }));
+      }
+    }));
+    return matches.length;
+  } catch (error) {
+    console.error('Error notifying saved searches:', error);
+    return 0;
+  }
+}
+
+// Create apartment (admin only)
+app.post('/api/flats', requireAdmin, validateQuery(QUERY_SCHEMAS.none), async (req, res) => {
+  try {
+    const { errors, value } = validateFlat(req.body);
+    errors.push(...validateRentalTerms(value));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid apartment data', details: errors });
+    }
+    const now = new Date();
+    const data = {
+      ...value,
+      ...indexedFields(value),
+      ...ratingSummary([]),
+      ...priceDropFields(null),
+      createdBy: req.user.uid,
+      createdAt: now,
+      updatedBy: req.user.uid,
+      updatedAt: now
+    };
+    const batch = repositories.batch();
+    const flat = { id: batch.add('flats', data), ...data };
+    recordFlatAudit(batch, flat.id, 'create', req.user, value);
+    batch.add('priceHistory', priceHistoryEntry({ flatId: flat.id, price: flat.price, changedAt: now, changedBy: req.user.uid }));
+    await batch.commit();
+    await notifySavedSearches(flat);
+    res.status(201).json(toApiFlat(flat));
+  } catch (error) {
+    console.error('Error creating flat:', error);
+    res.status(500).json({ error: 'Failed to create apartment' });
+  }
+});
+
+// Update apartment (admin only)
+app.patch('/api/flats/:id', requireAdmin, validateQuery(QUERY_SCHEMAS.none), async (req, res) => {
+  try {
+    const { errors, value } = validateFlat(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid apartment data', details: errors });
+    }
+    const previous = await repositories.flats.get(req.params.id);
+    if (!previous) {
+      return res.status(404).json({ error: 'Apartment not found' });
+    }
+    const termErrors = validateRentalTerms({ ...previous, ...value });
+    if (termErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid apartment data', details: termErrors });
+    }
+    const changes = {};
+    Object.entries(value).forEach(([field, newValue]) => {
+      if (JSON.stringify(previous[field]) !== JSON.stringify(newValue)) {
+        changes[field] = { from: previous[field] === undefined ? null : previous[field], to: newValue };
+      }
+    });
+    const now = new Date();
+    const update = {
+      ...value,
+      ...indexedFields({ ...previous, ...value }),
+      updatedBy: req.user.uid,
+      updatedAt: now
+    };
+    let priceChange = null;
+    if (changes.price) {
+      priceChange = priceHistoryEntry({ flatId: req.params.id, price: value.price, previousPrice: previous.price, changedAt: now, changedBy: req.user.uid });
+      Object.assign(update, priceDropFields(priceChange));
+    }
+    const batch = repositories.batch();
+    batch.update('flats', req.params.id, update);
+    recordFlatAudit(batch, req.params.id, 'update', req.user, changes);
+    if (priceChange) batch.add('priceHistory', priceChange);
+    await batch.commit();
+    if (priceChange) {
+      await notifySavedSearches({ ...previous, ...update }, previous);
+    }
+    res.status(200).json(toApiFlat({ ...previous, ...update }));
+  } catch (error) {
+    console.error('Error updating flat:', error);
+    res.status(500).json({ error: 'Failed to update apartment' });
+  }
+});
+
+// Delete apartment (admin only)
+app.delete('/api/flats/:id', requireAdmin, validateQuery(QUERY_SCHEMAS.none), async (req, res) => {
+  try {
+    const flat = await repositories.flats.get(req.params.id);
+    if (!flat) {
+      return res.status(404).json({ error: 'Apartment not found' });
+    }
+    const { id, searchTokens, amenityKeys, geohash, ...snapshot } = flat;
+    const batch = repositories.batch();
+    batch.delete('flats', id);
+    recordFlatAudit(batch, id, 'delete', req.user, snapshot);
+    await batch.commit();
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting flat:', error);
+    res.status(500).json({ error: 'Failed to delete apartment' });
+  }
+});
+
+// Multipart parsing of image uploads, held in memory until they are resized
+const parseImageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMAGE_UPLOAD_LIMITS.maxBytes, files: IMAGE_UPLOAD_LIMITS.maxFiles }
+}).array('images', IMAGE_UPLOAD_LIMITS.maxFiles);
+
+function receiveImages(req, res, next) {
+  parseImageUpload(req, res, error => {
+    if (!(error instanceof multer.MulterError)) return next(error);
+    const detail = error.code === 'LIMIT_FILE_SIZE'
+      ? issue('too_large', 'images', `Each image must be at most ${IMAGE_UPLOAD_LIMITS.maxBytes / (1024 * 1024)} MB`)
+      : issue('too_many_items', 'images', `Send at most ${IMAGE_UPLOAD_LIMITS.maxFiles} files in the images field`);
+    res.status(400).json({ error: 'Invalid image upload', details: [detail] });
+  });
+}
+
+// Upload apartment photos (admin only): multipart/form-data with up to 10 files in `images`.
+// Each is stored in several widths and appended to the flat's images and imageUrls.
+app.post('/api/flats/:id/images', requireAdmin, validateQuery(QUERY_SCHEMAS.none), receiveImages, async (req, res) => {
+  try {
+    const files = req.files || [];
+    const errors = files.length === 0 ? [issue('required', 'images', 'At least one image is required')] : files.flatMap(validateImageFile);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid image upload', details: errors });
+    }
+    const flat = await repositories.flats.get(req.params.id);
+    if (!flat) {
+      return res.status(404).json({ error: 'Apartment not found' });
+    }
+    const processed = [];
+    for (const file of files) {
+      processed.push(await processImage(file.buffer, file.originalname));
+    }
+    const storage = req.app.locals.imageStorage;
+    const images = [];
+    for (const image of processed) {
+      const imageId = crypto.randomUUID();
+      const variants = [];
+      for (const variant of image.variants) {
+        const key = `flats/${flat.id}/${imageId}/${variant.width}.${image.extension}`;
+        variants.push({ width: variant.width, url: await storage.save(key, variant.buffer, image.contentType) });
+      }
+      images.push({
+        id: imageId,
+        src: variants[variants.length - 1].url,
+        width: image.width,
+        height: image.height,
+        variants,
+        placeholder: image.placeholder
+      });
+    }
+    const imageUrls = [...(flat.imageUrls || []), ...images.map(image => image.src)];
+    const batch = repositories.batch();
+    batch.update('flats', flat.id, {
+      images: [...(flat.images || []), ...images],
+      imageUrls,
+      updatedBy: req.user.uid,
+      updatedAt: new Date()
+    });
+    recordFlatAudit(batch, flat.id, 'update', req.user, { imageUrls: { from: flat.imageUrls || [], to: imageUrls } });
+    await batch.commit();
+    res.status(201).json({ images });
+  } catch (error) {
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({ error: 'Invalid image upload', details: [issue(error.code, 'images', error.message)] });
+    }
+    console.error('Error uploading images:', error);
+    res.status(500).json({ error: 'Failed to upload images' });
+  }
+});
+
+// Approved reviews of an apartment, newest first: ?limit=20&cursor=...
+app.get('/api/flats/:id/reviews', validateQuery(QUERY_SCHEMAS.flatReviews), async (req, res) => {
+  try {
+    if (!(await repositories.flats.get(req.params.id))) {
+      return res.status(404).json({ error: 'Apartment not found' });
+    }
+    const page = await paginate(repositories.reviews, {
+      where: [['flatId', '==', req.params.id], ['status', '==', 'approved']],
+      orderBy: [['updatedAt', 'desc']],
+      limit: parseLimit(res.locals.query.limit),
+      cursor: res.locals.query.cursor,
+      queryKey: queryKeyFor(req.query)
+    });
+    res.status(200).json({ reviews: page.items.map(toPublicReview), nextCursor: page.nextCursor });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return sendInvalidCursor(res);
+    }
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ error: 'Failed to fetch reviews' });
+  }
+});
+
+// The signed-in user's own review of an apartment, whatever its moderation status
+app.get('/api/flats/:id/reviews/mine', authenticate, validateQuery(QUERY_SCHEMAS.none), async (req, res) => {
+  try {
+    const review = await repositories.reviews.get(reviewIdFor(req.params.id, req.user.uid));
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    res.status(200).json(review);
+  } catch (error) {
+    console.error('Error fetching review:', error);
+    res.status(500).json({ error: 'Failed to fetch review' });
+  }
+});
+
+// Write or edit the signed-in user's review. Either way it goes back to moderation,
+// so an edited review stops counting towards the rating until it is approved again.
+app.put('/api/flats/:id/reviews/mine', authenticate, validateQuery(QUERY_SCHEMAS.none), async (req, res) => {
+  try {
+    const { errors, value } = validateReview(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid review', details: errors });
+    }
+    if (!(await repositories.flats.get(req.params.id))) {
+      return res.status(404).json({ error: 'Apartment not found' });
+    }
+    const id = reviewIdFor(req.params.id, req.user.uid);
+    const previous = await repositories.reviews.get(id);
+    const now = new Date();
+    const review = {
+      flatId: req.params.id,
+      uid: req.user.uid,
+      ...value,
+      authorName: value.authorName || req.user.name || null,
+      status: 'pending',
+      createdAt: previous ? previous.createdAt : now,
+      updatedAt: now,
+      moderatedBy: null,
+      moderatedAt: null,
+      moderationNote: null
+    };
+    await repositories.reviews.set(id, review);
+    if (previous && previous.status === 'approved') {
+      await refreshFlatRating(req.params.id);
+    }
+    res.status(previous ? 200 : 201).json({ id, ...review });
+  } catch (error) {
+    console.error('Error saving review:', error);
+    res.status(500).json({ error: 'Failed to save review' });
+  }
+});
+
+// Bookable viewing slots for an apartment: ?from=YYYY-MM-DD&days=7
+app.get('/api/flats/:id/viewings/slots', validateQuery(QUERY_SCHEMAS.viewingSlots), async (req, res) => {
+  try {
+    const schedule = req.app.locals.viewingSchedule;
+    const { from } = res.locals.query;
+    const days = Math.min(res.locals.query.days || 7, schedule.horizonDays);
+    if (!(await repositories.flats.get(req.params.id))) {
+      return res.status(404).json({ error: 'Apartment not found' });
+    }
+    const slots = listSlots(schedule, { from, days });
+    const booked = slots.length === 0 ? [] : await repositories.viewings.find({
+      where: [['start', '>=', slots[0].start], ['start', '<=', slots[slots.length - 1].start]]
+    });
+    const bookedTimes = new Set(booked.map(viewing => viewing.start.getTime()));
+    res.status(200).json({
+      timeZone: schedule.timeZone,
+      slotMinutes: schedule.slotMinutes,
+      slots: slots.map(slot => ({ ...slot, available: !bookedTimes.has(slot.start.getTime()) }))
+    });
+  } catch (error) {
+    console.error('Error fetching viewing slots:', error);
+    res.status(500).json({ error: 'Failed to fetch viewing slots' });
+  }
+});
+
+// Book a viewing. Agents hold one viewing per slot, so a taken slot is a 409 whichever flat booked it.
+// Answers 429 once `limiter` rejects `key` for a viewing booking
+function rejectIfViewingRateLimited(res, limiter, key) {
+  const result = limiter.hit(key);
+  if (result.allowed) return false;
+  res.set('Retry-After', String(result.retryAfterSeconds));
+  res.status(429).json({ error: 'Too many viewing requests, please try again later' });
+  return true;
+}
+
+app.post('/api/flats/:id/viewings', validateQuery(QUERY_SCHEMAS.none), async (req, res) => {
+  try {
+    const limiters = req.app.locals.viewingRateLimiters;
+    if (rejectIfViewingRateLimited(res, limiters.ip, req.ip)) return;
+    const { errors, value } = validateViewingRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid viewing request', details: errors });
+    }
+    if (rejectIfViewingRateLimited(res, limiters.email, value.email.toLowerCase())) return;
+    if (!(await repositories.flats.get(req.params.id))) {
+      return res.status(404).json({ error: 'Apartment not found' });
+    }
+    const slot = findSlot(req.app.locals.viewingSchedule, value.start);
+    if (!slot) {
+      return res.status(400).json({ error: 'Invalid viewing request', details: [issue('unavailable', 'start', 'start is not an available slot within agent hours')] });
+    }
+    const id = viewingIdFor(slot.start);
+    const token = crypto.randomBytes(16).toString('hex');
+    const viewing = {
+      flatId: req.params.id,
+      ...value,
+      end: slot.end,
+      status: 'confirmed',
+      token,
+      createdAt: new Date()
+    };
+    await repositories.viewings.create(id, viewing);
+    res.status(201).json({
+      id,
+      flatId: viewing.flatId,
+      start: viewing.start,
+      end: viewing.end,
+      status: viewing.status,
+      icsUrl: `/api/viewings/${id}/calendar.ics?token=${token}`
+    });
+  } catch (error) {
+    if (error instanceof DocumentExistsError) {
+      return res.status(409).json({ error: 'This viewing slot has just been booked' });
+    }
+    console.error('Error booking viewing:', error);
+    res.status(500).json({ error: 'Failed to book viewing' });
+  }
+});
+
+// iCalendar event for a booked viewing
+async function viewingEvent(viewing) {
+  const flat = await repositories.flats.get(viewing.flatId);
+  const title = flat ? `${flat.type} in ${flat.location}` : viewing.flatId;
+  return {
+    uid: `${viewing.id}@grandresidences.com`,
+    start: viewing.start,
+    end: viewing.end,
+    summary: `Apartment viewing: ${title}`,
+    description: [`Visitor: ${viewing.name} <${viewing.email}>`, viewing.phone && `Phone: ${viewing.phone}`, `Apartment ID: ${viewing.flatId}`].filter(Boolean).join('\n'),
+    location: flat ? flat.location : undefined
+  };
+}
+
+// One viewing as an .ics download for the visitor (?token= from the booking response)
+app.get('/api/viewings/:id/calendar.ics', validateQuery(QUERY_SCHEMAS.viewingCalendar), async (req, res) => {
+  try {
+    const viewing = await repositories.viewings.get(req.params.id);
+    if (!viewing || viewing.token !== res.locals.query.token) {
+      return res.status(404).json({ error: 'Viewing not found' });
+    }
+    res.type('text/calendar');
+    res.attachment(`viewing-${viewing.start.toISOString().slice(0, 10)}.ics`);
+    res.send(toICalendar([await viewingEvent(viewing)]));
+  } catch (error) {
+    console.error('Error exporting viewing:', error);
+    res.status(500).json({ error: 'Failed to export viewing' });
+  }
+});
+
+// Staff schedule as an iCalendar feed (admin token, or ?token=VIEWING_FEED_TOKEN for calendar apps)
+app.get('/api/admin/viewings/feed.ics', requireAdminOrFeedToken, validateQuery(QUERY_SCHEMAS.viewingFeed), async (req, res) => {
+  try {
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const viewings = await repositories.viewings.find({ where: [['start', '>=', since]], orderBy: [['start', 'asc']] });
+    const events = await Promise.all(viewings.map(viewingEvent));
+    res.type('text/calendar');
+    res.send(toICalendar(events, { name: 'Viewings – The Grand Residences' }));
+  } catch (error) {
+    console.error('Error exporting viewing schedule:', error);
+    res.status(500).json({ error: 'Failed to export viewing schedule' });
+  }
+});
+
+// Rebuild the search index and amenity keys (admin only)
+app.post('/api/admin/reindex', requireAdmin, validateQuery(QUERY_SCHEMAS.none), async (req, res) => {
+  try {
+    const [count, testimonials, savedSearchUsers] = await Promise.all([reindexFlats(), migrateLegacyTestimonials(), migrateSavedSearchFlags()]);
+    res.status(200).json({ message: 'Search index rebuilt', count, testimonials, savedSearchUsers });
+  } catch (error) {
+    console.error('Error rebuilding search index:', error);
+    res.status(500).json({ error: 'Failed to rebuild search index' });
+  }
+});
+
+// Get the current exchange rates: { base, asOf, rates }
+app.get('/api/rates', validateQuery(QUERY_SCHEMAS.none), async (req, res) => {
+  try {
+    const table = await repositories.exchangeRates.get(CURRENT_RATES_ID);
+    if (!table) {
+      return res.status(404).json({ error: 'Exchange rates not found' });
+    }
+    const { base, asOf, rates } = table;
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.status(200).json({ base, asOf, rates });
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    res.status(500).json({ error: 'Failed to fetch exchange rates' });
+  }
+});
+
+// Replace the exchange rates from a JSON body or a text/csv upload (admin only)
+app.put('/api/admin/rates', requireAdmin, validateQuery(QUERY_SCHEMAS.none), express.text({ type: 'text/csv' }), async (req, res) => {
   try {
-    const { name, email, message } = req.body;
-    if (!name || !email || !message) {
-      return res.status(400).json({ error: 'All fields are required' });
+    const data = req.is('text/csv') ? parseRatesCsv(req.body) : req.body;
+    const { errors, value } = validateRates(data);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid exchange rates', details: errors });
     }
-    await db.collection('inquiries').add({
-      name,
-      email,
-      message,
-      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    await repositories.exchangeRates.set(CURRENT_RATES_ID, {
+      ...value,
+      updatedBy: req.user.uid,
+      updatedAt: new Date()
     });
+    res.status(200).json(value);
+  } catch (error) {
+    console.error('Error importing exchange rates:', error);
+    res.status(500).json({ error: 'Failed to import exchange rates' });
+  }
+});
+
+// Get building details shown in the About section
+app.get('/api/apartment-details', validateQuery(QUERY_SCHEMAS.none), async (req, res) => {
+  try {
+    const details = await repositories.apartmentDetails.get('main');
+    if (!details) {
+      return res.status(404).json({ error: 'Apartment details not found' });
+    }
+    res.status(200).json(details);
+  } catch (error) {
+    console.error('Error fetching apartment details:', error);
+    res.status(500).json({ error: 'Failed to fetch apartment details' });
+  }
+});
+
+// Approved testimonials, featured first and then newest: ?limit=20&cursor=...
+app.get('/api/testimonials', validateQuery(QUERY_SCHEMAS.testimonialList), async (req, res) => {
+  try {
+    const page = await paginate(repositories.testimonials, {
+      where: [['status', '==', 'approved']],
+      orderBy: [['featured', 'desc'], ['createdAt', 'desc']],
+      limit: parseLimit(res.locals.query.limit),
+      cursor: res.locals.query.cursor,
+      queryKey: queryKeyFor(req.query)
+    });
+    res.status(200).json({ testimonials: page.items.map(toPublicTestimonial), nextCursor: page.nextCursor });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return sendInvalidCursor(res);
+    }
+    console.error('Error fetching testimonials:', error);
+    res.status(500).json({ error: 'Failed to fetch testimonials' });
+  }
+});
+
+// Share your experience: stored as pending until an admin approves it. Takes the
+// contact form's bot signals (website, fillTimeMs); screened submissions get a 201 but are dropped.
+app.post('/api/testimonials', validateQuery(QUERY_SCHEMAS.none), async (req, res) => {
+  try {
+    const limit = req.app.locals.testimonialRateLimiter.hit(req.ip);
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfterSeconds));
+      return res.status(429).json({ error: 'Too many testimonials, please try again later' });
+    }
+    const { errors, value } = validateTestimonial(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid testimonial', details: errors });
+    }
+    if (screenInquiry(req.body)) {
+      return res.status(201).json({ status: 'pending' });
+    }
+    const now = new Date();
+    const testimonial = await repositories.testimonials.add({
+      ...value,
+      status: 'pending',
+      featured: false,
+      ip: req.ip,
+      createdAt: now,
+      moderatedBy: null,
+      moderatedAt: null
+    });
+    res.status(201).json({ id: testimonial.id, status: testimonial.status });
+  } catch (error) {
+    console.error('Error submitting testimonial:', error);
+    res.status(500).json({ error: 'Failed to submit testimonial' });
+  }
+});
+
+// A new inquiry as stored: open, unassigned, with its creation as the first history entry
+function newInquiry(value, now, { by = null, note = null } = {}) {
+  return {
+    ...value,
+    fingerprint: inquiryFingerprint(value),
+    status: 'new',
+    assignedTo: null,
+    history: [{ at: now, by, note, changes: { status: { from: null, to: 'new' } } }],
+    timestamp: now,
+    updatedAt: now
+  };
+}
+
+// Rejected and suspicious submissions go to inquiryQuarantine for review instead of being dropped
+async function quarantineInquiry(req, reason, details) {
+  try {
+    await repositories.inquiryQuarantine.add(quarantineEntry({ reason, details, body: req.body, ip: req.ip, now: new Date() }));
+  } catch (error) {
+    console.error('Error quarantining inquiry:', error);
+  }
+}
+
+// Answers 429 once `limiter` rejects `key`. Only the first rejection in a window is quarantined, so a flood cannot fill the collection.
+async function rejectIfRateLimited(req, res, limiter, key, label) {
+  const result = limiter.hit(key);
+  if (result.allowed) return false;
+  if (result.count === limiter.max + 1) {
+    await quarantineInquiry(req, 'rate-limited', [`More than ${limiter.max} inquiries from ${label} within ${limiter.windowMs / 60000} minutes`]);
+  }
+  res.set('Retry-After', String(result.retryAfterSeconds));
+  res.status(429).json({ error: 'Too many inquiries, please try again later' });
+  return true;
+}
+
+// Submit inquiry, optionally about one apartment (flatId)
+app.post('/api/inquiries', validateQuery(QUERY_SCHEMAS.none), async (req, res) => {
+  try {
+    const limiters = req.app.locals.inquiryRateLimiters;
+    if (await rejectIfRateLimited(req, res, limiters.ip, req.ip, `IP ${req.ip}`)) return;
+    const { errors, value } = validateInquiry(req.body);
+    if (errors.length > 0) {
+      await quarantineInquiry(req, 'invalid', errors.map(error => error.message));
+      return res.status(400).json({ error: 'Invalid inquiry', details: errors });
+    }
+    if (await rejectIfRateLimited(req, res, limiters.email, value.email.toLowerCase(), value.email)) return;
+    if (value.flatId && !(await repositories.flats.get(value.flatId))) {
+      const detail = issue('not_found', 'flatId', `flatId ${value.flatId} does not exist`);
+      await quarantineInquiry(req, 'invalid', [detail.message]);
+      return res.status(400).json({ error: 'Apartment not found', details: [detail] });
+    }
+    const flagged = screenInquiry(req.body);
+    if (flagged) {
+      await quarantineInquiry(req, flagged.reason, [flagged.detail]);
+      // Answer as if it went through, so bots get no hint that they were caught
+      return res.status(201).json({ message: 'Inquiry submitted successfully' });
+    }
+    const now = new Date();
+    const inquiry = newInquiry(value, now);
+    const sameMessage = await repositories.inquiries.find({ where: [['fingerprint', '==', inquiry.fingerprint]] });
+    if (sameMessage.some(existing => existing.timestamp.getTime() > now.getTime() - DUPLICATE_WINDOW_MS)) {
+      const detail = issue('duplicate', 'message', 'The same message was already sent in the last 24 hours');
+      await quarantineInquiry(req, 'duplicate', [detail.message]);
+      return res.status(409).json({ error: 'Duplicate inquiry', details: [detail] });
+    }
+    await repositories.inquiries.add(inquiry);
     res.status(201).json({ message: 'Inquiry submitted successfully' });
   } catch (error) {
     console.error('Error submitting inquiry:', error);
@@ -88,11 +877,250 @@ app.post('/api/inquiries', async (req, res) => {
   }
 });
 
+// Admin inbox, newest first: ?status=new&flatId=...&assignedTo=<uid>|unassigned&limit=20&cursor=...
+app.get('/api/admin/inquiries', requireAdmin, validateQuery(QUERY_SCHEMAS.inquiryInbox), async (req, res) => {
+  try {
+    const page = await paginate(repositories.inquiries, {
+      where: buildInquiryWhereClauses(res.locals.query),
+      orderBy: [['timestamp', 'desc']],
+      limit: parseLimit(res.locals.query.limit),
+      cursor: res.locals.query.cursor,
+      queryKey: queryKeyFor(req.query)
+    });
+    res.status(200).json({ inquiries: page.items, nextCursor: page.nextCursor });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return sendInvalidCursor(res);
+    }
+    console.error('Error fetching inquiries:', error);
+    res.status(500).json({ error: 'Failed to fetch inquiries' });
+  }
+});
+
+app.get('/api/admin/inquiries/:id', requireAdmin, validateQuery(QUERY_SCHEMAS.none), async (req, res) => {
+  try {
+    const inquiry = await repositories.inquiries.get(req.params.id);
+    if (!inquiry) {
+      return res.status(404).json({ error: 'Inquiry not found' });
+    }
+    res.status(200).json(inquiry);
+  } catch (error) {
+    console.error('Error fetching inquiry:', error);
+    res.status(500).json({ error: 'Failed to fetch inquiry' });
+  }
+});
+
+// Change status, assign or add a note; every update is appended to the inquiry's history
+app.patch('/api/admin/inquiries/:id', requireAdmin, validateQuery(QUERY_SCHEMAS.none), async (req, res) => {
+  try {
+    const { errors, value } = validateInquiryUpdate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid inquiry update', details: errors });
+    }
+    const inquiry = await repositories.inquiries.get(req.params.id);
+    if (!inquiry) {
+      return res.status(404).json({ error: 'Inquiry not found' });
+    }
+    const status = inquiry.status || 'new';
+    if (value.status && !canTransition(status, value.status)) {
+      return res.status(409).json({ error: `Cannot move an inquiry from ${status} to ${value.status}` });
+    }
+    const changes = {};
+    if (value.status && value.status !== status) {
+      changes.status = { from: status, to: value.status };
+    }
+    const assignedTo = inquiry.assignedTo === undefined ? null : inquiry.assignedTo;
+    if (value.assignedTo !== undefined && value.assignedTo !== assignedTo) {
+      changes.assignedTo = { from: assignedTo, to: value.assignedTo };
+    }
+    if (Object.keys(changes).length === 0 && !value.note) {
+      return res.status(200).json(inquiry);
+    }
+    const now = new Date();
+    const entry = { at: now, by: req.user.uid, note: value.note || null, changes };
+    const update = {
+      ...Object.fromEntries(Object.entries(changes).map(([field, { to }]) => [field, to])),
+      history: [...(inquiry.history || []), entry],
+      updatedAt: now
+    };
+    await repositories.inquiries.update(req.params.id, update);
+    res.status(200).json({ ...inquiry, ...update });
+  } catch (error) {
+    console.error('Error updating inquiry:', error);
+    res.status(500).json({ error: 'Failed to update inquiry' });
+  }
+});
+
+// Review moderation queue, most recently changed first: ?status=pending&flatId=...&limit=20&cursor=...
+app.get('/api/admin/reviews', requireAdmin, validateQuery(QUERY_SCHEMAS.reviewQueue), async (req, res) => {
+  try {
+    const { status, flatId } = res.locals.query;
+    const where = [];
+    if (status) where.push(['status', '==', status]);
+    if (flatId) where.push(['flatId', '==', flatId]);
+    const page = await paginate(repositories.reviews, {
+      where,
+      orderBy: [['updatedAt', 'desc']],
+      limit: parseLimit(res.locals.query.limit),
+      cursor: res.locals.query.cursor,
+      queryKey: queryKeyFor(req.query)
+    });
+    res.status(200).json({ reviews: page.items, nextCursor: page.nextCursor });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return sendInvalidCursor(res);
+    }
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ error: 'Failed to fetch reviews' });
+  }
+});
+
+// Approve or reject a review: { status: 'approved' | 'rejected', note }
+app.patch('/api/admin/reviews/:id', requireAdmin, validateQuery(QUERY_SCHEMAS.none), async (req, res) => {
+  try {
+    const { errors, value } = validateModeration(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid moderation decision', details: errors });
+    }
+    const review = await repositories.reviews.get(req.params.id);
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    const update = { status: value.status, moderationNote: value.note, moderatedBy: req.user.uid, moderatedAt: new Date() };
+    await repositories.reviews.update(req.params.id, update);
+    if (value.status !== review.status) {
+      await refreshFlatRating(review.flatId);
+    }
+    res.status(200).json({ ...review, ...update });
+  } catch (error) {
+    console.error('Error moderating review:', error);
+    res.status(500).json({ error: 'Failed to moderate review' });
+  }
+});
+
+// Testimonial moderation queue, newest first: ?status=pending&limit=20&cursor=...
+app.get('/api/admin/testimonials', requireAdmin, validateQuery(QUERY_SCHEMAS.testimonialQueue), async (req, res) => {
+  try {
+    const { status } = res.locals.query;
+    const page = await paginate(repositories.testimonials, {
+      where: status ? [['status', '==', status]] : [],
+      orderBy: [['createdAt', 'desc']],
+      limit: parseLimit(res.locals.query.limit),
+      cursor: res.locals.query.cursor,
+      queryKey: queryKeyFor(req.query)
+    });
+    res.status(200).json({ testimonials: page.items, nextCursor: page.nextCursor });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return sendInvalidCursor(res);
+    }
+    console.error('Error fetching testimonials:', error);
+    res.status(500).json({ error: 'Failed to fetch testimonials' });
+  }
+});
+
+// Approve, reject or (un)feature a testimonial: { status, featured }
+app.patch('/api/admin/testimonials/:id', requireAdmin, validateQuery(QUERY_SCHEMAS.none), async (req, res) => {
+  try {
+    const testimonial = await repositories.testimonials.get(req.params.id);
+    if (!testimonial) {
+      return res.status(404).json({ error: 'Testimonial not found' });
+    }
+    const { errors, value } = validateTestimonialUpdate(req.body, testimonial);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid testimonial update', details: errors });
+    }
+    const update = { ...value, moderatedBy: req.user.uid, moderatedAt: new Date() };
+    await repositories.testimonials.update(req.params.id, update);
+    res.status(200).json({ ...testimonial, ...update });
+  } catch (error) {
+    console.error('Error moderating testimonial:', error);
+    res.status(500).json({ error: 'Failed to moderate testimonial' });
+  }
+});
+
+// Quarantined submissions, newest first: ?reason=duplicate&limit=20&cursor=...
+app.get('/api/admin/inquiry-quarantine', requireAdmin, validateQuery(QUERY_SCHEMAS.inquiryQuarantine), async (req, res) => {
+  try {
+    const { reason } = res.locals.query;
+    const page = await paginate(repositories.inquiryQuarantine, {
+      where: reason ? [['reason', '==', reason]] : [],
+      orderBy: [['receivedAt', 'desc']],
+      limit: parseLimit(res.locals.query.limit),
+      cursor: res.locals.query.cursor,
+      queryKey: queryKeyFor(req.query)
+    });
+    res.status(200).json({ entries: page.items, nextCursor: page.nextCursor });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return sendInvalidCursor(res);
+    }
+    console.error('Error fetching quarantined inquiries:', error);
+    res.status(500).json({ error: 'Failed to fetch quarantined inquiries' });
+  }
+});
+
+// Accept a quarantined submission into the inbox as a new inquiry
+app.post('/api/admin/inquiry-quarantine/:id/release', requireAdmin, validateQuery(QUERY_SCHEMAS.none), async (req, res) => {
+  try {
+    const entry = await repositories.inquiryQuarantine.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Quarantined inquiry not found' });
+    }
+    const { errors, value } = validateInquiry(entry.submission);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Quarantined inquiry is not valid', details: errors });
+    }
+    const inquiry = await repositories.inquiries.add(newInquiry(value, new Date(), {
+      by: req.user.uid,
+      note: `Released from quarantine (${entry.reason})`
+    }));
+    await repositories.inquiryQuarantine.delete(req.params.id);
+    res.status(201).json(inquiry);
+  } catch (error) {
+    console.error('Error releasing quarantined inquiry:', error);
+    res.status(500).json({ error: 'Failed to release quarantined inquiry' });
+  }
+});
+
+app.delete('/api/admin/inquiry-quarantine/:id', requireAdmin, validateQuery(QUERY_SCHEMAS.none), async (req, res) => {
+  try {
+    if (!(await repositories.inquiryQuarantine.get(req.params.id))) {
+      return res.status(404).json({ error: 'Quarantined inquiry not found' });
+    }
+    await repositories.inquiryQuarantine.delete(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting quarantined inquiry:', error);
+    res.status(500).json({ error: 'Failed to delete quarantined inquiry' });
+  }
+});
+
 // Serve frontend
-app.get('*', (req, res) => {
+app.get('/{*splat}', (req, res) => {
   res.sendFile(path.join(__dirname, 'apartment.html'));
 });
 
-app.listen(port, () => {
-  console.log(`Server running on port ${port}`);
+// Malformed JSON bodies get the same structured 400 as invalid query parameters
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid request', details: [issue('invalid_json', 'body', 'Request body must be valid JSON')] });
+  }
+  next(error);
 });
+
+// Local backends start from seed data that carries no derived fields or testimonial statuses
+if ((process.env.STORAGE_BACKEND || 'firestore') !== 'firestore') {
+  // A failure leaves the server running on the data as loaded; POST /api/admin/reindex retries it
+  app.locals.ready = Promise.all([reindexFlats(), migrateLegacyTestimonials(), migrateSavedSearchFlags()]).catch(error => {
+    console.error('Error preparing seed data (search index, testimonial statuses, saved search flags):', error);
+  });
+}
+
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`Server running on port ${port}`);
+  });
+}
+
+module.exports = app;
@@ -1,17 +1,801 @@
+process.env.STORAGE_BACKEND = 'memory';
+process.env.EMAIL_TRANSPORT = 'memory';
+process.env.IMAGE_STORAGE = 'memory';
+process.env.ALLOW_UNSIGNED_TOKENS = '1';
+
 const request = require('supertest');
-const app = require('../index');
+const Jimp = require('jimp');
+const app = require('./index');
+const { createIdTokenVerifier } = require('./server/auth');
+
+// Unsigned ID token, accepted by the local token verifier that ALLOW_UNSIGNED_TOKENS turns on
+function idToken(claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'none' })}.${encode(claims)}.`;
+}
+
+const adminToken = idToken({ uid: 'admin-1', email: 'admin@example.com', admin: true });
+const userToken = idToken({ uid: 'user-1', email: 'user@example.com' });
+
+const newFlat = {
+  type: '2BHK',
+  offerType: 'sale',
+  price: 350000,
+  bedrooms: 2,
+  bathrooms: 2,
+  area: 1000,
+  location: 'Uptown, Metropolis',
+  amenities: ['gym', 'parking'],
+  imageUrls: ['https://example.com/flat.jpg']
+};
+
+beforeAll(() => app.locals.ready);
+// Every request comes from the same address, so inquiry throttling starts afresh in each test
+beforeEach(() => {
+  Object.values(app.locals.inquiryRateLimiters).forEach(limiter => limiter.reset());
+  app.locals.testimonialRateLimiter.reset();
+  Object.values(app.locals.viewingRateLimiters).forEach(limiter => limiter.reset());
+});
 
 describe('API Endpoints', () => {
   test('GET /api/flats returns apartments', async () => {
     const response = await request(app).get('/api/flats');
     expect(response.status).toBe(200);
-    expect(Array.isArray(response.body)).toBe(true);
+    expect(Array.isArray(response.body.flats)).toBe(true);
+    expect(response.body.flats.length).toBeGreaterThan(0);
+  });
+
+  test('GET /api/flats filters and sorts', async () => {
+    const response = await request(app).get('/api/flats?offerType=rent&sortBy=price-asc');
+    expect(response.status).toBe(200);
+    expect(response.body.flats.every(flat => flat.offerType === 'rent')).toBe(true);
+    const prices = response.body.flats.map(flat => flat.price);
+    expect(prices).toEqual([...prices].sort((a, b) => a - b));
+  });
+
+  test('GET /api/flats?q= matches word prefixes case-insensitively, ranked by relevance', async () => {
+    const response = await request(app).get('/api/flats?q=DOWNT');
+    expect(response.status).toBe(200);
+    expect(response.body.flats.length).toBeGreaterThan(0);
+    expect(response.body.flats.every(flat => /downtown/i.test(`${flat.location} ${flat.description}`))).toBe(true);
+    const scores = response.body.flats.map(flat => flat.relevance);
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+    expect(response.body.flats[0].searchTokens).toBeUndefined();
+  });
+
+  test('GET /api/flats?q= requires every term to match', async () => {
+    const pool = await request(app).get('/api/flats?q=pool');
+    const poolDowntown = await request(app).get('/api/flats?q=pool%20downtown');
+    expect(poolDowntown.body.flats.length).toBeGreaterThan(0);
+    expect(poolDowntown.body.flats.length).toBeLessThan(pool.body.flats.length);
+  });
+
+  test('GET /api/flats?amenities= supports any and all matching, including legacy amenity data', async () => {
+    const any = await request(app).get('/api/flats?amenities=pool,fireplace');
+    expect(any.status).toBe(200);
+    expect(any.body.flats.map(flat => flat.id).sort()).toEqual(['flat-005', 'flat-006']);
+    const all = await request(app).get('/api/flats?amenities=pool,gym&amenityMatch=all');
+    expect(all.body.flats.map(flat => flat.id)).toEqual(['flat-006']);
+    expect(all.body.flats[0].amenityKeys).toBeUndefined();
+  });
+
+  test('GET /api/flats filters on bedroom, bathroom and area ranges', async () => {
+    const response = await request(app).get('/api/flats?minBedrooms=2&maxBedrooms=3&minBathrooms=2&minArea=1000&maxArea=2000');
+    expect(response.status).toBe(200);
+    expect(response.body.flats.map(flat => flat.id).sort()).toEqual(['flat-003', 'flat-005']);
+  });
+
+  test('GET /api/flats narrows the query by one filter and applies the rest in memory', async () => {
+    const { flats } = app.locals.repositories;
+    const find = flats.find;
+    const queries = [];
+    flats.find = options => {
+      queries.push(options.where);
+      return find.call(flats, options);
+    };
+    try {
+      const sorted = await request(app).get('/api/flats?minBedrooms=2&maxBedrooms=3&minBathrooms=2&minArea=1000&maxArea=2000&sortBy=area-desc');
+      expect(sorted.body.flats.map(flat => flat.id)).toEqual(['flat-005', 'flat-003']);
+      expect(queries.pop()).toEqual([['area', '>=', 1000], ['area', '<=', 2000]]);
+      const typed = await request(app).get('/api/flats?offerType=rent&flatType=2BHK&minPrice=1000');
+      expect(typed.body.flats.map(flat => flat.id)).toEqual(['flat-004']);
+      expect(queries.pop()).toEqual([['offerType', '==', 'rent']]);
+      await request(app).get('/api/flats?offerType=sale&amenities=gym&sortBy=price-asc');
+      expect(queries.pop()).toEqual([['amenityKeys', 'array-contains-any', ['gym']]]);
+    } finally {
+      flats.find = find;
+    }
+  });
+
+  test('GET /api/flats/facets counts each facet without its own filter', async () => {
+    const response = await request(app).get('/api/flats/facets?offerType=rent&flatType=2BHK');
+    expect(response.status).toBe(200);
+    expect(response.body.total).toBe(1);
+    // Type counts ignore the selected flatType but respect offerType
+    expect(response.body.type).toEqual({ studio: 1, '1BHK': 1, '2BHK': 1, '3BHK': 0, penthouse: 0 });
+    // offerType counts ignore offerType but respect flatType
+    expect(response.body.offerType).toEqual({ sale: 1, rent: 1 });
+    expect(response.body.bedrooms).toEqual({ 2: 1 });
+    const bucket = response.body.price.find(entry => entry.key === '2000-5000');
+    expect(bucket.count).toBe(1);
+  });
+
+  test('GET /api/flats pages through results with opaque cursors', async () => {
+    const all = await request(app).get('/api/flats?sortBy=price-desc&limit=100');
+    const seen = [];
+    let cursor = null;
+    do {
+      const response = await request(app).get('/api/flats').query({ sortBy: 'price-desc', limit: 4, ...(cursor ? { cursor } : {}) });
+      expect(response.status).toBe(200);
+      expect(response.body.flats.length).toBeLessThanOrEqual(4);
+      seen.push(...response.body.flats.map(flat => flat.id));
+      cursor = response.body.nextCursor;
+    } while (cursor);
+    expect(seen).toEqual(all.body.flats.map(flat => flat.id));
+  });
+
+  test('GET /api/flats rejects cursors from a different query', async () => {
+    const first = await request(app).get('/api/flats?sortBy=price-asc&limit=2');
+    expect(first.body.nextCursor).toBeTruthy();
+    const response = await request(app).get('/api/flats').query({ sortBy: 'area-asc', limit: 2, cursor: first.body.nextCursor });
+    expect(response.status).toBe(400);
+  });
+
+  test('query parameters are validated against the route schema', async () => {
+    const codes = async path => {
+      const response = await request(app).get(path);
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid request');
+      return response.body.details.map(({ code, field }) => `${code}:${field}`);
+    };
+    expect(await codes('/api/flats?sortBy=secret-asc')).toEqual(['invalid_value:sortBy']);
+    expect(await codes('/api/flats?minPrice=abc&maxBedrooms=1.5')).toEqual(['invalid_type:minPrice', 'invalid_type:maxBedrooms']);
+    expect(await codes('/api/flats?minPrice=500&maxPrice=100')).toEqual(['invalid_range:maxPrice']);
+    expect(await codes('/api/flats?offerType=lease&flatType=castle')).toEqual(['invalid_value:offerType', 'invalid_value:flatType']);
+    expect(await codes('/api/flats?limit=500&sort=price')).toEqual(['unknown_parameter:sort', 'out_of_range:limit']);
+    expect(await codes('/api/flats?limit=1&limit=2')).toEqual(['repeated_parameter:limit']);
+    expect(await codes('/api/flats/flat-001/viewings/slots?from=2024-02-30')).toEqual(['invalid_format:from']);
+    expect(await codes('/api/flats/bad.id')).toEqual(['invalid_format:id']);
+    expect(await codes('/api/testimonials?page=2')).toEqual(['unknown_parameter:page']);
+
+    const details = (await request(app).get('/api/flats?maxPrice=-5')).body.details;
+    expect(details).toEqual([{ code: 'out_of_range', field: 'maxPrice', message: 'maxPrice must be between 0 and 1000000000' }]);
+
+    const cursor = await request(app).get('/api/flats?cursor=bogus');
+    expect(cursor.status).toBe(400);
+    expect(cursor.body.details[0]).toMatchObject({ code: 'invalid_cursor', field: 'cursor' });
+
+    const json = await request(app).post('/api/inquiries').set('Content-Type', 'application/json').send('{"name":');
+    expect(json.status).toBe(400);
+    expect(json.body.details[0]).toMatchObject({ code: 'invalid_json', field: 'body' });
+  });
+
+  test('request bodies are reported with the same issue shape as query strings', async () => {
+    const inquiry = await request(app).post('/api/inquiries').send({ name: 'Shape', email: 'shape@example.com', message: '' });
+    expect(inquiry.status).toBe(400);
+    expect(inquiry.body).toEqual({ error: 'Invalid inquiry', details: [{ code: 'required', field: 'message', message: 'message is required' }] });
+
+    const notAnObject = await request(app).post('/api/testimonials').send([1, 2]);
+    expect(notAnObject.body.details).toEqual([{ code: 'invalid_body', field: 'body', message: 'Request body must be a JSON object' }]);
+
+    const flat = await request(app).patch('/api/flats/flat-001').set('Authorization', `Bearer ${adminToken}`).send({ bedrooms: 1.5, location: '' });
+    expect(flat.status).toBe(400);
+    expect(flat.body.details).toEqual([
+      { code: 'invalid_type', field: 'bedrooms', message: 'bedrooms must be a non-negative integer' },
+      { code: 'invalid_type', field: 'location', message: 'location must be a non-empty string' }
+    ]);
+    const nothing = await request(app).patch('/api/flats/flat-001').set('Authorization', `Bearer ${adminToken}`).send({});
+    expect(nothing.body.details).toEqual([{ code: 'no_changes', field: 'body', message: 'No updatable fields provided' }]);
+
+    const valid = await request(app).get('/api/flats?minBedrooms=0&maxBedrooms=0&amenities=gym,pool&sortBy=area-asc');
+    expect(valid.status).toBe(200);
+    const studios = await request(app).get('/api/flats?minBedrooms=0&maxBedrooms=0');
+    expect(studios.body.flats.length).toBeGreaterThan(0);
+    studios.body.flats.forEach(flat => expect(flat.bedrooms).toBe(0));
+  });
+
+  test('GET /api/flats/query-schema describes the listing filters', async () => {
+    const response = await request(app).get('/api/flats/query-schema');
+    expect(response.status).toBe(200);
+    expect(response.body.params.sortBy.options.map(item => item.value)).toEqual(['price-desc', 'price-asc', 'area-desc', 'area-asc', 'averageRating-desc', 'priceReducedAt-desc']);
+    expect(response.body.params.offerType.options).toContainEqual({ value: 'rent', label: 'For Rent' });
+    expect(response.body.params.minBedrooms).toEqual({ type: 'integer', min: 0, max: 10 });
+    expect(response.body.ranges).toContainEqual(['minPrice', 'maxPrice']);
+  });
+
+  test('GET /api/flats/near returns flats within the radius, nearest first', async () => {
+    const response = await request(app).get('/api/flats/near?lat=40.7128&lng=-74.006&radiusKm=2');
+    expect(response.status).toBe(200);
+    expect(response.body.flats.map(flat => flat.id)).toEqual(['flat-001', 'flat-006', 'flat-003']);
+    expect(response.body.flats[0].distanceKm).toBe(0);
+    expect(response.body.flats[1].distanceKm).toBeGreaterThan(0.3);
+    expect(response.body.flats[1].distanceKm).toBeLessThan(0.4);
+    expect(response.body.flats[0].geohash).toBeUndefined();
+
+    const filtered = await request(app).get('/api/flats/near?lat=40.7128&lng=-74.006&radiusKm=2&offerType=sale');
+    expect(filtered.body.flats.map(flat => flat.id)).toEqual(['flat-006', 'flat-003']);
+
+    const wider = await request(app).get('/api/flats/near?lat=40.7128&lng=-74.006&radiusKm=20');
+    expect(wider.body.flats).toHaveLength(6);
+
+    const invalid = await request(app).get('/api/flats/near?lat=95&lng=-74&radiusKm=0');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details).toHaveLength(2);
+  });
+
+  test('GET /api/flats/:id returns 404 for unknown apartments', async () => {
+    const response = await request(app).get('/api/flats/does-not-exist');
+    expect(response.status).toBe(404);
+  });
+
+  test('deep links to an apartment serve the listings page', async () => {
+    const response = await request(app).get('/flats/flat-001');
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/html/);
+    expect(response.text).toContain('flat-detail-not-found');
+  });
+
+  test('the service worker and web app manifest are served from the site root', async () => {
+    const worker = await request(app).get('/sw.js');
+    expect(worker.status).toBe(200);
+    expect(worker.headers['content-type']).toMatch(/javascript/);
+    const manifest = await request(app).get('/manifest.webmanifest');
+    expect(manifest.headers['content-type']).toMatch(/manifest\+json/);
+    const { start_url: startUrl, icons } = JSON.parse(manifest.text);
+    expect(startUrl).toBe('/');
+    for (const icon of icons) {
+      expect((await request(app).get(icon.src)).headers['content-type']).toBe('image/png');
+    }
+  });
+
+  test('GET /api/testimonials and /api/apartment-details return seeded data', async () => {
+    const testimonials = await request(app).get('/api/testimonials');
+    expect(testimonials.status).toBe(200);
+    expect(testimonials.body.testimonials.length).toBeGreaterThan(0);
+    const details = await request(app).get('/api/apartment-details');
+    expect(details.status).toBe(200);
+    expect(details.body.address).toBeDefined();
+  });
+
+  test('submitted testimonials are listed once approved, featured first', async () => {
+    const submit = body => request(app).post('/api/testimonials').send(body);
+    const moderate = (id, body) => request(app).patch(`/api/admin/testimonials/${id}`).set('Authorization', `Bearer ${adminToken}`).send(body);
+    const listed = async () => (await request(app).get('/api/testimonials?limit=100')).body.testimonials.map(item => item.author);
+
+    expect((await submit({ author: '', quote: 'Lovely' })).body.details).toEqual([{ code: 'required', field: 'author', message: 'author is required' }]);
+    app.locals.testimonialRateLimiter.reset(); // Rejected submissions count towards the limit too
+    const first = await submit({ author: 'Dana K.', quote: 'Quiet, bright and well run.', fillTimeMs: 9000 });
+    expect(first.status).toBe(201);
+    expect(first.body.status).toBe('pending');
+    const second = await submit({ author: 'Omar T.', quote: 'The rooftop garden sold it for us.', fillTimeMs: 15000 });
+    expect((await submit({ author: 'Bot', quote: 'Buy now', website: 'http://spam.example' })).status).toBe(201);
+    expect((await submit({ author: 'Too many', quote: 'Fourth in an hour' })).status).toBe(429);
+
+    const queue = await request(app).get('/api/admin/testimonials?status=pending').set('Authorization', `Bearer ${adminToken}`);
+    expect(queue.body.testimonials.map(item => item.author)).toEqual(['Omar T.', 'Dana K.']);
+    expect(await listed()).not.toContain('Dana K.');
+
+    expect((await moderate(first.body.id, { featured: true })).body.details).toEqual([
+      { code: 'invalid_value', field: 'featured', message: 'Only approved testimonials can be featured' }
+    ]);
+    await moderate(first.body.id, { status: 'approved' });
+    await moderate(second.body.id, { status: 'approved', featured: true });
+    const authors = await listed();
+    expect(authors[0]).toBe('Omar T.');
+    expect(authors).toContain('Dana K.');
+    expect(authors).toContain('Priya S.');
+
+    const rejected = await moderate(second.body.id, { status: 'rejected' });
+    expect(rejected.body).toMatchObject({ status: 'rejected', featured: false, moderatedBy: 'admin-1' });
+    expect(await listed()).not.toContain('Omar T.');
+
+    const page = await request(app).get('/api/testimonials?limit=1');
+    expect(page.body.testimonials).toHaveLength(1);
+    expect(page.body.testimonials[0].ip).toBeUndefined();
+    const next = await request(app).get(`/api/testimonials?limit=1&cursor=${page.body.nextCursor}`);
+    expect(next.body.testimonials[0].id).not.toBe(page.body.testimonials[0].id);
+  });
+
+  test('GET /api/rates returns the current exchange rates', async () => {
+    const response = await request(app).get('/api/rates');
+    expect(response.status).toBe(200);
+    expect(response.body.base).toBe('USD');
+    expect(response.body.rates.EUR).toBe(0.92);
+    expect(new Date(response.body.asOf).toISOString()).toBe('2024-05-20T00:00:00.000Z');
+  });
+
+  test('PUT /api/admin/rates imports rates from CSV and validates them', async () => {
+    const forbidden = await request(app).put('/api/admin/rates').set('Authorization', `Bearer ${userToken}`).send({ rates: { USD: 1 } });
+    expect(forbidden.status).toBe(403);
+
+    const invalid = await request(app)
+      .put('/api/admin/rates')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ base: 'EUR', rates: { EUR: 1, GBP: -2 } });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details).toEqual([{ code: 'out_of_range', field: 'rates.GBP', message: 'rate for GBP must be a positive number' }]);
+
+    const csv = 'currency,rate\n#asOf,2024-06-01T00:00:00Z\nUSD,1\neur,0.93\nGBP,0.78\n';
+    const imported = await request(app)
+      .put('/api/admin/rates')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+    expect(imported.status).toBe(200);
+
+    const response = await request(app).get('/api/rates');
+    expect(response.body).toEqual({ base: 'USD', asOf: '2024-06-01T00:00:00.000Z', rates: { USD: 1, EUR: 0.93, GBP: 0.78 } });
   });
 
   test('POST /api/inquiries submits inquiry', async () => {
-    const inquiry = { name: 'Test User', email: 'test@example.com', message: 'Hello' };
+    const inquiry = { name: 'Test User', email: 'test@example.com', message: 'Hello', fillTimeMs: 5000 };
     const response = await request(app).post('/api/inquiries').send(inquiry);
     expect(response.status).toBe(201);
     expect(response.body.message).toBe('Inquiry submitted successfully');
   });
+
+  test('POST /api/inquiries stores the apartment and rejects unknown ones', async () => {
+    const unknown = await request(app).post('/api/inquiries').send({ name: 'A', email: 'a@example.com', message: 'Hi', flatId: 'no-such-flat' });
+    expect(unknown.status).toBe(400);
+
+    const response = await request(app).post('/api/inquiries').send({ name: 'Flat Fan', email: 'fan@example.com', message: 'Is it available?', flatId: 'flat-002', fillTimeMs: 8000 });
+    expect(response.status).toBe(201);
+    const inbox = await request(app).get('/api/admin/inquiries?flatId=flat-002').set('Authorization', `Bearer ${adminToken}`);
+    expect(inbox.status).toBe(200);
+    expect(inbox.body.inquiries).toHaveLength(1);
+    expect(inbox.body.inquiries[0]).toMatchObject({ name: 'Flat Fan', flatId: 'flat-002', status: 'new', assignedTo: null });
+  });
+
+  test('admins move inquiries through the status workflow with notes', async () => {
+    await request(app).post('/api/inquiries').send({ name: 'Workflow', email: 'w@example.com', message: 'Viewing?', flatId: 'flat-003', fillTimeMs: 8000 });
+    const forbidden = await request(app).get('/api/admin/inquiries').set('Authorization', `Bearer ${userToken}`);
+    expect(forbidden.status).toBe(403);
+
+    const inbox = await request(app).get('/api/admin/inquiries?status=new&flatId=flat-003').set('Authorization', `Bearer ${adminToken}`);
+    const { id } = inbox.body.inquiries[0];
+    const patch = body => request(app).patch(`/api/admin/inquiries/${id}`).set('Authorization', `Bearer ${adminToken}`).send(body);
+
+    const contacted = await patch({ status: 'contacted', assignedTo: 'agent-7', note: 'Called back' });
+    expect(contacted.status).toBe(200);
+    expect(contacted.body).toMatchObject({ status: 'contacted', assignedTo: 'agent-7' });
+
+    expect((await patch({ status: 'new' })).status).toBe(409);
+    expect((await patch({ status: 'archived' })).status).toBe(400);
+    expect((await patch({ status: 'closed', note: 'Signed elsewhere' })).status).toBe(200);
+
+    const inquiry = await request(app).get(`/api/admin/inquiries/${id}`).set('Authorization', `Bearer ${adminToken}`);
+    expect(inquiry.body.history.map(entry => [entry.changes.status && entry.changes.status.to, entry.note])).toEqual([
+      ['new', null],
+      ['contacted', 'Called back'],
+      ['closed', 'Signed elsewhere']
+    ]);
+    expect(inquiry.body.history[1]).toMatchObject({ by: 'admin-1', changes: { assignedTo: { from: null, to: 'agent-7' } } });
+    expect(new Date(inquiry.body.history[2].at).getTime()).not.toBeNaN();
+
+    const assigned = await request(app).get('/api/admin/inquiries?assignedTo=agent-7&status=closed').set('Authorization', `Bearer ${adminToken}`);
+    expect(assigned.body.inquiries.map(item => item.id)).toEqual([id]);
+  });
+
+  test('invalid, bot-like and duplicate inquiries are quarantined', async () => {
+    const quarantine = async reason => (await request(app)
+      .get(`/api/admin/inquiry-quarantine?reason=${reason}`)
+      .set('Authorization', `Bearer ${adminToken}`)).body.entries;
+    const inbox = async email => (await request(app).get('/api/admin/inquiries').set('Authorization', `Bearer ${adminToken}`))
+      .body.inquiries.filter(inquiry => inquiry.email === email);
+
+    const invalid = await request(app).post('/api/inquiries').send({ name: 'Bad', email: 'not-an-email', message: 'x'.repeat(5001) });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details).toEqual([
+      { code: 'too_long', field: 'message', message: 'message must be at most 5000 characters' },
+      { code: 'invalid_format', field: 'email', message: 'email must be a valid email address' }
+    ]);
+    const [invalidEntry] = await quarantine('invalid');
+    expect(invalidEntry).toMatchObject({
+      submission: { name: 'Bad', email: 'not-an-email' },
+      details: ['message must be at most 5000 characters', 'email must be a valid email address']
+    });
+    expect(invalidEntry.submission.message).toHaveLength(5000);
+
+    const honeypot = await request(app).post('/api/inquiries').send({ name: 'Bot', email: 'bot@example.com', message: 'Buy now', website: 'https://spam.example', fillTimeMs: 9000 });
+    expect(honeypot.status).toBe(201);
+    const tooFast = await request(app).post('/api/inquiries').send({ name: 'Bot', email: 'bot@example.com', message: 'Buy later', fillTimeMs: 400 });
+    expect(tooFast.status).toBe(201);
+    // A script posting straight to the API sends no fill time, or one that is not a number
+    expect((await request(app).post('/api/inquiries').send({ name: 'Script', email: 'script@example.com', message: 'No timer' })).status).toBe(201);
+    expect((await request(app).post('/api/inquiries').send({ name: 'Script', email: 'script@example.com', message: 'Odd timer', fillTimeMs: '9000' })).status).toBe(201);
+    expect(await inbox('bot@example.com')).toEqual([]);
+    expect(await inbox('script@example.com')).toEqual([]);
+    expect((await quarantine('honeypot')).map(entry => entry.submission.message)).toEqual(['Buy now']);
+    const tooFastEntries = (await quarantine('too-fast')).filter(entry => ['bot@example.com', 'script@example.com'].includes(entry.submission.email));
+    expect(tooFastEntries.map(entry => entry.submission.message).sort()).toEqual(['Buy later', 'No timer', 'Odd timer']);
+    expect(tooFastEntries.find(entry => entry.submission.message === 'No timer').details).toEqual(['The form was submitted without a fill time']);
+
+    Object.values(app.locals.inquiryRateLimiters).forEach(limiter => limiter.reset());
+    const message = { name: 'Repeat', email: 'repeat@example.com', message: 'Is   parking included?', flatId: 'flat-001', fillTimeMs: 12000 };
+    expect((await request(app).post('/api/inquiries').send(message)).status).toBe(201);
+    const duplicate = await request(app).post('/api/inquiries').send({ ...message, email: 'Repeat@Example.com', message: 'is parking included?' });
+    expect(duplicate.status).toBe(409);
+    expect((await request(app).post('/api/inquiries').send({ ...message, flatId: 'flat-002' })).status).toBe(201);
+    expect(await inbox('repeat@example.com')).toHaveLength(2);
+    expect(await quarantine('duplicate')).toHaveLength(1);
+  });
+
+  test('inquiries are rate limited per IP and per email address', async () => {
+    const send = (email, index) => request(app).post('/api/inquiries').send({ name: 'Flood', email, message: `Message ${index}`, fillTimeMs: 8000 });
+    for (let index = 0; index < 3; index++) {
+      expect((await send('flood@example.com', index)).status).toBe(201);
+    }
+    const perEmail = await send('flood@example.com', 3);
+    expect(perEmail.status).toBe(429);
+    expect(Number(perEmail.headers['retry-after'])).toBeGreaterThan(0);
+
+    // The rejected request above still counts towards the IP's five
+    expect((await send('other@example.com', 4)).status).toBe(201);
+    expect((await send('other@example.com', 5)).status).toBe(429);
+    expect((await send('other@example.com', 6)).status).toBe(429);
+
+    // Only the first rejection per limiter and window is kept
+    const entries = (await request(app).get('/api/admin/inquiry-quarantine?reason=rate-limited').set('Authorization', `Bearer ${adminToken}`)).body.entries;
+    expect(entries.map(entry => entry.submission.message).sort()).toEqual(['Message 3', 'Message 5']);
+  });
+
+  test('admins release or discard quarantined inquiries', async () => {
+    await request(app).post('/api/inquiries').send({ name: 'Quick', email: 'quick@example.com', message: 'Real person, fast typist', fillTimeMs: 1500 });
+    const list = path => request(app).get(path).set('Authorization', `Bearer ${adminToken}`);
+    expect((await request(app).get('/api/admin/inquiry-quarantine').set('Authorization', `Bearer ${userToken}`)).status).toBe(403);
+    expect((await list('/api/admin/inquiry-quarantine?reason=spam')).status).toBe(400);
+    const [entry] = (await list('/api/admin/inquiry-quarantine?reason=too-fast')).body.entries.filter(item => item.submission.email === 'quick@example.com');
+
+    const released = await request(app).post(`/api/admin/inquiry-quarantine/${entry.id}/release`).set('Authorization', `Bearer ${adminToken}`);
+    expect(released.status).toBe(201);
+    expect(released.body).toMatchObject({ email: 'quick@example.com', status: 'new' });
+    expect(released.body.history[0]).toMatchObject({ by: 'admin-1', note: 'Released from quarantine (too-fast)' });
+    expect((await request(app).post(`/api/admin/inquiry-quarantine/${entry.id}/release`).set('Authorization', `Bearer ${adminToken}`)).status).toBe(404);
+
+    const [invalid] = (await list('/api/admin/inquiry-quarantine?reason=invalid')).body.entries;
+    expect((await request(app).post(`/api/admin/inquiry-quarantine/${invalid.id}/release`).set('Authorization', `Bearer ${adminToken}`)).status).toBe(400);
+    expect((await request(app).delete(`/api/admin/inquiry-quarantine/${invalid.id}`).set('Authorization', `Bearer ${adminToken}`)).status).toBe(204);
+    expect((await request(app).delete(`/api/admin/inquiry-quarantine/${invalid.id}`).set('Authorization', `Bearer ${adminToken}`)).status).toBe(404);
+  });
+
+  test('viewings can be booked once per slot and exported as iCalendar', async () => {
+    const slots = await request(app).get('/api/flats/flat-002/viewings/slots?days=14');
+    expect(slots.status).toBe(200);
+    const slot = slots.body.slots.find(item => item.available);
+    expect(slot).toBeDefined();
+
+    const visitor = { name: 'Viewer', email: 'viewer@example.com' };
+    const offHours = new Date(new Date(slot.start).getTime() + 10 * 60 * 1000).toISOString();
+    expect((await request(app).post('/api/flats/flat-002/viewings').send({ ...visitor, start: offHours })).status).toBe(400);
+
+    const booking = await request(app).post('/api/flats/flat-002/viewings').send({ ...visitor, start: slot.start });
+    expect(booking.status).toBe(201);
+    expect(booking.body).toMatchObject({ flatId: 'flat-002', start: slot.start, end: slot.end, status: 'confirmed' });
+
+    const doubleBooking = await request(app).post('/api/flats/flat-003/viewings').send({ ...visitor, start: slot.start });
+    expect(doubleBooking.status).toBe(409);
+    const after = await request(app).get('/api/flats/flat-002/viewings/slots?days=14');
+    expect(after.body.slots.find(item => item.start === slot.start).available).toBe(false);
+
+    const ics = await request(app).get(booking.body.icsUrl);
+    expect(ics.status).toBe(200);
+    expect(ics.headers['content-type']).toMatch(/text\/calendar/);
+    expect(ics.text).toContain(`DTSTART:${slot.start.replace(/[-:]/g, '').replace('.000', '')}`);
+    expect((await request(app).get(`/api/viewings/${booking.body.id}/calendar.ics?token=wrong`)).status).toBe(404);
+
+    expect((await request(app).get('/api/admin/viewings/feed.ics')).status).toBe(401);
+    const feed = await request(app).get('/api/admin/viewings/feed.ics').set('Authorization', `Bearer ${adminToken}`);
+    expect(feed.status).toBe(200);
+    expect(feed.text).toContain('Visitor: Viewer <viewer@example.com>');
+  });
+
+  test('viewing bookings are throttled per IP and per email address', async () => {
+    const slots = await request(app).get('/api/flats/flat-001/viewings/slots?days=14');
+    // Passes validation but matches no slot, so nothing is booked
+    const offHours = new Date(new Date(slots.body.slots[0].start).getTime() + 10 * 60 * 1000).toISOString();
+    const book = body => request(app).post('/api/flats/flat-001/viewings').send({ start: offHours, ...body });
+
+    const tooLong = await book({ name: 'x'.repeat(101), email: 'long@example.com', phone: '1'.repeat(31) });
+    expect(tooLong.status).toBe(400);
+    expect(tooLong.body.details).toEqual([
+      { code: 'too_long', field: 'name', message: 'name must be at most 100 characters' },
+      { code: 'too_long', field: 'phone', message: 'phone must be at most 30 characters' }
+    ]);
+
+    for (let i = 0; i < 3; i++) {
+      expect((await book({ name: 'Repeat', email: 'repeat@example.com' })).status).toBe(400);
+    }
+    const perEmail = await book({ name: 'Repeat', email: 'Repeat@Example.com' });
+    expect(perEmail.status).toBe(429);
+    expect(Number(perEmail.headers['retry-after'])).toBeGreaterThan(0);
+
+    const perIp = await book({ name: 'Other', email: 'other@example.com' });
+    expect(perIp.status).toBe(429);
+    expect(perIp.body.error).toBe('Too many viewing requests, please try again later');
+  });
+
+  test('reviews are moderated before they count towards the rating', async () => {
+    const reviewerToken = idToken({ uid: 'reviewer-1', email: 'reviewer@example.com', name: 'Rita' });
+    const putReview = (token, body) => request(app).put('/api/flats/flat-003/reviews/mine').set('Authorization', `Bearer ${token}`).send(body);
+    const moderate = (id, status) => request(app).patch(`/api/admin/reviews/${id}`).set('Authorization', `Bearer ${adminToken}`).send({ status });
+    const flat = async () => (await request(app).get('/api/flats/flat-003')).body;
+
+    expect((await request(app).put('/api/flats/flat-003/reviews/mine').send({ rating: 5, text: 'Great' })).status).toBe(401);
+    expect((await putReview(reviewerToken, { rating: 6, text: '' })).body.details).toEqual([
+      { code: 'out_of_range', field: 'rating', message: 'rating must be a whole number from 1 to 5' },
+      { code: 'required', field: 'text', message: 'text is required' }
+    ]);
+    expect((await request(app).put('/api/flats/missing/reviews/mine').set('Authorization', `Bearer ${reviewerToken}`).send({ rating: 4, text: 'Nice' })).status).toBe(404);
+
+    const created = await putReview(reviewerToken, { rating: 4, text: 'Bright and quiet' });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ status: 'pending', authorName: 'Rita' });
+    await putReview(userToken, { rating: 2, text: 'Noisy street', authorName: 'Sam' });
+    expect((await request(app).get('/api/flats/flat-003/reviews')).body.reviews).toEqual([]);
+    expect((await moderate(created.body.id, 'approved')).status).toBe(200);
+    await moderate('flat-003_user-1', 'approved');
+    expect(await flat()).toMatchObject({ averageRating: 3, reviewCount: 2 });
+
+    const reviews = (await request(app).get('/api/flats/flat-003/reviews')).body.reviews;
+    expect(reviews.map(review => review.authorName).sort()).toEqual(['Rita', 'Sam']);
+    expect(reviews[0].uid).toBeUndefined();
+
+    // Editing keeps one review per user, and sends it back to moderation
+    const edited = await putReview(reviewerToken, { rating: 5, text: 'Even better in summer' });
+    expect(edited.status).toBe(200);
+    expect(edited.body.id).toBe(created.body.id);
+    expect(await flat()).toMatchObject({ averageRating: 2, reviewCount: 1 });
+    const mine = await request(app).get('/api/flats/flat-003/reviews/mine').set('Authorization', `Bearer ${reviewerToken}`);
+    expect(mine.body).toMatchObject({ rating: 5, status: 'pending' });
+
+    const queue = await request(app).get('/api/admin/reviews?status=pending').set('Authorization', `Bearer ${adminToken}`);
+    expect(queue.body.reviews.map(review => review.id)).toEqual([created.body.id]);
+    expect((await request(app).get('/api/admin/reviews').set('Authorization', `Bearer ${userToken}`)).status).toBe(403);
+    expect((await moderate(created.body.id, 'pending')).status).toBe(400);
+    await moderate(created.body.id, 'approved');
+    expect(await flat()).toMatchObject({ averageRating: 3.5, reviewCount: 2 });
+
+    const sorted = await request(app).get('/api/flats?sortBy=averageRating-desc');
+    expect(sorted.status).toBe(200);
+    expect(sorted.body.flats[0].id).toBe('flat-003');
+    expect(sorted.body.flats.length).toBeGreaterThan(1);
+  });
+
+  test('POST /api/flats rejects requests without an ID token', async () => {
+    const response = await request(app).post('/api/flats').send({ price: 1000 });
+    expect(response.status).toBe(401);
+  });
+
+  test('POST /api/flats requires the admin claim', async () => {
+    const response = await request(app).post('/api/flats').set('Authorization', `Bearer ${userToken}`).send(newFlat);
+    expect(response.status).toBe(403);
+  });
+
+  test('POST /api/flats validates the payload', async () => {
+    const response = await request(app)
+      .post('/api/flats')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ ...newFlat, price: -1, offerType: 'lease' });
+    expect(response.status).toBe(400);
+    expect(response.body.details).toHaveLength(2);
+
+    const halfLocated = await request(app)
+      .post('/api/flats')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ ...newFlat, latitude: 40.7 });
+    expect(halfLocated.status).toBe(400);
+    expect(halfLocated.body.details).toEqual([{ code: 'required', field: 'longitude', message: 'latitude and longitude must be given together' }]);
+  });
+
+  test('rentals carry lease terms and can be filtered by move-in date', async () => {
+    const auth = `Bearer ${adminToken}`;
+    const terms = { availableFrom: '2026-11-01', minLeaseMonths: 6, maxLeaseMonths: 12, deposit: 4000, utilitiesIncluded: ['water', 'internet'] };
+    const onSale = await request(app).post('/api/flats').set('Authorization', auth).send({ ...newFlat, ...terms });
+    expect(onSale.body.details).toEqual([
+      { code: 'not_applicable', field: 'availableFrom', message: 'availableFrom, minLeaseMonths, maxLeaseMonths, deposit, utilitiesIncluded only apply to rentals' }
+    ]);
+    const invalid = await request(app).post('/api/flats').set('Authorization', auth)
+      .send({ ...newFlat, offerType: 'rent', ...terms, availableFrom: '2026-13-01', utilitiesIncluded: ['cable'] });
+    expect(invalid.body.details).toEqual([
+      { code: 'invalid_format', field: 'availableFrom', message: 'availableFrom must be a date (YYYY-MM-DD)' },
+      { code: 'invalid_value', field: 'utilitiesIncluded', message: 'utilitiesIncluded must be an array of: water, electricity, gas, heating, internet, trash' }
+    ]);
+
+    const created = await request(app).post('/api/flats').set('Authorization', auth).send({ ...newFlat, offerType: 'rent', price: 2400, ...terms });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject(terms);
+    const id = created.body.id;
+    const inverted = await request(app).patch(`/api/flats/${id}`).set('Authorization', auth).send({ minLeaseMonths: 18 });
+    expect(inverted.body.details).toEqual([{ code: 'invalid_range', field: 'maxLeaseMonths', message: 'minLeaseMonths must not exceed maxLeaseMonths' }]);
+    expect((await request(app).patch(`/api/flats/${id}`).set('Authorization', auth).send({ offerType: 'sale' })).status).toBe(400);
+
+    const movingIn = async date => (await request(app).get(`/api/flats?moveInBy=${date}&limit=100`)).body.flats.map(flat => flat.id);
+    expect(await movingIn('2026-11-01')).toContain(id);
+    expect(await movingIn('2026-10-31')).not.toContain(id);
+    expect((await movingIn('2026-10-31')).every(flatId => flatId !== 'flat-003')).toBe(true);
+    expect((await request(app).get('/api/flats?moveInBy=soon')).status).toBe(400);
+
+    // Clearing the date takes the flat out of move-in results
+    const cleared = await request(app).patch(`/api/flats/${id}`).set('Authorization', auth).send({ availableFrom: null });
+    expect(cleared.body.availableFrom).toBeNull();
+    expect(await movingIn('2030-01-01')).not.toContain(id);
+    await request(app).delete(`/api/flats/${id}`).set('Authorization', auth);
+  });
+
+  test('admin can create, update and delete a flat with an audit trail', async () => {
+    const auth = `Bearer ${adminToken}`;
+    const created = await request(app).post('/api/flats').set('Authorization', auth).send(newFlat);
+    expect(created.status).toBe(201);
+    const id = created.body.id;
+
+    const updated = await request(app).patch(`/api/flats/${id}`).set('Authorization', auth).send({ price: 340000, location: 'Lakeshore' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.price).toBe(340000);
+    const search = await request(app).get('/api/flats?q=lakesh');
+    expect(search.body.flats.map(flat => flat.id)).toEqual([id]);
+
+    const deleted = await request(app).delete(`/api/flats/${id}`).set('Authorization', auth);
+    expect(deleted.status).toBe(204);
+    expect((await request(app).get(`/api/flats/${id}`)).status).toBe(404);
+
+    const audit = await app.locals.repositories.flatAudit.find({ where: [['flatId', '==', id]] });
+    expect(audit.map(entry => entry.action).sort()).toEqual(['create', 'delete', 'update']);
+    const update = audit.find(entry => entry.action === 'update');
+    expect(update.uid).toBe('admin-1');
+    expect(update.changes.price).toEqual({ from: 350000, to: 340000 });
+  });
+
+  test('a batch whose update targets a missing flat writes nothing', async () => {
+    const { flats, flatAudit, batch } = app.locals.repositories;
+    const auditBefore = (await flatAudit.find()).length;
+    const writes = batch();
+    writes.update('flats', 'flat-001', { price: 1 });
+    writes.add('flatAudit', { flatId: 'flat-001', action: 'update' });
+    writes.update('flats', 'no-such-flat', { price: 2 });
+    await expect(writes.commit()).rejects.toThrow('Document no-such-flat does not exist');
+    expect((await flats.get('flat-001')).price).not.toBe(1);
+    expect(await flatAudit.find()).toHaveLength(auditBefore);
+  });
+
+  test('uploaded images are resized, stripped of EXIF data and added to the flat', async () => {
+    const auth = `Bearer ${adminToken}`;
+    const id = (await request(app).post('/api/flats').set('Authorization', auth).send(newFlat)).body.id;
+    const jpeg = await new Jimp(700, 300, 0x3366ccff).getBufferAsync(Jimp.MIME_JPEG);
+    // An APP1 segment holding an empty EXIF block, right after the JPEG's start marker
+    const exif = Buffer.concat([Buffer.from('ffd8ffe10016', 'hex'), Buffer.from('Exif\0\0MM\0*\0\0\0\x08', 'binary'), Buffer.alloc(6), jpeg.subarray(2)]);
+    const png = await new Jimp(200, 100, 0xff000080).getBufferAsync(Jimp.MIME_PNG);
+
+    const uploaded = await request(app).post(`/api/flats/${id}/images`).set('Authorization', auth)
+      .attach('images', exif, { filename: 'living-room.jpg', contentType: 'image/jpeg' })
+      .attach('images', png, { filename: 'plan.png', contentType: 'image/png' });
+    expect(uploaded.status).toBe(201);
+    const [photo, plan] = uploaded.body.images;
+    expect(photo.variants.map(variant => variant.width)).toEqual([320, 640, 700]);
+    expect(photo).toMatchObject({ width: 700, height: 300, src: photo.variants[2].url });
+    expect(photo.placeholder).toMatch(/^data:image\/jpeg;base64,/);
+    expect(plan.variants.map(variant => variant.url)).toEqual([`/uploads/flats/${id}/${plan.id}/200.png`]);
+    const files = app.locals.imageStorage.files;
+    const stored = files.get(`flats/${id}/${photo.id}/640.jpg`);
+    expect(stored.contentType).toBe('image/jpeg');
+    expect(stored.buffer.includes('Exif')).toBe(false);
+
+    const flat = (await request(app).get(`/api/flats/${id}`)).body;
+    expect(flat.imageUrls).toEqual([...newFlat.imageUrls, photo.src, plan.src]);
+    expect(flat.images.map(image => image.id)).toEqual([photo.id, plan.id]);
+    const reordered = await request(app).patch(`/api/flats/${id}`).set('Authorization', auth).send({ imageUrls: [plan.src, photo.src] });
+    expect(reordered.status).toBe(200);
+
+    const upload = (filename, contentType, body) => request(app).post(`/api/flats/${id}/images`).set('Authorization', auth)
+      .attach('images', body, { filename, contentType });
+    const wrongType = await upload('tour.gif', 'image/gif', png);
+    expect(wrongType.status).toBe(400);
+    expect(wrongType.body.details).toEqual([{ code: 'invalid_type', field: 'images', message: 'tour.gif must be a JPEG or PNG image' }]);
+    const notAnImage = await upload('fake.png', 'image/png', Buffer.from('not really a png'));
+    expect(notAnImage.body.details).toEqual([{ code: 'invalid_format', field: 'images', message: 'fake.png is not a valid JPEG or PNG image' }]);
+    // Small files whose headers declare 100 megapixels and more are rejected before they are decoded
+    const hugePng = Buffer.from(png);
+    hugePng.writeUInt32BE(10000, 16);
+    hugePng.writeUInt32BE(10000, 20);
+    expect((await upload('huge.png', 'image/png', hugePng)).body.details).toEqual([
+      { code: 'too_large', field: 'images', message: 'huge.png must be at most 40 megapixels' }
+    ]);
+    const hugeJpeg = Buffer.from(jpeg);
+    const startOfFrame = hugeJpeg.indexOf(Buffer.from([0xff, 0xc0]));
+    hugeJpeg.writeUInt16BE(0xffff, startOfFrame + 5);
+    hugeJpeg.writeUInt16BE(0xffff, startOfFrame + 7);
+    expect((await upload('huge.jpg', 'image/jpeg', hugeJpeg)).body.details[0].code).toBe('too_large');
+    expect((await request(app).post(`/api/flats/${id}/images`).set('Authorization', auth)).status).toBe(400);
+    expect((await request(app).post(`/api/flats/${id}/images`).set('Authorization', `Bearer ${userToken}`)
+      .attach('images', png, { filename: 'plan.png', contentType: 'image/png' })).status).toBe(403);
+    expect((await request(app).post('/api/flats/missing-flat/images').set('Authorization', auth)
+      .attach('images', png, { filename: 'plan.png', contentType: 'image/png' })).status).toBe(404);
+    await request(app).delete(`/api/flats/${id}`).set('Authorization', auth);
+  }, 30000);
+
+  test('price changes are kept in the price history and mark reductions', async () => {
+    const auth = `Bearer ${adminToken}`;
+    const reprice = (id, price) => request(app).patch(`/api/flats/${id}`).set('Authorization', auth).send({ price });
+    const created = await request(app).post('/api/flats').set('Authorization', auth).send({ ...newFlat, price: 400000 });
+    const id = created.body.id;
+    expect(created.body).toMatchObject({ previousPrice: null, priceReducedAt: null, priceReductionPercent: null });
+
+    const reduced = await reprice(id, 360000);
+    expect(reduced.body).toMatchObject({ previousPrice: 400000, priceReductionPercent: 10 });
+    await reprice(id, 360000);
+    const history = await request(app).get(`/api/flats/${id}/price-history`);
+    expect(history.status).toBe(200);
+    expect(history.body.history.map(entry => [entry.previousPrice, entry.price])).toEqual([[null, 400000], [400000, 360000]]);
+    expect(history.body.history[0].changedBy).toBeUndefined();
+
+    const sorted = await request(app).get('/api/flats?sortBy=priceReducedAt-desc');
+    expect(sorted.body.flats[0].id).toBe(id);
+
+    // A later increase is not a reduction any more
+    expect((await reprice(id, 370000)).body).toMatchObject({ previousPrice: null, priceReductionPercent: null });
+    expect((await request(app).get('/api/flats/missing/price-history')).status).toBe(404);
+    await request(app).delete(`/api/flats/${id}`).set('Authorization', auth);
+  });
+
+  test('new and repriced flats notify matching saved searches', async () => {
+    const { users, notifications } = app.locals.repositories;
+    // The address on the user document is the user's to write; emails go to the account's
+    const lookupUserEmail = app.locals.lookupUserEmail;
+    app.locals.lookupUserEmail = async uid => (uid === 'saver-1' ? 'saver@example.com' : null);
+    await users.set('saver-1', {
+      email: 'someone-else@example.com',
+      hasSavedSearches: true,
+      savedSearches: [{
+        id: 'search-1',
+        name: 'Affordable 2BHK with gym',
+        filters: { offerType: 'sale', flatType: '2BHK', minPrice: '', maxPrice: '400000', amenities: ['gym'], amenityMatch: 'any', searchTerm: '', sortBy: 'price-asc' }
+      }]
+    });
+    const sent = app.locals.emailTransport.sent;
+    const sentBefore = sent.length;
+    const create = flat => request(app).post('/api/flats').set('Authorization', `Bearer ${adminToken}`).send(flat);
+    const notificationsFor = async flatId => notifications.find({ where: [['uid', '==', 'saver-1'], ['flatId', '==', flatId]] });
+
+    const matching = await create({ ...newFlat, location: 'Saved Search Lane' });
+    expect(await notificationsFor(matching.body.id)).toEqual([
+      expect.objectContaining({ searchId: 'search-1', reason: 'new-listing', read: false })
+    ]);
+    expect(sent.slice(sentBefore)).toEqual([expect.objectContaining({ to: 'saver@example.com', subject: expect.stringContaining('Affordable 2BHK with gym') })]);
+    expect(sent[sent.length - 1].text).toContain(`/flats/${matching.body.id}`);
+
+    const pricey = await create({ ...newFlat, price: 450000 });
+    expect(await notificationsFor(pricey.body.id)).toHaveLength(0);
+    const patch = price => request(app).patch(`/api/flats/${pricey.body.id}`).set('Authorization', `Bearer ${adminToken}`).send({ price });
+    await patch(390000);
+    expect(await notificationsFor(pricey.body.id)).toEqual([expect.objectContaining({ reason: 'price-change', price: 390000 })]);
+    const sentAfterMatch = sent.length;
+    await patch(380000);
+    expect(sent.length).toBe(sentAfterMatch);
+
+    app.locals.lookupUserEmail = lookupUserEmail;
+    await users.delete('saver-1');
+  });
+
+  test('DELETE /api/flats/:id rejects requests without an ID token', async () => {
+    const response = await request(app).delete('/api/flats/some-id');
+    expect(response.status).toBe(401);
+  });
+
+  test('the data directory is not served', async () => {
+    expect((await request(app).get('/data/seed.json')).status).toBe(404);
+    expect((await request(app).get('/data/db.json')).status).toBe(404);
+    expect((await request(app).get('/data/outbox.jsonl')).status).toBe(404);
+  });
+
+  test('unsigned ID tokens are rejected unless ALLOW_UNSIGNED_TOKENS is set outside production', async () => {
+    expect(() => createIdTokenVerifier({ ALLOW_UNSIGNED_TOKENS: '1', NODE_ENV: 'production' })).toThrow('ALLOW_UNSIGNED_TOKENS');
+    const localVerifier = app.locals.verifyIdToken;
+    app.locals.verifyIdToken = createIdTokenVerifier({ STORAGE_BACKEND: 'json' });
+    try {
+      const response = await request(app).delete('/api/flats/flat-001').set('Authorization', `Bearer ${adminToken}`);
+      expect(response.status).toBe(401);
+    } finally {
+      app.locals.verifyIdToken = localVerifier;
+    }
+    expect(await request(app).get('/api/flats/flat-001')).toHaveProperty('status', 200);
+  });
 });
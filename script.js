@@ -5,7 +5,7 @@
  */
 
 import { db, auth } from "./firebase.js";
-import { collection, getDocs, doc, getDoc, addDoc, setDoc, query, where, orderBy, limit, documentId, startAfter } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { collection, getDocs, doc, getDoc, setDoc, updateDoc, deleteDoc, deleteField, onSnapshot, query, where, orderBy, limit, documentId, startAfter } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
 import {
     createUserWithEmailAndPassword,
     signInWithEmailAndPassword,
@@ -15,37 +15,10 @@ import {
 
 // --- Configuration Object ---
 const CONFIG = {
-    exchangeRates: {
-        "USD": 1.0,
-        "EUR": 0.92,
-        "GBP": 0.79,
-        "CAD": 1.36,
-        "AUD": 1.52,
-        "JPY": 156.0,
-        "INR": 83.3,
-        "BRL": 5.08,
-        "ZAR": 18.5,
-        "NZD": 1.63,
-        "CHF": 0.90,
-        "SGD": 1.35,
-        "HKD": 7.8,
-        "SEK": 10.8,
-        "NOK": 10.8,
-        "DKK": 6.8,
-        "PLN": 3.9,
-        "MXN": 16.6,
-        "AED": 3.67,
-        "SAR": 3.75,
-        "RUB": 89.0,
-        "TRY": 32.2,
-        "THB": 36.6,
-        "IDR": 16200,
-        "MYR": 4.7,
-        "PHP": 58.5,
-        "VND": 25400,
-        "KRW": 1360,
-        "EGP": 47.7
-    },
+    // Flat prices are stored in this currency; exchange rates come from GET /api/rates.
+    listingCurrency: "USD",
+    exchangeRatesCacheKey: 'exchangeRates',
+    exchangeRatesMaxAgeMs: 12 * 60 * 60 * 1000,
     flatAmenityIcons: {
         "parking": "fas fa-parking",
         "gym": "fas fa-dumbbell",
@@ -69,28 +42,159 @@ const CONFIG = {
         "mountain-view": "fas fa-mountain"
     },
     flatsPerPage: 6,
+    reviewsPerPage: 5,
+    testimonialsPerPage: 3,
+    notificationsListLimit: 10,
+    compareLimit: 4,
+    // IDs of the flats in the comparison tray
+    compareFlatsKey: 'compareFlatIds',
+    // The last listing results, kept for browsing offline
+    offlineListingsKey: 'offlineListings',
+    offlineListingsLimit: 30,
+    // Favorite lists kept on this device: the signed-in user's copy ({ uid, favoriteLists, favoriteNotes }) and a guest's
+    favoriteListsKey: 'favoriteLists',
+    guestFavoriteListsKey: 'guestFavoriteLists',
+    // Browsing history on this device ({ uid, entries }), and the flats it last showed, for offline use
+    browsingHistoryKey: 'browsingHistory',
+    historyFlatsKey: 'browsingHistoryFlats',
+    // Rendered widths of flat images, matching the card grid and gallery columns, for choosing among uploaded sizes
+    imageSizes: {
+        card: '(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw',
+        gallery: '(min-width: 768px) 440px, 100vw',
+        lightbox: '90vw'
+    },
+    // Affordability calculator starting values; users' changes are remembered per account (or per browser for guests)
+    calculatorDefaults: {
+        downPaymentPercent: 20,
+        annualRatePercent: 6.5,
+        years: 30,
+        priceToRentRatio: 20,
+        horizonYears: 10,
+        rentIncreasePercent: 3,
+        appreciationPercent: 3,
+        ownershipCostPercent: 1.5,
+        closingCostPercent: 3,
+        sellingCostPercent: 6
+    },
+    calculatorSaveDelayMs: 1000,
+    // Listings map; the #map-config block in apartment.html overrides these (e.g. for a local tile server)
+    map: {
+        tileUrl: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+        tileAttribution: '&copy; OpenStreetMap contributors',
+        maxZoom: 19,
+        markerIconUrl: null,
+        markerIconRetinaUrl: null,
+        markerShadowUrl: null,
+        defaultCenter: [20, 0],
+        defaultZoom: 2
+    },
     recentlyViewedLimit: 3,
-    skeletonCount: 6
+    // Flats kept in the browsing history (/history), newest first
+    browsingHistoryLimit: 100,
+    // The list favorites go to until the user makes their own; accounts from before lists start with it
+    defaultFavoriteList: { id: 'favorites', name: 'Favorites' },
+    // Most values Firestore accepts in one 'in' filter
+    firestoreInLimit: 30,
+    skeletonCount: 6,
+    infiniteScrollMarginPx: 600,
+    searchMaxPrefixLength: 20,
+    searchMaxTerms: 10,
+    // Price facet buckets in USD, [min, max); keep in sync with server/flatFilters.js
+    priceBuckets: [
+        { min: 0, max: 1000 },
+        { min: 1000, max: 2000 },
+        { min: 2000, max: 5000 },
+        { min: 5000, max: 100000 },
+        { min: 100000, max: 250000 },
+        { min: 250000, max: 500000 },
+        { min: 500000, max: 1000000 },
+        { min: 1000000, max: null }
+    ]
 };
 
 // --- Global Variables ---
 let allFlatsData = [];
 let displayedFlatsCount = 0;
 let lastVisibleFlat = null;
-let favorites = JSON.parse(localStorage.getItem('favorites')) || [];
-let recentlyViewed = JSON.parse(localStorage.getItem('recentlyViewed')) || [];
-let currentCurrency = 'USD';
+let hasMoreFlats = true;
+let isLoadingFlats = false;
+let flatsRequestId = 0;
+let facetsRequestId = 0;
+// Every flat ID in favoriteLists, the user's named lists; favoriteNotes holds a private note per saved flat
+let favorites = [];
+let favoriteLists = [];
+let favoriteNotes = {};
+// The list opened from a share link (/lists/:shareId), shown instead of the filtered listings: { shareId, name, flatIds }
+let sharedList = null;
+let sharedListReady = Promise.resolve();
+// Flats viewed, newest first: [{ flatId, viewedAt, price }] (see Browsing History)
+let browsingHistory = readStoredHistory().entries;
+// Current data of the flats in browsingHistory by ID, null for listings that are gone
+let historyFlats = readStoredHistoryFlats();
+// Flats in the comparison tray, by ID; compareFlatData holds their data as last read, which is
+// read again whenever the comparison is opened or exported (see Comparison)
+let compareFlatIds = readStoredCompareIds();
+let compareFlatData = {};
+// Favorite changes and inquiries made offline, replayed when the connection returns
+let offlineQueue = JSON.parse(localStorage.getItem('offlineQueue')) || [];
+let replayingOfflineQueue = false;
+// When the listings shown are the saved ones (see showSavedListings), the time they were saved
+let savedListingsShownAt = null;
+let listingView = 'list';
+let flatsMap = null;
+let flatsMapMarkers = null;
+let currentCurrency = CONFIG.listingCurrency;
+let exchangeRates = { base: CONFIG.listingCurrency, asOf: null, rates: { [CONFIG.listingCurrency]: 1 } };
+let priceBucketCounts = {};
+let currentDetailFlat = null;
+let viewingSlots = [];
+let savedSearches = [];
+let unsubscribeNotifications = null;
+let selectedViewingSlot = null;
+let flatReviewsCursor = null;
+let priceHistoryEntries = null;
+let myReview = null;
+let calculatorInputs = { ...CONFIG.calculatorDefaults };
+let contactFormOpenedAt = Date.now();
+let testimonialFormOpenedAt = Date.now();
+let testimonialPages = [];
+let testimonialsCursor = null;
+let testimonialPageIndex = 0;
+let calculatorSaveTimeout;
+let buildCalculatorTable = null;
 let authMode = 'login';
 let authTimeout;
 const elements = {};
+// Keyboard and focus handling of the modals, from dialogs.js (see setupDialogs)
+const dialogs = {};
+let lightboxGestures = null;
+// Email check used by the contact form, as in server/inquiries.js
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// currentFilters keys for the numeric range filters, keyed by flat field (see server/flatFilters.js).
+const RANGE_FILTERS = {
+    price: ['minPrice', 'maxPrice'],
+    bedrooms: ['minBedrooms', 'maxBedrooms'],
+    bathrooms: ['minBathrooms', 'maxBathrooms'],
+    area: ['minArea', 'maxArea']
+};
 const currentFilters = {
     offerType: 'all',
     flatType: 'all',
     minPrice: '',
     maxPrice: '',
+    minBedrooms: '',
+    maxBedrooms: '',
+    minBathrooms: '',
+    maxBathrooms: '',
+    minArea: '',
+    maxArea: '',
     sortBy: 'price-desc',
     searchTerm: '',
-    showFavorites: false
+    amenities: [],
+    amenityMatch: 'any',
+    moveInBy: '',
+    showFavorites: false,
+    favoriteList: ''
 };
 
 // --- Utility Functions ---
@@ -99,13 +203,22 @@ function capitalizeFirstLetter(string) {
     return string.charAt(0).toUpperCase() + string.slice(1);
 }
 
-function formatPrice(price) {
-    const convertedPrice = price * CONFIG.exchangeRates[currentCurrency];
+// Units of `currency` per unit of the listing currency, or null when the loaded table lacks it.
+function getExchangeRate(currency) {
+    const rate = exchangeRates.rates[currency];
+    const listingRate = exchangeRates.rates[CONFIG.listingCurrency];
+    return rate && listingRate ? rate / listingRate : null;
+}
+
+function formatPrice(price, { fractionDigits = 0 } = {}) {
+    const rate = getExchangeRate(currentCurrency);
+    const currency = rate ? currentCurrency : CONFIG.listingCurrency;
+    const convertedPrice = price * (rate || 1);
     return new Intl.NumberFormat('en-US', {
         style: 'currency',
-        currency: currentCurrency,
-        minimumFractionDigits: 0,
-        maximumFractionDigits: 0
+        currency,
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
     }).format(convertedPrice);
 }
 
@@ -122,6 +235,8 @@ function showToast(message, type = 'info') {
         'bg-gray-800'
     } transform translate-y-full opacity-0 transition-all duration-300 ease-out`;
     toast.textContent = message;
+    // The container is a polite live region; errors interrupt
+    if (type === 'error') toast.setAttribute('role', 'alert');
     toastContainer.appendChild(toast);
     setTimeout(() => {
         toast.style.transform = 'translateY(0)';
@@ -134,8 +249,9 @@ function showToast(message, type = 'info') {
     }, 3000);
 }
 
-function showSkeletons(count) {
-    elements.flatsList.innerHTML = '';
+// Replaces the list with skeletons, or appends them below the loaded cards when `append` is set.
+function showSkeletons(count, append = false) {
+    if (!append) elements.flatsList.innerHTML = '';
     for (let i = 0; i < count; i++) {
         const skeleton = document.createElement('div');
         skeleton.className = 'skeleton-card bg-white p-6 rounded-lg shadow-lg animate-pulse';
@@ -151,7 +267,7 @@ function showSkeletons(count) {
 }
 
 function hideSkeletons() {
-    // Handled by clearing flatsList in showSkeletons or fetchFlats
+    elements.flatsList.querySelectorAll('.skeleton-card').forEach(skeleton => skeleton.remove());
 }
 
 function initCounter(element) {
@@ -197,7 +313,118 @@ function parseAmenities(amenitiesData) {
     return [];
 }
 
+// Amenity filter check on parsed data, so legacy stringified amenities match too.
+function flatMatchesAmenities(flat, selectedAmenities, matchMode) {
+    if (!selectedAmenities || selectedAmenities.length === 0) return true;
+    const available = parseAmenities(flat.amenities).map(amenity => amenity.toLowerCase());
+    return matchMode === 'all'
+        ? selectedAmenities.every(amenity => available.includes(amenity))
+        : selectedAmenities.some(amenity => available.includes(amenity));
+}
+
+// --- Search Helpers ---
+// Mirrors server/search.js, which builds the `searchTokens` prefix index on each flat.
+const SEARCH_FIELD_WEIGHTS = { type: 3, location: 3, amenities: 2, description: 1 };
+
+function tokenizeSearchText(text) {
+    return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function getSearchTerms(searchTerm) {
+    return [...new Set(tokenizeSearchText(searchTerm).map(term => term.slice(0, CONFIG.searchMaxPrefixLength)))].slice(0, CONFIG.searchMaxTerms);
+}
+
+// Every term must prefix-match a word in one of the fields; whole-word matches count double.
+function scoreFlatForSearch(flat, terms) {
+    const fields = {
+        type: tokenizeSearchText(flat.type),
+        location: tokenizeSearchText(flat.location),
+        amenities: tokenizeSearchText(parseAmenities(flat.amenities).join(' ')),
+        description: tokenizeSearchText(flat.description)
+    };
+    let score = 0;
+    for (const term of terms) {
+        let termScore = 0;
+        Object.entries(fields).forEach(([field, words]) => {
+            words.forEach(word => {
+                if (word === term) termScore += SEARCH_FIELD_WEIGHTS[field] * 2;
+                else if (word.startsWith(term)) termScore += SEARCH_FIELD_WEIGHTS[field];
+            });
+        });
+        if (termScore === 0) return 0;
+        score += termScore;
+    }
+    return score;
+}
+
+// The messages of an API error's `details` ({ code, field, message } issues), for showing in a form.
+function detailMessages(details, separator) {
+    return details.map(detail => detail.message).join(separator);
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+// Escapes the text and wraps words starting with any of the search terms in <mark>.
+// The lookbehind also skips '&' and '#' so entities produced by escapeHtml are never split.
+function highlightTerms(text, terms) {
+    const escaped = escapeHtml(text);
+    if (!terms || terms.length === 0) return escaped;
+    const pattern = terms.map(term => escapeHtml(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    return escaped.replace(new RegExp(`(?<![\\p{L}\\p{N}&#])(${pattern})`, 'giu'), '<mark class="search-highlight">$1</mark>');
+}
+
+// Read-only stars for a 0-5 rating, rounded to the nearest half star.
+function renderStars(rating) {
+    const halves = Math.round(rating * 2);
+    const icons = [1, 2, 3, 4, 5].map(star => {
+        if (halves >= star * 2) return '<i class="fas fa-star"></i>';
+        if (halves === star * 2 - 1) return '<i class="fas fa-star-half-alt"></i>';
+        return '<i class="far fa-star"></i>';
+    });
+    return `<span class="star-rating" role="img" aria-label="${rating} out of 5 stars">${icons.join('')}</span>`;
+}
+
+// averageRating and reviewCount are kept on each flat by the server from its approved reviews.
+function formatRating(flat) {
+    if (!flat.reviewCount) return '<span class="text-gray-500">No reviews yet</span>';
+    return `${renderStars(flat.averageRating)} <span class="text-gray-700">${flat.averageRating.toFixed(1)} (${flat.reviewCount} ${flat.reviewCount === 1 ? 'review' : 'reviews'})</span>`;
+}
+
+// "Reduced X%" badge with the earlier price, for flats whose latest price change was a reduction (fields kept by the server).
+function formatPriceDrop(flat) {
+    if (!(flat.priceReductionPercent >= 1) || !flat.previousPrice) return '';
+    return `<span class="price-drop-badge">Reduced ${flat.priceReductionPercent}%</span> <span class="text-sm text-gray-400 line-through">${formatPrice(flat.previousPrice)}</span>`;
+}
+
 // --- DOM Manipulation / Render Functions ---
+/**
+ * Shows one of a flat's images in an <img>, loaded lazily. Uploaded images
+ * (listed in `flat.images`) also get their resized variants as a srcset, so
+ * the browser picks the smallest that fills `sizes`, and a blurred
+ * placeholder until it loads; external URLs are shown as they are.
+ */
+function setFlatImage(img, flat, url, sizes) {
+    const image = (flat.images || []).find(candidate => candidate.src === url);
+    img.loading = 'lazy';
+    img.decoding = 'async';
+    img.classList.toggle('image-placeholder', Boolean(image));
+    if (image) {
+        img.srcset = image.variants.map(variant => `${variant.url} ${variant.width}w`).join(', ');
+        img.sizes = sizes;
+        img.style.backgroundImage = `url("${image.placeholder}")`;
+        img.addEventListener('load', () => {
+            img.style.backgroundImage = '';
+        }, { once: true });
+    } else {
+        img.removeAttribute('srcset');
+        img.removeAttribute('sizes');
+        img.style.backgroundImage = '';
+    }
+    img.src = url;
+}
+
 function createFlatCard(flat) {
     console.log("Creating card for flat:", flat); // DEBUG
     const flatCard = document.createElement('div');
@@ -205,35 +432,48 @@ function createFlatCard(flat) {
     flatCard.setAttribute('data-flat-id', flat.id || 'unknown');
     const isFavorite = favorites.includes(flat.id);
     const parsedAmenities = parseAmenities(flat.amenities || []);
+    const searchTerms = getSearchTerms(currentFilters.searchTerm);
     flatCard.innerHTML = `
-        <img src="${flat.imageUrls && flat.imageUrls.length > 0 ? flat.imageUrls[0] : 'https://placehold.co/400x250/E0E0E0/888888?text=No+Image'}" 
-             alt="${flat.type || 'Apartment'} in ${flat.location || 'Unknown'}" class="w-full h-48 object-cover cursor-pointer flat-image">
+        <img alt="${flat.type || 'Apartment'} in ${flat.location || 'Unknown'}" class="w-full h-48 object-cover cursor-pointer flat-image">
         <div class="p-6">
             <div class="flex justify-between items-center mb-3">
-                <h3 class="text-2xl font-bold text-indigo-800">${formatPrice(flat.price || 0)}</h3>
+                <div>
+                    <h3 class="text-2xl font-bold text-indigo-800">${formatPrice(flat.price || 0)}</h3>
+                    ${formatPriceDrop(flat)}
+                </div>
                 <span class="bg-indigo-100 text-indigo-800 text-sm font-semibold px-3 py-1 rounded-full">${capitalizeFirstLetter(flat.offerType || 'unknown')}</span>
             </div>
+            <p class="text-gray-500 text-sm mb-1">${highlightTerms(flat.type || 'Apartment', searchTerms)}</p>
+            <p class="text-sm mb-1">${formatRating(flat)}</p>
             <p class="text-gray-600 mb-2">${flat.bedrooms || 'N/A'} Bed | ${flat.bathrooms || 'N/A'} Bath | ${flat.area || 'N/A'} sqft</p>
-            <p class="text-gray-700 flex items-center mb-4"><i class="fas fa-map-marker-alt text-indigo-600 mr-2"></i>${flat.location || 'Unknown'}</p>
+            <p class="text-gray-700 flex items-center mb-4"><i class="fas fa-map-marker-alt text-indigo-600 mr-2"></i>${highlightTerms(flat.location || 'Unknown', searchTerms)}</p>
             <div class="flex flex-wrap gap-2 text-gray-500 text-sm mb-4">
-                ${parsedAmenities.length > 0 ? parsedAmenities.map(amenity => `<span class="bg-gray-100 px-2 py-1 rounded-full"><i class="${CONFIG.flatAmenityIcons[amenity.toLowerCase()] || 'fas fa-question-circle'} mr-1"></i>${capitalizeFirstLetter(amenity)}</span>`).join('') : '<span>No amenities</span>'}
+                ${parsedAmenities.length > 0 ? parsedAmenities.map(amenity => `<span class="bg-gray-100 px-2 py-1 rounded-full"><i class="${CONFIG.flatAmenityIcons[amenity.toLowerCase()] || 'fas fa-question-circle'} mr-1"></i>${highlightTerms(capitalizeFirstLetter(amenity), searchTerms)}</span>`).join('') : '<span>No amenities</span>'}
             </div>
-            <p class="text-gray-700 text-sm mb-4 line-clamp-3">${flat.description || 'No description available.'}</p>
+            <p class="text-gray-700 text-sm mb-4 line-clamp-3">${highlightTerms(flat.description || 'No description available.', searchTerms)}</p>
+            ${favoriteNotes[flat.id] ? `<p class="favorite-note text-gray-700 text-sm mb-4"><i class="fas fa-sticky-note mr-1"></i>${escapeHtml(favoriteNotes[flat.id])}</p>` : ''}
             <div class="flex justify-between items-center">
                 <button class="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 view-details-btn">
                     View Details
                 </button>
+                <button class="compare-btn border border-indigo-600 text-indigo-600 hover:bg-indigo-50 text-sm font-semibold py-1 px-3 rounded-lg transition-colors" data-flat-id="${flat.id || 'unknown'}" aria-pressed="${isInCompare(flat.id)}">
+                    <i class="fas fa-balance-scale mr-1"></i>Compare
+                </button>
                 <button class="favorite-btn text-2xl ${isFavorite ? 'text-red-500' : 'text-gray-400'} hover:text-red-600 transition-colors" data-flat-id="${flat.id || 'unknown'}" aria-label="Add to favorites">
                     <i class="${isFavorite ? 'fas' : 'far'} fa-heart"></i>
                 </button>
             </div>
         </div>
     `;
+    setFlatImage(flatCard.querySelector('.flat-image'), flat,
+        flat.imageUrls && flat.imageUrls.length > 0 ? flat.imageUrls[0] : 'https://placehold.co/400x250/E0E0E0/888888?text=No+Image',
+        CONFIG.imageSizes.card);
     console.log("Generated flat card HTML:", flatCard.outerHTML); // DEBUG
     flatCard.querySelector('.view-details-btn').addEventListener('click', () => showFlatDetailModal(flat));
+    flatCard.querySelector('.compare-btn').addEventListener('click', () => toggleCompare(flat));
     flatCard.querySelector('.flat-image').addEventListener('click', () => {
         if (flat.imageUrls && flat.imageUrls.length > 0) {
-            openLightbox(flat.imageUrls, 0);
+            openLightbox(flat, 0);
         } else {
             showToast("No images available for this flat.", "info");
         }
@@ -241,37 +481,164 @@ function createFlatCard(flat) {
     return flatCard;
 }
 
+function renderAmenityFilterChips() {
+    if (!elements.amenityFilterChips) return;
+    elements.amenityFilterChips.innerHTML = '';
+    Object.entries(CONFIG.flatAmenityIcons).forEach(([amenity, iconClass]) => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'amenity-chip';
+        chip.setAttribute('data-amenity', amenity);
+        chip.setAttribute('aria-pressed', currentFilters.amenities.includes(amenity) ? 'true' : 'false');
+        chip.innerHTML = `<i class="${iconClass}"></i> ${capitalizeFirstLetter(amenity.replace(/-/g, ' '))}`;
+        elements.amenityFilterChips.appendChild(chip);
+    });
+}
+
+function handleAmenityChipClick(event) {
+    const chip = event.target.closest('.amenity-chip');
+    if (!chip) return;
+    chip.setAttribute('aria-pressed', chip.getAttribute('aria-pressed') === 'true' ? 'false' : 'true');
+}
+
+// Testimonials come from GET /api/testimonials (approved only, featured first) a page at a time;
+// pages already seen are kept so the carousel can go back without refetching. Where the API
+// is not served, the same query runs against Firestore instead.
 async function renderTestimonials() {
     if (!elements.reviewsList) {
         console.error("Testimonials list container not found!");
         return;
     }
-    elements.reviewsList.innerHTML = '<div class="card p-6 bg-indigo-50 text-indigo-900"><p class="text-lg italic mb-4">"Loading testimonials..."</p></div>';
+    testimonialPages = [];
+    testimonialsCursor = null;
+    testimonialPageIndex = 0;
+    await showTestimonialPage(0);
+}
+
+// The API's cursor is a string; the Firestore fallback pages from the last document snapshot,
+// so later pages keep coming from whichever source served the first one.
+async function fetchTestimonialPage(cursor) {
+    if (!cursor || typeof cursor === 'string') {
+        try {
+            const params = new URLSearchParams({ limit: CONFIG.testimonialsPerPage });
+            if (cursor) params.set('cursor', cursor);
+            const response = await fetch(`/api/testimonials?${params}`);
+            if (response.ok && (response.headers.get('content-type') || '').includes('application/json')) {
+                return await response.json();
+            }
+            if (cursor) throw new Error(`Testimonials request failed with ${response.status}`);
+        } catch (error) {
+            if (cursor) throw error;
+            console.warn("Testimonials API unavailable, reading Firestore:", error);
+        }
+    }
+    // One extra document tells whether another page follows
+    const constraints = [where("status", "==", "approved"), orderBy("featured", "desc"), orderBy("createdAt", "desc")];
+    if (cursor) constraints.push(startAfter(cursor));
+    constraints.push(limit(CONFIG.testimonialsPerPage + 1));
+    const snapshot = await getDocs(query(collection(db, "testimonials"), ...constraints));
+    const docs = snapshot.docs.slice(0, CONFIG.testimonialsPerPage);
+    return {
+        testimonials: docs.map(testimonialDoc => {
+            const { author, quote, featured, createdAt } = testimonialDoc.data();
+            return {
+                id: testimonialDoc.id,
+                author,
+                quote,
+                featured: Boolean(featured),
+                createdAt: createdAt && createdAt.toDate ? createdAt.toDate().toISOString() : createdAt
+            };
+        }),
+        nextCursor: snapshot.docs.length > CONFIG.testimonialsPerPage ? docs[docs.length - 1] : null
+    };
+}
+
+async function showTestimonialPage(index) {
+    if (index >= testimonialPages.length) {
+        if (testimonialPages.length > 0 && !testimonialsCursor) return;
+        try {
+            const { testimonials, nextCursor } = await fetchTestimonialPage(testimonialsCursor);
+            // The last page can come back empty; stay on the one before it
+            if (testimonials.length === 0 && testimonialPages.length > 0) {
+                testimonialsCursor = null;
+                updateTestimonialsNav();
+                return;
+            }
+            testimonialPages.push(testimonials);
+            testimonialsCursor = nextCursor;
+        } catch (error) {
+            console.error("Error fetching testimonials:", error);
+            if (testimonialPages.length === 0) {
+                elements.reviewsList.innerHTML = '<p class="text-center text-red-600 col-span-full">Error loading testimonials.</p>';
+            }
+            showToast("Error loading testimonials.", "error");
+            return;
+        }
+    }
+    testimonialPageIndex = index;
+    const testimonials = testimonialPages[index];
+    elements.reviewsList.innerHTML = testimonials.length > 0
+        ? testimonials.map(testimonial => `
+            <div class="card p-6 bg-indigo-50 text-indigo-900">
+                ${testimonial.featured ? '<span class="text-xs font-semibold uppercase tracking-wide text-indigo-600"><i class="fas fa-star mr-1"></i>Featured</span>' : ''}
+                <p class="text-lg italic mb-4">"${escapeHtml(testimonial.quote)}"</p>
+                <p class="text-md font-semibold text-indigo-800">- ${escapeHtml(testimonial.author || 'Anonymous')}</p>
+            </div>
+        `).join('')
+        : '<p class="text-center text-gray-600 col-span-full">No testimonials found.</p>';
+    updateTestimonialsNav();
+}
+
+function updateTestimonialsNav() {
+    const hasNext = testimonialPageIndex + 1 < testimonialPages.length || Boolean(testimonialsCursor);
+    elements.testimonialsNav.classList.toggle('hidden', testimonialPageIndex === 0 && !hasNext);
+    elements.testimonialsPrevBtn.disabled = testimonialPageIndex === 0;
+    elements.testimonialsNextBtn.disabled = !hasNext;
+    elements.testimonialsPage.textContent = `Page ${testimonialPageIndex + 1}`;
+}
+
+async function handleTestimonialFormSubmit(event) {
+    event.preventDefault();
+    const author = elements.testimonialAuthor.value.trim();
+    const quote = elements.testimonialQuote.value.trim();
+    const setMessage = (text, color) => {
+        elements.testimonialMessage.textContent = text;
+        elements.testimonialMessage.style.color = color;
+    };
+    if (!author || !quote) {
+        setMessage("Please fill in your name and your experience.", 'red');
+        return;
+    }
+    const submitButton = elements.testimonialForm.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
     try {
-        const testimonialsCollection = collection(db, "testimonials");
-        const querySnapshot = await getDocs(testimonialsCollection);
-        const fetchedTestimonials = [];
-        querySnapshot.forEach((doc) => {
-            fetchedTestimonials.push(doc.data());
+        const response = await fetch('/api/testimonials', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                author,
+                quote,
+                website: elements.testimonialWebsite.value,
+                fillTimeMs: Date.now() - testimonialFormOpenedAt
+            })
         });
-        elements.reviewsList.innerHTML = '';
-        if (fetchedTestimonials.length > 0) {
-            fetchedTestimonials.forEach(testimonial => {
-                const testimonialCard = document.createElement('div');
-                testimonialCard.className = 'card p-6 bg-indigo-50 text-indigo-900';
-                testimonialCard.innerHTML = `
-                    <p class="text-lg italic mb-4">"${testimonial.quote || 'No quote available.'}"</p>
-                    <p class="text-md font-semibold text-indigo-800">- ${testimonial.author || 'Anonymous'}</p>
-                `;
-                elements.reviewsList.appendChild(testimonialCard);
-            });
-        } else {
-            elements.reviewsList.innerHTML = '<p class="text-center text-gray-600 col-span-full">No testimonials found.</p>';
+        const result = await response.json();
+        if (response.status === 429) {
+            setMessage("You've shared several testimonials already. Please try again later.", 'red');
+            return;
+        }
+        if (!response.ok) {
+            setMessage(result.details ? detailMessages(result.details, '. ') : "Failed to send your testimonial. Please try again.", 'red');
+            return;
         }
+        setMessage("Thank you! Your testimonial will appear once it has been reviewed.", 'green');
+        elements.testimonialForm.reset();
+        testimonialFormOpenedAt = Date.now();
     } catch (error) {
-        console.error("Error fetching testimonials:", error);
-        elements.reviewsList.innerHTML = '<p class="text-center text-red-600 col-span-full">Error loading testimonials.</p>';
-        showToast("Error loading testimonials.", "error");
+        console.error("Error submitting testimonial:", error);
+        setMessage("Failed to send your testimonial. Please try again.", 'red');
+    } finally {
+        submitButton.disabled = false;
     }
 }
 
@@ -281,17 +648,17 @@ function displayRecentlyViewed() {
         return;
     }
     elements.recentlyViewedList.innerHTML = '';
-    if (recentlyViewed.length === 0) {
+    if (browsingHistory.length === 0) {
         elements.recentlyViewedList.innerHTML = '<p class="text-center text-gray-600 col-span-full">No recently viewed apartments.</p>';
         return;
     }
-    recentlyViewed = recentlyViewed.filter(flat => flat && flat.id);
-    recentlyViewed.forEach(flat => {
-        elements.recentlyViewedList.appendChild(createFlatCard(flat));
+    browsingHistory.slice(0, CONFIG.recentlyViewedLimit).forEach(entry => {
+        elements.recentlyViewedList.appendChild(createHistoryCard(entry));
     });
 }
 
-function showFlatDetailModal(flat) {
+// Opens the detail modal. Unless `updateHistory` is false, the modal gets its own /flats/:id history entry.
+function showFlatDetailModal(flat, { updateHistory = true } = {}) {
     console.log("Showing flat detail modal for:", flat);
     if (!elements.flatDetailModal || !elements.modalImageGallery || !elements.flatDetailTitle || !elements.flatDetailDescription || !elements.flatDetailPrice || !elements.flatDetailSpecs || !elements.flatDetailLocation || !elements.flatDetailAmenities) {
         console.error("One or more flat detail modal elements not found!");
@@ -301,13 +668,14 @@ function showFlatDetailModal(flat) {
     const parsedAmenitiesModal = parseAmenities(flat.amenities || []);
     elements.flatDetailTitle.textContent = `${flat.type || 'N/A'} in ${flat.location || 'N/A'}`;
     elements.flatDetailDescription.textContent = flat.description || 'No description available.';
-    elements.flatDetailPrice.textContent = formatPrice(flat.price || 0);
-    elements.flatDetailSpecs.innerHTML = `
-        <li><i class="fas fa-bed text-indigo-600 mr-2"></i> ${flat.bedrooms || 'N/A'} Bedrooms</li>
-        <li><i class="fas fa-bath text-indigo-600 mr-2"></i> ${flat.bathrooms || 'N/A'} Bathrooms</li>
-        <li><i class="fas fa-ruler-combined text-indigo-600 mr-2"></i> ${flat.area || 'N/A'} sqft</li>
-        <li><i class="fas fa-tag text-indigo-600 mr-2"></i> ${capitalizeFirstLetter(flat.offerType || 'N/A')}</li>
-    `;
+    elements.flatDetailPrice.innerHTML = `${formatPrice(flat.price || 0)} ${formatPriceDrop(flat)}`;
+    currentDetailFlat = flat;
+    resetViewingBooking();
+    resetFlatReviews();
+    loadPriceHistory();
+    renderCalculator();
+    renderFlatDetailSpecs(flat);
+    renderFlatListsPanel();
     elements.flatDetailLocation.innerHTML = `<i class="fas fa-map-marker-alt text-indigo-600 mr-2"></i> ${flat.location || 'N/A'}`;
     elements.flatDetailAmenities.innerHTML = parsedAmenitiesModal.length > 0 ? parsedAmenitiesModal.map(amenity => `
         <span class="bg-indigo-100 text-indigo-800 px-3 py-1 rounded-full text-sm flex items-center">
@@ -317,44 +685,117 @@ function showFlatDetailModal(flat) {
     elements.modalImageGallery.innerHTML = '';
     if (flat.imageUrls && flat.imageUrls.length > 0) {
         flat.imageUrls.forEach((url, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'gallery-thumb';
+            button.setAttribute('aria-label', `View image ${index + 1} of ${flat.imageUrls.length} full screen`);
             const img = document.createElement('img');
-            img.src = url;
-            img.alt = `Apartment image ${index + 1}`;
-            img.className = 'w-full h-48 object-cover rounded-md cursor-pointer';
-            img.addEventListener('click', () => openLightbox(flat.imageUrls, index));
-            elements.modalImageGallery.appendChild(img);
+            img.alt = '';
+            img.className = 'w-full h-48 object-cover rounded-md';
+            setFlatImage(img, flat, url, CONFIG.imageSizes.gallery);
+            button.appendChild(img);
+            button.addEventListener('click', () => openLightbox(flat, index));
+            elements.modalImageGallery.appendChild(button);
         });
     } else {
         elements.modalImageGallery.innerHTML = '<p class="text-gray-500 text-center col-span-full">No additional images available.</p>';
     }
     addToRecentlyViewed(flat);
+    openFlatDetailModalShell(false);
+    if (updateHistory) {
+        const isModalEntry = Boolean(history.state && history.state.flatId);
+        history[isModalEntry ? 'replaceState' : 'pushState']({ flatId: flat.id, fromListing: !isModalEntry || history.state.fromListing }, '', `/flats/${encodeURIComponent(flat.id)}${location.search}`);
+    }
+}
+
+function renderFlatDetailSpecs(flat) {
+    elements.flatDetailSpecs.innerHTML = `
+        <li><i class="fas fa-bed text-indigo-600 mr-2"></i> ${flat.bedrooms || 'N/A'} Bedrooms</li>
+        <li><i class="fas fa-bath text-indigo-600 mr-2"></i> ${flat.bathrooms || 'N/A'} Bathrooms</li>
+        <li><i class="fas fa-ruler-combined text-indigo-600 mr-2"></i> ${flat.area || 'N/A'} sqft</li>
+        <li><i class="fas fa-tag text-indigo-600 mr-2"></i> ${capitalizeFirstLetter(flat.offerType || 'N/A')}</li>
+        ${flat.offerType === 'rent' ? leaseTermItems(flat).map(([icon, text]) => `<li><i class="fas ${icon} text-indigo-600 mr-2"></i> ${text}</li>`).join('') : ''}
+    `;
+}
+
+// Rental terms as [icon, text] spec rows; fields a listing leaves out are skipped.
+function leaseTermItems(flat) {
+    const items = [];
+    if (flat.availableFrom) {
+        const today = new Date().toISOString().slice(0, 10);
+        const date = new Date(`${flat.availableFrom}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+        items.push(['fa-calendar-check', flat.availableFrom <= today ? 'Available now' : `Available from ${date}`]);
+    }
+    const { minLeaseMonths: min, maxLeaseMonths: max } = flat;
+    if (min && max) {
+        items.push(['fa-file-signature', min === max ? `${min}-month lease` : `${min}–${max} month lease`]);
+    } else if (min || max) {
+        items.push(['fa-file-signature', min ? `Minimum lease ${min} months` : `Lease up to ${max} months`]);
+    }
+    if (typeof flat.deposit === 'number') {
+        items.push(['fa-money-bill-wave', `Deposit ${formatPrice(flat.deposit)}`]);
+    }
+    if (Array.isArray(flat.utilitiesIncluded)) {
+        items.push(['fa-plug', flat.utilitiesIncluded.length > 0
+            ? `Includes ${flat.utilitiesIncluded.map(utility => capitalizeFirstLetter(utility)).join(', ')}`
+            : 'Utilities not included']);
+    }
+    return items;
+}
+
+function showFlatNotFound() {
+    openFlatDetailModalShell(true);
+}
+
+function openFlatDetailModalShell(notFound) {
+    if (elements.flatDetailContent) elements.flatDetailContent.classList.toggle('hidden', notFound);
+    if (elements.flatDetailNotFound) elements.flatDetailNotFound.classList.toggle('hidden', !notFound);
+    elements.flatDetailModal.setAttribute('aria-labelledby', notFound ? 'flat-not-found-title' : 'flat-detail-title');
     elements.flatDetailModal.classList.remove('hidden');
     elements.flatDetailModal.classList.add('active');
     document.body.classList.add('overflow-hidden');
+    if (dialogs.flatDetail) dialogs.flatDetail.open();
 }
 
-function closeFlatDetailModal() {
+function hideFlatDetailModal() {
     elements.flatDetailModal.classList.add('hidden');
     elements.flatDetailModal.classList.remove('active');
     document.body.classList.remove('overflow-hidden');
+    if (dialogs.flatDetail) dialogs.flatDetail.close();
+}
+
+// Closing steps back out of the modal's history entry when we pushed it; deep links are rewritten to the listing URL.
+function closeFlatDetailModal() {
+    hideFlatDetailModal();
+    if (getFlatIdFromPath()) {
+        if (history.state && history.state.fromListing) {
+            history.back();
+        } else {
+            history.replaceState({}, '', `${listingPath()}${location.search}`);
+        }
+    }
 }
 
+let currentLightboxFlat = null;
 let currentLightboxImages = [];
 let currentLightboxIndex = 0;
 
-function openLightbox(imageUrls, startIndex) {
+function openLightbox(flat, startIndex) {
     if (!elements.lightboxModal || !elements.lightboxImage) {
         console.error("Lightbox elements not found!");
         showToast("Lightbox not available.", "error");
         return;
     }
-    currentLightboxImages = imageUrls;
+    currentLightboxFlat = flat;
+    currentLightboxImages = flat.imageUrls;
     currentLightboxIndex = startIndex;
-    elements.lightboxImage.src = currentLightboxImages[currentLightboxIndex];
+    setFlatImage(elements.lightboxImage, flat, currentLightboxImages[currentLightboxIndex], CONFIG.imageSizes.lightbox);
+    if (lightboxGestures) lightboxGestures.reset();
     elements.lightboxModal.classList.remove('hidden');
     elements.lightboxModal.classList.add('active');
     document.body.classList.add('overflow-hidden');
     updateLightboxNavButtons();
+    if (dialogs.lightbox) dialogs.lightbox.open();
 }
 
 function updateLightboxNavButtons() {
@@ -364,82 +805,405 @@ function updateLightboxNavButtons() {
     }
     elements.lightboxPrevBtn.classList.toggle('hidden', currentLightboxIndex === 0);
     elements.lightboxNextBtn.classList.toggle('hidden', currentLightboxIndex === currentLightboxImages.length - 1);
+    const position = `Image ${currentLightboxIndex + 1} of ${currentLightboxImages.length}`;
+    elements.lightboxImage.alt = position;
+    if (elements.lightboxCounter) elements.lightboxCounter.textContent = position;
 }
 
 function navigateLightbox(direction) {
+    const previousIndex = currentLightboxIndex;
     currentLightboxIndex += direction;
     if (currentLightboxIndex < 0) {
         currentLightboxIndex = 0;
     } else if (currentLightboxIndex >= currentLightboxImages.length) {
         currentLightboxIndex = currentLightboxImages.length - 1;
     }
-    elements.lightboxImage.src = currentLightboxImages[currentLightboxIndex];
+    if (currentLightboxIndex === previousIndex) return;
+    if (lightboxGestures) lightboxGestures.reset();
+    setFlatImage(elements.lightboxImage, currentLightboxFlat, currentLightboxImages[currentLightboxIndex], CONFIG.imageSizes.lightbox);
     updateLightboxNavButtons();
 }
 
 function closeLightbox() {
     elements.lightboxModal.classList.add('hidden');
     elements.lightboxModal.classList.remove('active');
-    document.body.classList.remove('overflow-hidden');
+    // The detail modal stays open underneath when the lightbox was opened from it
+    if (!dialogs.flatDetail || !dialogs.flatDetail.isOpen()) document.body.classList.remove('overflow-hidden');
+    if (dialogs.lightbox) dialogs.lightbox.close();
 }
 
 // --- Data Management (Favorites & Recently Viewed) ---
-async function toggleFavorite(flatId, buttonElement) {
-    if (!auth.currentUser) {
-        showToast("Please log in to manage favorites.", "info");
-        return;
+// Favorites are kept in named lists. An account stores them on users/{uid} as favoriteLists
+// ([{ id, name, flatIds, shareId, createdAt }]) and favoriteNotes ({ [flatId]: note }); a guest's stay on
+// this device and are merged into the account at login. Every edit is a change object (see
+// applyFavoriteChange), applied here at once and then to the stored lists as freshly read, so edits made
+// offline or on another device are not lost.
+
+function emptyFavoriteState() {
+    return { lists: [], notes: {} };
+}
+
+// Lists and notes from a user document or the copy on this device; the flat ID array `favorites`
+// that accounts had before lists becomes their default list.
+function favoriteStateFrom(data) {
+    if (!data) return emptyFavoriteState();
+    let lists = Array.isArray(data.favoriteLists) ? data.favoriteLists : [];
+    if (!Array.isArray(data.favoriteLists) && Array.isArray(data.favorites) && data.favorites.length > 0) {
+        lists = [{ ...CONFIG.defaultFavoriteList, flatIds: data.favorites, createdAt: new Date().toISOString() }];
     }
-    const userDocRef = doc(db, "users", auth.currentUser.uid);
-    let userFavorites = [];
+    return {
+        lists: lists.map(list => ({ ...list, flatIds: list.flatIds || [], shareId: list.shareId || null })),
+        notes: data.favoriteNotes || {}
+    };
+}
+
+// The lists kept on this device: the signed-in user's copy when `uid` is given, otherwise the guest's.
+function loadStoredFavoriteState(uid) {
     try {
-        const userDocSnap = await getDoc(userDocRef);
-        if (userDocSnap.exists()) {
-            userFavorites = userDocSnap.data().favorites || [];
-        }
-        const index = userFavorites.indexOf(flatId);
-        if (index > -1) {
-            userFavorites.splice(index, 1);
-            favorites = favorites.filter(id => id !== flatId);
-            buttonElement.querySelector('i').classList.replace('fas', 'far');
-            showToast("Removed from favorites.", "info");
-        } else {
-            userFavorites.push(flatId);
-            favorites.push(flatId);
-            buttonElement.querySelector('i').classList.replace('far', 'fas');
-            showToast("Added to favorites!", "success");
+        if (uid) {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.favoriteListsKey));
+            return stored && stored.uid === uid ? favoriteStateFrom(stored) : emptyFavoriteState();
         }
-        await setDoc(userDocRef, { favorites: userFavorites }, { merge: true });
-        localStorage.setItem('favorites', JSON.stringify(favorites));
-        updateFavoritesFilterButtonState();
-        if (currentFilters.showFavorites) {
-            fetchFlats(true);
+        return favoriteStateFrom(JSON.parse(localStorage.getItem(CONFIG.guestFavoriteListsKey)));
+    } catch (error) {
+        return emptyFavoriteState();
+    }
+}
+
+/**
+ * Returns the lists and notes with one change applied; the state passed in is left as it is.
+ * Changes: { type: 'add', listId, flatId }, { type: 'remove', flatId, listId? } (every list when
+ * listId is left out), { type: 'note', flatId, note, keepExisting? }, { type: 'createList', listId, name },
+ * { type: 'deleteList', listId }, { type: 'share', listId, shareId } (null stops sharing) and
+ * { type: 'mergeList', listId, name, flatIds }, which adds a guest's list to the account's list of the
+ * same ID or name. A note is dropped once its flat is in no list.
+ */
+function applyFavoriteChange(state, change) {
+    let lists = state.lists.map(list => ({ ...list, flatIds: [...list.flatIds] }));
+    const notes = { ...state.notes };
+    const findList = listId => lists.find(list => list.id === listId);
+    const newList = (listId, name, flatIds = []) => ({ id: listId, name, flatIds, shareId: null, createdAt: new Date().toISOString() });
+    switch (change.type) {
+        case 'add': {
+            let list = findList(change.listId);
+            // The default list is made on first use; a deleted list is not brought back
+            if (!list && change.listId === CONFIG.defaultFavoriteList.id) {
+                list = newList(change.listId, CONFIG.defaultFavoriteList.name);
+                lists.push(list);
+            }
+            if (list && !list.flatIds.includes(change.flatId)) list.flatIds.push(change.flatId);
+            break;
+        }
+        case 'remove':
+            lists.forEach(list => {
+                if (!change.listId || list.id === change.listId) list.flatIds = list.flatIds.filter(id => id !== change.flatId);
+            });
+            break;
+        case 'note':
+            if (change.keepExisting && notes[change.flatId]) break;
+            if (change.note) {
+                notes[change.flatId] = change.note;
+            } else {
+                delete notes[change.flatId];
+            }
+            break;
+        case 'createList':
+            if (!findList(change.listId)) lists.push(newList(change.listId, change.name));
+            break;
+        case 'deleteList':
+            lists = lists.filter(list => list.id !== change.listId);
+            break;
+        case 'share': {
+            const list = findList(change.listId);
+            if (list) list.shareId = change.shareId;
+            break;
+        }
+        case 'mergeList': {
+            const list = findList(change.listId) || lists.find(item => item.name.toLowerCase() === change.name.toLowerCase());
+            if (list) {
+                list.flatIds = [...new Set([...list.flatIds, ...change.flatIds])];
+            } else {
+                lists.push(newList(change.listId, change.name, [...change.flatIds]));
+            }
+            break;
         }
+        default:
+            console.warn("Unknown favorite list change:", change);
+    }
+    const savedFlatIds = new Set(lists.flatMap(list => list.flatIds));
+    Object.keys(notes).forEach(flatId => {
+        if (!savedFlatIds.has(flatId)) delete notes[flatId];
+    });
+    return { lists, notes };
+}
+
+// Shows new lists and notes everywhere and keeps them on this device. The listings are reloaded when
+// they show favorites, unless `refresh` is false.
+function setFavoriteState(state, { refresh = true } = {}) {
+    const previous = JSON.stringify([favoriteLists, favoriteNotes]);
+    favoriteLists = state.lists;
+    favoriteNotes = state.notes;
+    favorites = [...new Set(favoriteLists.flatMap(list => list.flatIds))];
+    const stored = { favoriteLists, favoriteNotes };
+    if (auth.currentUser) {
+        localStorage.setItem(CONFIG.favoriteListsKey, JSON.stringify({ uid: auth.currentUser.uid, ...stored }));
+    } else {
+        localStorage.setItem(CONFIG.guestFavoriteListsKey, JSON.stringify(stored));
+    }
+    renderFavoriteListOptions();
+    renderFlatListsPanel();
+    updateFavoriteIconsInDisplay();
+    updateFavoritesFilterButtonState();
+    if (refresh && currentFilters.showFavorites && !sharedList && JSON.stringify([favoriteLists, favoriteNotes]) !== previous) {
+        fetchFlats(true);
+    }
+}
+
+/**
+ * Applies changes to the user's lists as stored, then publishes shared lists
+ * that changed (flat IDs and names only, never notes).
+ * @returns {Promise<{ lists, notes }>} the lists as saved
+ */
+async function saveFavoriteChanges(uid, changes) {
+    const userDocRef = doc(db, "users", uid);
+    const userDocSnap = await getDoc(userDocRef);
+    const before = favoriteStateFrom(userDocSnap.exists() ? userDocSnap.data() : null);
+    const after = changes.reduce(applyFavoriteChange, before);
+    // mergeFields replaces the lists and notes whole and drops the flat ID array used before lists
+    await setDoc(userDocRef, { favoriteLists: after.lists, favoriteNotes: after.notes, favorites: deleteField() },
+        { mergeFields: ['favoriteLists', 'favoriteNotes', 'favorites'] });
+    const sharedBefore = new Map(before.lists.filter(list => list.shareId).map(list => [list.shareId, list]));
+    const sharedAfter = new Map(after.lists.filter(list => list.shareId).map(list => [list.shareId, list]));
+    await Promise.all([
+        ...[...sharedBefore.keys()].filter(shareId => !sharedAfter.has(shareId))
+            .map(shareId => deleteDoc(doc(db, "sharedLists", shareId))),
+        ...[...sharedAfter.values()].filter(list => JSON.stringify(list) !== JSON.stringify(sharedBefore.get(list.shareId)))
+            .map(list => setDoc(doc(db, "sharedLists", list.shareId), { ownerUid: uid, name: list.name, flatIds: list.flatIds, updatedAt: new Date() }))
+    ]);
+    return after;
+}
+
+/**
+ * Applies changes at once, then saves them: to the account when signed in
+ * (queued while offline), on this device for guests.
+ * @returns {Promise<boolean>} whether the changes were saved
+ */
+async function updateFavorites(changes, message) {
+    setFavoriteState(changes.reduce(applyFavoriteChange, { lists: favoriteLists, notes: favoriteNotes }));
+    const user = auth.currentUser;
+    if (user && !navigator.onLine) {
+        queueFavoriteChanges(user.uid, changes);
+        return false;
+    }
+    try {
+        if (user) setFavoriteState(await saveFavoriteChanges(user.uid, changes));
+        if (message) showToast(message, "success");
+        return true;
     } catch (error) {
-        console.error("Error toggling favorite:", error);
-        showToast("Error updating favorites. Please try again.", "error");
+        // The connection dropped before the changes were saved: they are queued like any other offline change
+        if (isNetworkError(error)) {
+            queueFavoriteChanges(user.uid, changes);
+            return false;
+        }
+        console.error("Error updating favorite lists:", error);
+        showToast("Error updating your lists. Please try again.", "error");
+        loadFavorites(user.uid, { mergeGuestLists: false });
+        return false;
+    }
+}
+
+// The list picked next to "Show Favorites", if any.
+function selectedFavoriteList() {
+    return elements.favoriteListFilter ? favoriteLists.find(list => list.id === elements.favoriteListFilter.value) : undefined;
+}
+
+// The heart saves to the picked list (else the first one) and unsaves from every list.
+function toggleFavorite(flatId) {
+    if (favorites.includes(flatId)) {
+        return updateFavorites([{ type: 'remove', flatId }], "Removed from your lists.");
     }
+    const list = selectedFavoriteList() || favoriteLists[0] || CONFIG.defaultFavoriteList;
+    return updateFavorites([{ type: 'add', listId: list.id, flatId }], `Added to ${list.name}!`);
 }
 
-async function loadFavorites(uid) {
+// Loads the signed-in user's lists, then merges in what they saved on this device as a guest. The guest's
+// lists are kept until the merge is saved, so a failed or queued save merges them again at the next sign-in
+// (merging is idempotent); reloading after a failed save skips the merge, or it would fail over and over.
+async function loadFavorites(uid, { mergeGuestLists = true } = {}) {
     try {
-        const userDocRef = doc(db, "users", uid);
-        const userDocSnap = await getDoc(userDocRef);
-        if (userDocSnap.exists()) {
-            favorites = userDocSnap.data().favorites || [];
-            localStorage.setItem('favorites', JSON.stringify(favorites));
+        const userDocSnap = await getDoc(doc(db, "users", uid));
+        setFavoriteState(favoriteStateFrom(userDocSnap.exists() ? userDocSnap.data() : null));
+    } catch (error) {
+        // Offline: the lists kept on this device stay, queued changes included
+        if (!isNetworkError(error)) {
+            console.error("Error loading favorites:", error);
+            showToast("Error loading your favorites.", "error");
+        }
+    }
+    if (!mergeGuestLists) return;
+    const guestState = loadStoredFavoriteState(null);
+    const guestChanges = [
+        ...guestState.lists.filter(list => list.flatIds.length > 0)
+            .map(list => ({ type: 'mergeList', listId: list.id, name: list.name, flatIds: list.flatIds })),
+        ...Object.entries(guestState.notes).map(([flatId, note]) => ({ type: 'note', flatId, note, keepExisting: true }))
+    ];
+    if (guestChanges.length === 0 || await updateFavorites(guestChanges, "The apartments you saved before logging in were added to your lists.")) {
+        localStorage.removeItem(CONFIG.guestFavoriteListsKey);
+    }
+}
+
+function renderFavoriteListOptions() {
+    if (!elements.favoriteListFilter) return;
+    const selected = elements.favoriteListFilter.value || currentFilters.favoriteList;
+    elements.favoriteListFilter.innerHTML = '<option value="">All lists</option>' + favoriteLists
+        .map(list => `<option value="${escapeHtml(list.id)}">${escapeHtml(list.name)} (${list.flatIds.length})${list.shareId ? ' · shared' : ''}</option>`)
+        .join('');
+    elements.favoriteListFilter.value = favoriteLists.some(list => list.id === selected) ? selected : '';
+    updateFavoriteListButtons();
+}
+
+function updateFavoriteListButtons() {
+    if (!elements.shareFavoriteListBtn) return;
+    const list = selectedFavoriteList();
+    elements.shareFavoriteListBtn.disabled = !list;
+    elements.deleteFavoriteListBtn.disabled = !list;
+    elements.unshareFavoriteListBtn.classList.toggle('hidden', !(list && list.shareId));
+}
+
+function handleCreateFavoriteList() {
+    const name = elements.newFavoriteListName.value.trim();
+    if (!name) {
+        showToast("Please name the list first.", "info");
+        elements.newFavoriteListName.focus();
+        return;
+    }
+    if (favoriteLists.some(list => list.name.toLowerCase() === name.toLowerCase())) {
+        showToast(`You already have a list called "${name}".`, "info");
+        return;
+    }
+    const listId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    elements.newFavoriteListName.value = '';
+    updateFavorites([{ type: 'createList', listId, name }], `Created "${name}". New favorites go to it while it is picked.`);
+    elements.favoriteListFilter.value = listId;
+    updateFavoriteListButtons();
+}
+
+async function handleDeleteFavoriteList() {
+    const list = selectedFavoriteList();
+    if (!list) return;
+    await updateFavorites([{ type: 'deleteList', listId: list.id }], `Deleted "${list.name}".`);
+    if (currentFilters.favoriteList === list.id) {
+        currentFilters.favoriteList = '';
+        history.replaceState(history.state, '', `${location.pathname}${filtersToQueryString()}`);
+        fetchFlats(true);
+    }
+}
+
+// Shares the picked list (once) and copies its link. The shared copy has the flats, never the notes.
+async function handleShareFavoriteList() {
+    const list = selectedFavoriteList();
+    if (!list) return;
+    if (!auth.currentUser) {
+        showToast("Please log in to share a list.", "info");
+        return;
+    }
+    if (!navigator.onLine) {
+        showToast("Sharing needs a connection. Please try again once you're back online.", "info");
+        return;
+    }
+    if (!list.shareId && !await updateFavorites([{ type: 'share', listId: list.id, shareId: crypto.randomUUID() }])) return;
+    const { shareId } = favoriteLists.find(item => item.id === list.id) || {};
+    if (!shareId) return;
+    const url = `${location.origin}/lists/${shareId}`;
+    try {
+        await navigator.clipboard.writeText(url);
+        showToast(`Link to "${list.name}" copied. Anyone with it can see the list, but not your notes.`, "success");
+    } catch (error) {
+        showToast(`Share "${list.name}" with this link: ${url}`, "info");
+    }
+}
+
+function handleUnshareFavoriteList() {
+    const list = selectedFavoriteList();
+    if (!list || !list.shareId) return;
+    updateFavorites([{ type: 'share', listId: list.id, shareId: null }], `"${list.name}" is no longer shared; its link has stopped working.`);
+}
+
+// The detail modal's "Your lists" panel: a checkbox per list, and a note once the flat is in one.
+function renderFlatListsPanel() {
+    if (!elements.flatListsCheckboxes || !currentDetailFlat) return;
+    const flatId = currentDetailFlat.id;
+    const lists = favoriteLists.length > 0 ? favoriteLists : [{ ...CONFIG.defaultFavoriteList, flatIds: [] }];
+    elements.flatListsCheckboxes.innerHTML = lists.map(list => `
+        <label class="inline-flex items-center gap-2 text-gray-700">
+            <input type="checkbox" class="flat-list-checkbox" data-list-id="${escapeHtml(list.id)}" ${list.flatIds.includes(flatId) ? 'checked' : ''}>
+            ${escapeHtml(list.name)}
+        </label>
+    `).join('');
+    elements.flatNoteField.classList.toggle('hidden', !favorites.includes(flatId));
+    // A note being typed is not overwritten by changes arriving meanwhile
+    if (document.activeElement !== elements.flatNote) elements.flatNote.value = favoriteNotes[flatId] || '';
+}
+
+function handleFlatListCheckboxChange(event) {
+    const checkbox = event.target.closest('.flat-list-checkbox');
+    if (!checkbox || !currentDetailFlat) return;
+    const listId = checkbox.getAttribute('data-list-id');
+    const { name } = favoriteLists.find(list => list.id === listId) || CONFIG.defaultFavoriteList;
+    const flatId = currentDetailFlat.id;
+    updateFavorites([checkbox.checked ? { type: 'add', listId, flatId } : { type: 'remove', listId, flatId }],
+        checkbox.checked ? `Added to ${name}!` : `Removed from ${name}.`);
+}
+
+function handleSaveFlatNote() {
+    if (!currentDetailFlat) return;
+    updateFavorites([{ type: 'note', flatId: currentDetailFlat.id, note: elements.flatNote.value.trim() }], "Note saved.");
+}
+
+// --- Shared Lists ---
+function getSharedListIdFromPath() {
+    const match = location.pathname.match(/^\/lists\/([^/]+)\/?$/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Where the listings live: the shared list's URL while one is open, otherwise the site root.
+function listingPath() {
+    return sharedList ? `/lists/${encodeURIComponent(sharedList.shareId)}` : '/';
+}
+
+// Opens a list shared by its owner; the listings show its flats until the visitor leaves it.
+async function loadSharedList(shareId) {
+    try {
+        const sharedListSnap = await getDoc(doc(db, "sharedLists", shareId));
+        if (sharedListSnap.exists()) {
+            const { name, flatIds } = sharedListSnap.data();
+            sharedList = { shareId, name, flatIds: flatIds || [] };
         } else {
-            favorites = [];
-            localStorage.removeItem('favorites');
+            sharedList = null;
+            showToast("This shared list no longer exists.", "error");
+            history.replaceState(history.state, '', `/${location.search}`);
         }
-        updateFavoriteIconsInDisplay();
-        updateFavoritesFilterButtonState();
     } catch (error) {
-        console.error("Error loading favorites:", error);
-        favorites = [];
-        localStorage.removeItem('favorites');
-        updateFavoritesFilterButtonState();
-        showToast("Error loading your favorites.", "error");
+        sharedList = null;
+        console.error("Error loading shared list:", error);
+        showToast("Error loading the shared list.", "error");
     }
+    renderSharedListBanner();
+}
+
+function renderSharedListBanner() {
+    if (!elements.sharedListBanner) return;
+    elements.sharedListBanner.classList.toggle('hidden', !sharedList);
+    if (!sharedList) return;
+    elements.sharedListName.textContent = sharedList.name;
+    elements.sharedListCount.textContent = sharedList.flatIds.length;
+}
+
+function handleLeaveSharedList() {
+    sharedList = null;
+    renderSharedListBanner();
+    history.pushState({}, '', `/${location.search}`);
+    fetchFlats(true);
 }
 
 function updateFavoriteIconsInDisplay() {
@@ -457,16 +1221,6 @@ function updateFavoriteIconsInDisplay() {
     });
 }
 
-function addToRecentlyViewed(flat) {
-    recentlyViewed = recentlyViewed.filter(item => item.id !== flat.id);
-    recentlyViewed.unshift(flat);
-    if (recentlyViewed.length > CONFIG.recentlyViewedLimit) {
-        recentlyViewed = recentlyViewed.slice(0, CONFIG.recentlyViewedLimit);
-    }
-    localStorage.setItem('recentlyViewed', JSON.stringify(recentlyViewed));
-    displayRecentlyViewed();
-}
-
 function updateFavoritesFilterButtonState() {
     if (elements.favoritesCountSpan && elements.favoriteToggleButton) {
         elements.favoritesCountSpan.textContent = favorites.length;
@@ -474,44 +1228,296 @@ function updateFavoritesFilterButtonState() {
     }
 }
 
-// --- Firebase Authentication ---
-async function handleAuth(event) {
-    event.preventDefault();
-    const email = elements.authEmailInput.value;
-    const password = elements.authPasswordInput.value;
-    elements.authErrorMessage.classList.add('hidden');
-    elements.authErrorMessage.textContent = '';
-    if (!email || !password) {
-        elements.authErrorMessage.textContent = 'Email and password are required.';
-        elements.authErrorMessage.classList.remove('hidden');
-        return;
+// --- Browsing History ---
+// The history is a list of flat IDs, each with when it was last viewed and the price shown then. It is
+// kept on this device and, when signed in, on users/{uid} as browsingHistory; the cards are drawn from
+// current flat data (see hydrateBrowsingHistory), so they show today's prices and photos.
+
+function readStoredHistory() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONFIG.browsingHistoryKey));
+        if (stored && Array.isArray(stored.entries)) return stored;
+        // Recently Viewed used to keep up to three whole flats under 'recentlyViewed'
+        const legacy = JSON.parse(localStorage.getItem('recentlyViewed')) || [];
+        const now = Date.now();
+        const migrated = {
+            uid: null,
+            entries: legacy.filter(flat => flat && flat.id)
+                .map((flat, index) => ({ flatId: flat.id, viewedAt: now - index, price: typeof flat.price === 'number' ? flat.price : null }))
+        };
+        localStorage.setItem(CONFIG.browsingHistoryKey, JSON.stringify(migrated));
+        localStorage.removeItem('recentlyViewed');
+        return migrated;
+    } catch (error) {
+        return { uid: null, entries: [] };
     }
+}
+
+function readStoredHistoryFlats() {
     try {
-        if (authMode === 'login') {
-            await signInWithEmailAndPassword(auth, email, password);
-            showToast("Logged in successfully!", "success");
-        } else {
-            await createUserWithEmailAndPassword(auth, email, password);
-            showToast("Registration successful! Welcome!", "success");
-        }
+        return new Map((JSON.parse(localStorage.getItem(CONFIG.historyFlatsKey)) || []).map(flat => [flat.id, flat]));
     } catch (error) {
-        console.error("Authentication error:", error);
-        let message = "An unknown error occurred.";
-        if (error.code) {
-            switch (error.code) {
-                case 'auth/invalid-email':
-                    message = 'Invalid email address format.';
-                    break;
-                case 'auth/user-disabled':
-                    message = 'Your account has been disabled.';
-                    break;
-                case 'auth/user-not-found':
-                case 'auth/wrong-password':
-                    message = 'Invalid email or password.';
-                    break;
-                case 'auth/email-already-in-use':
-                    message = 'This email is already registered.';
-                    break;
+        return new Map();
+    }
+}
+
+function storeBrowsingHistory() {
+    localStorage.setItem(CONFIG.browsingHistoryKey, JSON.stringify({
+        uid: auth.currentUser ? auth.currentUser.uid : null,
+        entries: browsingHistory
+    }));
+}
+
+// Keeps the flats behind the newest entries, so Recently Viewed and /flats/:id still work offline.
+function storeHistoryFlats() {
+    try {
+        const flats = browsingHistory.slice(0, CONFIG.offlineListingsLimit)
+            .map(entry => historyFlats.get(entry.flatId))
+            .filter(Boolean);
+        localStorage.setItem(CONFIG.historyFlatsKey, JSON.stringify(flats));
+    } catch (error) {
+        console.error("Error saving viewed flats for offline use:", error);
+    }
+}
+
+// One entry per flat, the latest view winning, newest first and capped at browsingHistoryLimit.
+function mergeHistoryEntries(...entryLists) {
+    const latest = new Map();
+    entryLists.flat().forEach(entry => {
+        const current = latest.get(entry.flatId);
+        if (!current || entry.viewedAt > current.viewedAt) latest.set(entry.flatId, entry);
+    });
+    return [...latest.values()].sort((a, b) => b.viewedAt - a.viewedAt).slice(0, CONFIG.browsingHistoryLimit);
+}
+
+// Applies `update` (entries => entries) to the account's history as stored, so views made on other
+// devices meanwhile are kept. Views made offline stay on this device only.
+async function saveHistoryChange(update) {
+    const user = auth.currentUser;
+    if (!user) return;
+    try {
+        const userDocRef = doc(db, "users", user.uid);
+        const userDocSnap = await getDoc(userDocRef);
+        const entries = update(userDocSnap.exists() ? userDocSnap.data().browsingHistory || [] : []);
+        await setDoc(userDocRef, { browsingHistory: entries }, { merge: true });
+    } catch (error) {
+        if (!isNetworkError(error)) console.error("Error saving browsing history:", error);
+    }
+}
+
+function addToRecentlyViewed(flat) {
+    const entry = { flatId: flat.id, viewedAt: Date.now(), price: typeof flat.price === 'number' ? flat.price : null };
+    const addView = entries => mergeHistoryEntries([entry], entries.filter(item => item.flatId !== flat.id));
+    browsingHistory = addView(browsingHistory);
+    historyFlats.set(flat.id, flat);
+    storeBrowsingHistory();
+    storeHistoryFlats();
+    displayRecentlyViewed();
+    renderHistoryPage();
+    saveHistoryChange(addView);
+    cacheFlatImagesForOffline(flat);
+}
+
+// Loads the account's history and adds the views made on this device before logging in.
+async function loadBrowsingHistory(uid) {
+    const stored = readStoredHistory();
+    const guestEntries = stored.uid ? [] : stored.entries;
+    try {
+        const userDocSnap = await getDoc(doc(db, "users", uid));
+        const accountEntries = userDocSnap.exists() ? userDocSnap.data().browsingHistory || [] : [];
+        browsingHistory = mergeHistoryEntries(accountEntries, guestEntries);
+        storeBrowsingHistory();
+        if (guestEntries.length > 0) saveHistoryChange(entries => mergeHistoryEntries(entries, guestEntries));
+    } catch (error) {
+        // Offline: show what this device has, unless it belongs to another account
+        if (!isNetworkError(error)) console.error("Error loading browsing history:", error);
+        browsingHistory = !stored.uid || stored.uid === uid ? stored.entries : [];
+    }
+    await hydrateBrowsingHistory();
+}
+
+// Signed out: the account's history stays with the account, and a guest's stays on this device.
+function loadGuestBrowsingHistory() {
+    const stored = readStoredHistory();
+    if (stored.uid) {
+        historyFlats = new Map();
+        localStorage.removeItem(CONFIG.historyFlatsKey);
+    }
+    browsingHistory = stored.uid ? [] : stored.entries;
+    storeBrowsingHistory();
+    hydrateBrowsingHistory();
+}
+
+// Fetches the current data of every flat in the history; listings that no longer exist become null.
+async function hydrateBrowsingHistory() {
+    const flatIds = browsingHistory.map(entry => entry.flatId);
+    if (flatIds.length > 0) {
+        try {
+            const snapshots = await Promise.all(flatIdBatches(flatIds).map(batch =>
+                getDocs(query(collection(db, "flats"), where(documentId(), 'in', batch)))));
+            const found = new Map(snapshots.flatMap(snapshot => snapshot.docs).map(flatDoc => [flatDoc.id, { id: flatDoc.id, ...flatDoc.data() }]));
+            flatIds.forEach(flatId => historyFlats.set(flatId, found.get(flatId) || null));
+            storeHistoryFlats();
+        } catch (error) {
+            // Offline: the flats kept on this device are shown as they were
+            if (!isNetworkError(error)) console.error("Error loading viewed flats:", error);
+        }
+    }
+    displayRecentlyViewed();
+    renderHistoryPage();
+}
+
+function removeHistoryEntry(flatId) {
+    const removeView = entries => entries.filter(entry => entry.flatId !== flatId);
+    browsingHistory = removeView(browsingHistory);
+    historyFlats.delete(flatId);
+    storeBrowsingHistory();
+    storeHistoryFlats();
+    displayRecentlyViewed();
+    renderHistoryPage();
+    saveHistoryChange(removeView);
+}
+
+function handleClearHistory() {
+    browsingHistory = [];
+    historyFlats = new Map();
+    storeBrowsingHistory();
+    storeHistoryFlats();
+    displayRecentlyViewed();
+    renderHistoryPage();
+    saveHistoryChange(() => []);
+    showToast("Browsing history cleared.", "success");
+}
+
+function formatHistoryPriceChange(entry, flat) {
+    if (typeof entry.price !== 'number' || typeof flat.price !== 'number' || entry.price === flat.price) return '';
+    const dropped = flat.price < entry.price;
+    return `<p class="mb-2"><span class="history-price-change"><i class="fas fa-arrow-${dropped ? 'down' : 'up'} mr-1"></i>${dropped ? 'Cheaper' : 'Pricier'} than when you viewed it (${formatPrice(entry.price)})</span></p>`;
+}
+
+// A history entry as a flat card, marked when the price has changed since; removed listings get a stub.
+function createHistoryCard(entry, { removable = false } = {}) {
+    const flat = historyFlats.get(entry.flatId);
+    let card;
+    if (flat) {
+        card = createFlatCard(flat);
+        card.querySelector('.p-6').insertAdjacentHTML('afterbegin', formatHistoryPriceChange(entry, flat));
+    } else {
+        card = document.createElement('div');
+        card.className = 'history-removed rounded-lg flex flex-col justify-center text-center';
+        card.setAttribute('data-flat-id', entry.flatId);
+        // undefined: not loaded yet; null: the listing is gone
+        card.innerHTML = flat === null
+            ? '<div class="p-6"><p class="font-semibold"><i class="fas fa-ban mr-2"></i>No longer listed</p><p class="text-sm">This apartment has been taken off the site.</p></div>'
+            : '<div class="p-6"><p><i class="fas fa-spinner fa-spin mr-2"></i>Loading…</p></div>';
+    }
+    if (removable) {
+        const viewedAt = new Date(entry.viewedAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+        card.insertAdjacentHTML('beforeend', `
+            <div class="flex justify-between items-center px-6 pb-4 text-sm text-gray-500">
+                <span>Viewed ${viewedAt}</span>
+                <button type="button" class="remove-history-btn hover:text-red-600" data-flat-id="${escapeHtml(entry.flatId)}">
+                    <i class="fas fa-times mr-1"></i>Remove
+                </button>
+            </div>
+        `);
+    }
+    return card;
+}
+
+function isHistoryPath() {
+    return /^\/history\/?$/.test(location.pathname);
+}
+
+function renderHistoryPage() {
+    if (!elements.historyModal || elements.historyModal.classList.contains('hidden')) return;
+    elements.historySyncNote.textContent = auth.currentUser
+        ? 'Synced with your account on every device.'
+        : 'Kept on this device only. Log in to see it on your other devices.';
+    elements.clearHistoryBtn.disabled = browsingHistory.length === 0;
+    elements.historyList.innerHTML = '';
+    if (browsingHistory.length === 0) {
+        elements.historyList.innerHTML = '<p class="text-center text-gray-600 col-span-full">You haven\'t viewed any apartments yet.</p>';
+        return;
+    }
+    browsingHistory.forEach(entry => elements.historyList.appendChild(createHistoryCard(entry, { removable: true })));
+}
+
+// Opens the history page over the listings. Unless `updateHistory` is false, it gets its own /history entry.
+function showHistoryPage({ updateHistory = true } = {}) {
+    elements.historyModal.classList.remove('hidden');
+    document.body.classList.add('overflow-hidden');
+    renderHistoryPage();
+    if (dialogs.history) dialogs.history.open();
+    if (updateHistory && !isHistoryPath()) {
+        history.pushState({ historyPage: true }, '', `/history${location.search}`);
+    }
+}
+
+function hideHistoryPage() {
+    elements.historyModal.classList.add('hidden');
+    document.body.classList.remove('overflow-hidden');
+    if (dialogs.history) dialogs.history.close();
+}
+
+function closeHistoryPage() {
+    hideHistoryPage();
+    if (isHistoryPath()) {
+        if (history.state && history.state.historyPage) {
+            history.back();
+        } else {
+            history.replaceState({}, '', `${listingPath()}${location.search}`);
+        }
+    }
+}
+
+function handleHistoryListClick(event) {
+    const removeButton = event.target.closest('.remove-history-btn');
+    if (removeButton) {
+        removeHistoryEntry(removeButton.getAttribute('data-flat-id'));
+        return;
+    }
+    handleFavoriteButtonClick(event);
+}
+
+// --- Firebase Authentication ---
+async function handleAuth(event) {
+    event.preventDefault();
+    const email = elements.authEmailInput.value;
+    const password = elements.authPasswordInput.value;
+    elements.authErrorMessage.classList.add('hidden');
+    elements.authErrorMessage.textContent = '';
+    if (!email || !password) {
+        elements.authErrorMessage.textContent = 'Email and password are required.';
+        elements.authErrorMessage.classList.remove('hidden');
+        return;
+    }
+    try {
+        if (authMode === 'login') {
+            await signInWithEmailAndPassword(auth, email, password);
+            showToast("Logged in successfully!", "success");
+        } else {
+            await createUserWithEmailAndPassword(auth, email, password);
+            showToast("Registration successful! Welcome!", "success");
+        }
+    } catch (error) {
+        console.error("Authentication error:", error);
+        let message = "An unknown error occurred.";
+        if (error.code) {
+            switch (error.code) {
+                case 'auth/invalid-email':
+                    message = 'Invalid email address format.';
+                    break;
+                case 'auth/user-disabled':
+                    message = 'Your account has been disabled.';
+                    break;
+                case 'auth/user-not-found':
+                case 'auth/wrong-password':
+                    message = 'Invalid email or password.';
+                    break;
+                case 'auth/email-already-in-use':
+                    message = 'This email is already registered.';
+                    break;
                 case 'auth/weak-password':
                     message = 'Password should be at least 6 characters.';
                     break;
@@ -528,182 +1534,1461 @@ async function handleAuth(event) {
     }
 }
 
-async function handleLogout() {
+async function handleLogout() {
+    try {
+        await signOut(auth);
+        showToast("You have been signed out.", "info");
+    } catch (error) {
+        console.error("Error signing out:", error);
+        showToast("Error signing out. Please try again.", "error");
+    }
+}
+
+function toggleAuthMode() {
+    if (authMode === 'login') {
+        authMode = 'register';
+        elements.authModeToggle.textContent = 'Register';
+        elements.authSubmitBtn.textContent = 'Register';
+        elements.toggleAuthModeLink.innerHTML = "Already have an account? Login";
+    } else {
+        authMode = 'login';
+        elements.authModeToggle.textContent = 'Login';
+        elements.authSubmitBtn.textContent = 'Login';
+        elements.toggleAuthModeLink.innerHTML = "Don't have an account? Register";
+    }
+    elements.authErrorMessage.classList.add('hidden');
+    elements.authErrorMessage.textContent = '';
+    elements.authPasswordInput.value = '';
+}
+
+// --- Firestore Data Fetching ---
+async function fetchApartmentDetails() {
+    try {
+        const docRef = doc(db, "apartmentDetails", "main");
+        const docSnap = await getDoc(docRef);
+        if (docSnap.exists()) {
+            const data = docSnap.data();
+            if (elements.addressSpan) elements.addressSpan.textContent = data.address || 'N/A';
+            if (elements.builtYearSpan) elements.builtYearSpan.textContent = data.builtYear || 'N/A';
+            if (elements.totalFlatsCounter) {
+                elements.totalFlatsCounter.setAttribute('data-target', data.totalFlats || '0');
+                initCounter(elements.totalFlatsCounter);
+            }
+            if (elements.descriptionSpan) elements.descriptionSpan.textContent = data.description || 'No description available.';
+            if (elements.amenitiesSpan) {
+                if (data.amenities && Array.isArray(data.amenities)) {
+                    elements.amenitiesSpan.innerHTML = data.amenities.map(amenity => `<span>${amenity}</span>`).join(', ');
+                } else {
+                    elements.amenitiesSpan.textContent = 'No amenities listed.';
+                }
+            }
+        } else {
+            console.log("No apartment details document found!");
+            if (elements.addressSpan) elements.addressSpan.textContent = 'Not available';
+            if (elements.builtYearSpan) elements.builtYearSpan.textContent = 'Not available';
+            if (elements.totalFlatsCounter) {
+                elements.totalFlatsCounter.setAttribute('data-target', '0');
+                initCounter(elements.totalFlatsCounter);
+            }
+            if (elements.descriptionSpan) elements.descriptionSpan.textContent = 'Details not available.';
+            if (elements.amenitiesSpan) elements.amenitiesSpan.textContent = 'Not available.';
+        }
+    } catch (error) {
+        console.error("Error fetching apartment details:", error);
+        showToast("Error loading apartment details.", "error");
+    }
+}
+
+async function fetchFlats(reset = false) {
+    console.log(`fetchFlats called (reset: ${reset})`);
+    if (!elements.flatsList) {
+        elements.flatsList = document.getElementById('flatsList');
+        if (!elements.flatsList) {
+            console.error("Critical Error: Flats list container (id='flatsList') not found in the DOM.");
+            showToast("Error: Apartment display area not found. Please refresh the page.", "error");
+            return;
+        }
+    }
+    if (!reset && (isLoadingFlats || !hasMoreFlats)) return;
+    // A reset supersedes any page still in flight; its results are dropped when they arrive.
+    const requestId = ++flatsRequestId;
+    isLoadingFlats = true;
+    if (reset) {
+        allFlatsData = [];
+        displayedFlatsCount = 0;
+        lastVisibleFlat = null;
+        hasMoreFlats = true;
+        elements.flatsList.innerHTML = '';
+        elements.loadMoreBtn.classList.add('hidden');
+        elements.noFlatsMessage.classList.add('hidden');
+        console.log("Resetting flats list and pagination");
+        updateFacetCounts();
+    }
+    showSkeletons(CONFIG.skeletonCount, !reset);
+    console.log("Showing skeleton loaders");
+    try {
+        await sharedListReady;
+        if (requestId !== flatsRequestId) return;
+        const flatIds = listedFlatIds();
+        if (flatIds && flatIds.length === 0) {
+            hasMoreFlats = false;
+            hideSkeletons();
+            elements.flatsList.innerHTML = '';
+            elements.noFlatsMessage.classList.remove('hidden');
+            elements.noFlatsMessage.textContent = sharedList ? 'This list is empty.' : 'No favorite apartments found.';
+            elements.loadMoreBtn.classList.add('hidden');
+            console.log("No favorites to display");
+            return;
+        }
+        const searchTerms = getSearchTerms(currentFilters.searchTerm);
+        // Sort options are `<field>-<direction>`, as listed by GET /api/flats/query-schema
+        const [sortField, sortDirection] = (currentFilters.sortBy || DEFAULT_FILTERS.sortBy).split('-');
+        let docs;
+        if (flatIds) {
+            // A list is fetched whole, one query per batch of IDs, and the batches are filtered and sorted here
+            const snapshots = await Promise.all(flatIdBatches(flatIds).map(batch => getDocs(query(collection(db, "flats"),
+                where(documentId(), 'in', batch)))));
+            docs = snapshots.flatMap(snapshot => snapshot.docs);
+        } else {
+            let flatsQueryRef = query(collection(db, "flats"), ...buildFilterConstraints([], sortField), orderBy(sortField, sortDirection));
+            // Search results are ranked by relevance, so they are fetched in one go rather than paged
+            if (searchTerms.length === 0) {
+                if (lastVisibleFlat) {
+                    flatsQueryRef = query(flatsQueryRef, startAfter(lastVisibleFlat));
+                }
+                flatsQueryRef = query(flatsQueryRef, limit(CONFIG.flatsPerPage));
+            }
+            docs = (await getDocs(flatsQueryRef)).docs;
+        }
+        if (requestId !== flatsRequestId) return;
+        console.log(`Query snapshot docs count: ${docs.length}`);
+        let fetchedFlats = docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        if (flatIds) fetchedFlats.sort(compareFlatsBy(sortField, sortDirection));
+        fetchedFlats = fetchedFlats.filter(flat => flatMatchesFilters(flat));
+        if (searchTerms.length > 0) {
+            fetchedFlats = fetchedFlats
+                .map(flat => ({ flat, score: scoreFlatForSearch(flat, searchTerms) }))
+                .filter(({ score }) => score > 0)
+                .sort((a, b) => b.score - a.score)
+                .map(({ flat }) => flat);
+        }
+        console.log("Fetched flats data:", fetchedFlats);
+        hideSkeletons();
+        savedListingsShownAt = null;
+        updateOfflineBanner();
+        if (docs.length > 0) {
+            lastVisibleFlat = docs[docs.length - 1];
+        }
+        hasMoreFlats = !flatIds && searchTerms.length === 0 && docs.length === CONFIG.flatsPerPage;
+        elements.loadMoreBtn.classList.toggle('hidden', !hasMoreFlats);
+        if (fetchedFlats.length > 0) {
+            allFlatsData = allFlatsData.concat(fetchedFlats);
+            // Earlier pages stay in place; the new page is appended below them
+            fetchedFlats.forEach(flat => {
+                const card = createFlatCard(flat);
+                console.log("Appending flat card:", flat.id, card);
+                elements.flatsList.appendChild(card);
+            });
+            displayedFlatsCount += fetchedFlats.length;
+            console.log(`Total flats displayed: ${displayedFlatsCount}`);
+            elements.noFlatsMessage.classList.add('hidden');
+        } else if (allFlatsData.length === 0 && !hasMoreFlats) {
+            console.log("No flats fetched");
+            elements.noFlatsMessage.classList.remove('hidden');
+            elements.noFlatsMessage.textContent = 'No apartments found matching your criteria.';
+            console.log("Showing no flats message");
+        }
+        updateFavoriteIconsInDisplay();
+        if (listingView === 'map') renderFlatsMap();
+        saveListingsForOffline();
+    } catch (error) {
+        if (requestId !== flatsRequestId) return;
+        if (isNetworkError(error)) {
+            hasMoreFlats = false;
+            elements.loadMoreBtn.classList.add('hidden');
+            hideSkeletons();
+            if (allFlatsData.length === 0) showSavedListings();
+            updateOfflineBanner();
+            return;
+        }
+        console.error("Error fetching flats:", error);
+        showToast("Error loading apartments.", "error");
+        hideSkeletons();
+        if (allFlatsData.length === 0) {
+            elements.noFlatsMessage.classList.remove('hidden');
+            elements.noFlatsMessage.textContent = 'Error loading apartments.';
+        }
+    } finally {
+        if (requestId === flatsRequestId) {
+            isLoadingFlats = false;
+            console.log("Hiding skeleton loaders");
+            // A page that was entirely filtered out client-side leaves the sentinel in view, so keep going
+            if (hasMoreFlats && isFlatsSentinelNearViewport()) {
+                fetchFlats(false);
+            }
+        }
+    }
+}
+
+// Firestore filter constraints for currentFilters, sorted by `sortField`. Like buildWhereClauses in
+// server/flatFilters.js they narrow by one filter only, as most combinations would need a composite index
+// of their own: search, else amenities, else a range on the sort field, else (unsorted) the offer or flat
+// type. Callers re-check every flat with flatMatchesFilters. Facet names in `except` ('offerType', 'type',
+// 'amenities' and the RANGE_FILTERS fields) are left out, so facet counts can ignore their own filter.
+function buildFilterConstraints(except = [], sortField = null) {
+    const searchTerms = getSearchTerms(currentFilters.searchTerm);
+    const selectedAmenities = currentFilters.amenities;
+    if (searchTerms.length > 0) {
+        return [where("searchTokens", "array-contains-any", searchTerms)];
+    }
+    if (selectedAmenities.length > 0 && !except.includes('amenities')) {
+        return [currentFilters.amenityMatch === 'all'
+            ? where("amenityKeys", "array-contains", selectedAmenities[0])
+            : where("amenityKeys", "array-contains-any", selectedAmenities)];
+    }
+    if (sortField) {
+        const range = RANGE_FILTERS[sortField];
+        if (!range || except.includes(sortField)) return [];
+        const [minKey, maxKey] = range;
+        const constraints = [];
+        if (currentFilters[minKey]) constraints.push(where(sortField, ">=", parseFloat(currentFilters[minKey])));
+        if (currentFilters[maxKey]) constraints.push(where(sortField, "<=", parseFloat(currentFilters[maxKey])));
+        return constraints;
+    }
+    if (currentFilters.offerType !== 'all' && !except.includes('offerType')) {
+        return [where("offerType", "==", currentFilters.offerType)];
+    }
+    if (currentFilters.flatType !== 'all' && !except.includes('type')) {
+        return [where("type", "==", currentFilters.flatType)];
+    }
+    return [];
+}
+
+// The flat IDs the listings are limited to: the shared list being viewed, or the favorites shown
+// (those of the chosen list, or all of them). null when every flat is listed.
+function listedFlatIds() {
+    if (sharedList) return sharedList.flatIds;
+    if (!currentFilters.showFavorites) return null;
+    const list = favoriteLists.find(item => item.id === currentFilters.favoriteList);
+    return list ? list.flatIds : favorites;
+}
+
+// Splits flat IDs into groups small enough for a Firestore 'in' filter.
+function flatIdBatches(flatIds) {
+    const batches = [];
+    for (let index = 0; index < flatIds.length; index += CONFIG.firestoreInLimit) {
+        batches.push(flatIds.slice(index, index + CONFIG.firestoreInLimit));
+    }
+    return batches;
+}
+
+// Sorts flats from several queries the way orderBy would, missing values first and timestamps by time.
+function compareFlatsBy(field, direction) {
+    const valueOf = flat => {
+        const value = flat[field];
+        return value && typeof value.toMillis === 'function' ? value.toMillis() : value;
+    };
+    return (a, b) => {
+        const first = valueOf(a);
+        const second = valueOf(b);
+        let order = 0;
+        if (first === second) order = 0;
+        else if (first === undefined || first === null) order = -1;
+        else if (second === undefined || second === null) order = 1;
+        else order = first < second ? -1 : 1;
+        return direction === 'desc' ? -order : order;
+    };
+}
+
+// In-memory version of buildFilterConstraints plus the amenity and search checks fetchFlats applies;
+// mirrors matchesFlatFilters in server/flatFilters.js. Facet names in `except` are left out.
+function flatMatchesFilters(flat, except = []) {
+    if (currentFilters.offerType !== 'all' && !except.includes('offerType') && flat.offerType !== currentFilters.offerType) return false;
+    if (currentFilters.flatType !== 'all' && !except.includes('type') && flat.type !== currentFilters.flatType) return false;
+    for (const [field, [minKey, maxKey]] of Object.entries(RANGE_FILTERS)) {
+        if (except.includes(field) || (!currentFilters[minKey] && !currentFilters[maxKey])) continue;
+        if (typeof flat[field] !== 'number') return false;
+        if (currentFilters[minKey] && flat[field] < parseFloat(currentFilters[minKey])) return false;
+        if (currentFilters[maxKey] && flat[field] > parseFloat(currentFilters[maxKey])) return false;
+    }
+    if (currentFilters.moveInBy && !(typeof flat.availableFrom === 'string' && flat.availableFrom <= currentFilters.moveInBy)) return false;
+    if (!flatMatchesAmenities(flat, currentFilters.amenities, currentFilters.amenityMatch)) return false;
+    const searchTerms = getSearchTerms(currentFilters.searchTerm);
+    return searchTerms.length === 0 || scoreFlatForSearch(flat, searchTerms) > 0;
+}
+
+// Same counts and shape as computeFacets in server/flatFilters.js.
+function computeFacets(flats) {
+    const matching = except => flats.filter(flat => flatMatchesFilters(flat, except));
+    const countBy = (items, keyOf) => items.reduce((counts, flat) => {
+        const key = keyOf(flat);
+        if (key !== undefined && key !== null) counts[key] = (counts[key] || 0) + 1;
+        return counts;
+    }, {});
+    const priceFlats = matching(['price']);
+    return {
+        type: countBy(matching(['type']), flat => flat.type),
+        offerType: countBy(matching(['offerType']), flat => flat.offerType),
+        bedrooms: countBy(matching(['bedrooms']), flat => (Number.isInteger(flat.bedrooms) ? flat.bedrooms : null)),
+        price: CONFIG.priceBuckets.map(bucket => ({
+            count: priceFlats.filter(flat => typeof flat.price === 'number' && flat.price >= bucket.min && (bucket.max === null || flat.price < bucket.max)).length
+        }))
+    };
+}
+
+// Facets for the current filters, search included, from one GET /api/flats/facets request. The API does
+// not know about lists, and may not be served; then one Firestore read fetches the flats the filters
+// other than the facets allow, and they are counted here.
+async function fetchFacets() {
+    const flatIds = listedFlatIds();
+    if (!flatIds) {
+        try {
+            const response = await fetch(`/api/flats/facets${filtersToQueryString()}`);
+            if (response.ok && (response.headers.get('content-type') || '').includes('application/json')) {
+                return await response.json();
+            }
+        } catch (error) {
+            console.warn("Facets API unavailable, counting from Firestore:", error);
+        }
+    }
+    let docs;
+    if (flatIds) {
+        const snapshots = await Promise.all(flatIdBatches(flatIds).map(batch =>
+            getDocs(query(collection(db, "flats"), where(documentId(), 'in', batch)))));
+        docs = snapshots.flatMap(snapshot => snapshot.docs);
+    } else {
+        docs = (await getDocs(query(collection(db, "flats"), ...buildFilterConstraints(['offerType', 'type', 'bedrooms', 'price'])))).docs;
+    }
+    return computeFacets(docs.map(flatDoc => ({ id: flatDoc.id, ...flatDoc.data() })));
+}
+
+// Appends the count to each option label and disables empty options (except the selected one).
+function applyOptionCounts(selectElement, countsByValue) {
+    Array.from(selectElement.options).forEach(option => {
+        if (!(option.value in countsByValue)) return;
+        if (!option.dataset.label) option.dataset.label = option.textContent.trim();
+        const count = countsByValue[option.value];
+        option.textContent = `${option.dataset.label} (${count})`;
+        option.disabled = count === 0 && option.value !== selectElement.value;
+    });
+}
+
+// Facet counts: each facet ignores its own filter, so the counts show what picking another option returns.
+async function updateFacetCounts() {
+    await sharedListReady;
+    const flatIds = listedFlatIds();
+    if (flatIds && flatIds.length === 0) return;
+    const requestId = ++facetsRequestId;
+    try {
+        const facets = await fetchFacets();
+        if (requestId !== facetsRequestId) return;
+        const optionCounts = (selectElement, counts) => Object.fromEntries(Array.from(selectElement.options)
+            .filter(option => option.value !== 'all' && option.value !== '')
+            .map(option => [option.value, counts[option.value] || 0]));
+        // The API counts each bedroom number; the selects need "at least" and "at most" totals
+        const bedroomCounts = matches => Object.fromEntries(Array.from(elements.minBedroomsFilter.options)
+            .filter(option => option.value !== '')
+            .map(option => [option.value, Object.entries(facets.bedrooms)
+                .filter(([bedrooms]) => matches(Number(bedrooms), Number(option.value)))
+                .reduce((total, [, count]) => total + count, 0)]));
+        applyOptionCounts(elements.flatTypeFilter, optionCounts(elements.flatTypeFilter, facets.type));
+        applyOptionCounts(elements.offerTypeFilter, optionCounts(elements.offerTypeFilter, facets.offerType));
+        applyOptionCounts(elements.minBedroomsFilter, bedroomCounts((bedrooms, value) => bedrooms >= value));
+        applyOptionCounts(elements.maxBedroomsFilter, bedroomCounts((bedrooms, value) => bedrooms <= value));
+        priceBucketCounts = Object.fromEntries(facets.price.map((bucket, index) => [String(index), bucket.count]));
+        renderPriceBucketFacets();
+    } catch (error) {
+        console.error("Error updating facet counts:", error);
+    }
+}
+
+function renderPriceBucketFacets() {
+    if (!elements.priceBucketFacets) return;
+    elements.priceBucketFacets.innerHTML = '';
+    CONFIG.priceBuckets.forEach((bucket, index) => {
+        const count = priceBucketCounts[String(index)];
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'amenity-chip price-bucket-chip';
+        button.setAttribute('data-min', bucket.min);
+        button.setAttribute('data-max', bucket.max === null ? '' : bucket.max);
+        const isSelected = String(bucket.min) === String(currentFilters.minPrice || '') && String(bucket.max === null ? '' : bucket.max) === String(currentFilters.maxPrice || '');
+        button.setAttribute('aria-pressed', isSelected ? 'true' : 'false');
+        const label = bucket.max === null ? `${formatPrice(bucket.min)}+` : `${formatPrice(bucket.min)} – ${formatPrice(bucket.max)}`;
+        button.textContent = count === undefined ? label : `${label} (${count})`;
+        button.disabled = count === 0 && !isSelected;
+        elements.priceBucketFacets.appendChild(button);
+    });
+}
+
+function handlePriceBucketClick(event) {
+    const button = event.target.closest('.price-bucket-chip');
+    if (!button || button.disabled) return;
+    const isSelected = button.getAttribute('aria-pressed') === 'true';
+    elements.minPriceFilter.value = isSelected ? '' : button.getAttribute('data-min');
+    elements.maxPriceFilter.value = isSelected ? '' : button.getAttribute('data-max');
+    handleApplyFilters();
+}
+
+// --- Listings Map ---
+function loadMapConfig() {
+    const configElement = document.getElementById('map-config');
+    if (!configElement) return;
+    try {
+        Object.assign(CONFIG.map, JSON.parse(configElement.textContent));
+    } catch (error) {
+        console.error("Invalid #map-config JSON:", error);
+    }
+}
+
+const hasCoordinates = flat => typeof flat.latitude === 'number' && typeof flat.longitude === 'number';
+
+function setListingView(view) {
+    if (view === 'map' && typeof L === 'undefined') {
+        showToast("The map could not be loaded.", "error");
+        return;
+    }
+    listingView = view;
+    elements.listViewBtn.setAttribute('aria-pressed', String(view === 'list'));
+    elements.mapViewBtn.setAttribute('aria-pressed', String(view === 'map'));
+    elements.flatsList.classList.toggle('hidden', view === 'map');
+    elements.flatsMap.classList.toggle('hidden', view !== 'map');
+    elements.flatsMapNote.classList.toggle('hidden', view !== 'map');
+    if (view === 'map') renderFlatsMap();
+}
+
+function createFlatsMap() {
+    flatsMap = L.map(elements.flatsMap).setView(CONFIG.map.defaultCenter, CONFIG.map.defaultZoom);
+    L.tileLayer(CONFIG.map.tileUrl, { attribution: CONFIG.map.tileAttribution, maxZoom: CONFIG.map.maxZoom }).addTo(flatsMap);
+    flatsMapMarkers = L.layerGroup().addTo(flatsMap);
+    if (CONFIG.map.markerIconUrl) {
+        L.Marker.prototype.options.icon = L.icon({
+            ...L.Icon.Default.prototype.options,
+            iconUrl: CONFIG.map.markerIconUrl,
+            iconRetinaUrl: CONFIG.map.markerIconRetinaUrl || CONFIG.map.markerIconUrl,
+            shadowUrl: CONFIG.map.markerShadowUrl
+        });
+    }
+}
+
+// Plots the loaded result set; more pages keep loading (and are plotted) as long as the sentinel is in view.
+function renderFlatsMap() {
+    if (typeof L === 'undefined') return;
+    if (!flatsMap) createFlatsMap();
+    flatsMap.invalidateSize();
+    flatsMapMarkers.clearLayers();
+    const located = allFlatsData.filter(hasCoordinates);
+    located.forEach(flat => {
+        L.marker([flat.latitude, flat.longitude], { title: `${flat.type || 'Apartment'} in ${flat.location || 'Unknown'}` })
+            .bindPopup(`
+                <strong>${escapeHtml(flat.type || 'Apartment')}</strong> &middot; ${formatPrice(flat.price || 0)}<br>
+                ${escapeHtml(flat.location || 'Unknown')}<br>
+                <button class="map-view-details-btn text-indigo-600 underline mt-1" data-flat-id="${escapeHtml(flat.id)}">View details</button>
+            `)
+            .addTo(flatsMapMarkers);
+    });
+    if (located.length > 0) {
+        flatsMap.fitBounds(L.latLngBounds(located.map(flat => [flat.latitude, flat.longitude])), { padding: [40, 40], maxZoom: 15 });
+    }
+    const missing = allFlatsData.length - located.length;
+    elements.flatsMapNote.textContent = missing > 0
+        ? `${missing} of ${allFlatsData.length} apartments have no map location and are only shown in the list.`
+        : '';
+}
+
+function handleMapClick(event) {
+    const button = event.target.closest('.map-view-details-btn');
+    if (!button) return;
+    const flat = allFlatsData.find(item => item.id === button.getAttribute('data-flat-id'));
+    if (flat) showFlatDetailModal(flat);
+}
+
+// --- Comparison ---
+function readStoredCompareIds() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONFIG.compareFlatsKey));
+        if (Array.isArray(stored)) return stored;
+        // The tray used to keep whole flats under 'compareFlats'
+        const legacy = JSON.parse(localStorage.getItem('compareFlats')) || [];
+        const migrated = legacy.filter(flat => flat && flat.id).map(flat => flat.id).slice(0, CONFIG.compareLimit);
+        localStorage.setItem(CONFIG.compareFlatsKey, JSON.stringify(migrated));
+        localStorage.removeItem('compareFlats');
+        return migrated;
+    } catch (error) {
+        return [];
+    }
+}
+
+function storeCompareIds() {
+    localStorage.setItem(CONFIG.compareFlatsKey, JSON.stringify(compareFlatIds));
+}
+
+// The compared flats whose data is known, in tray order.
+function comparedFlats() {
+    return compareFlatIds.map(id => compareFlatData[id]).filter(Boolean);
+}
+
+function isInCompare(flatId) {
+    return compareFlatIds.includes(flatId);
+}
+
+function toggleCompare(flat) {
+    if (isInCompare(flat.id)) {
+        compareFlatIds = compareFlatIds.filter(id => id !== flat.id);
+    } else if (compareFlatIds.length >= CONFIG.compareLimit) {
+        showToast(`You can compare up to ${CONFIG.compareLimit} apartments. Remove one from the tray first.`, "info");
+        return;
+    } else {
+        compareFlatIds.push(flat.id);
+        compareFlatData[flat.id] = flat;
+    }
+    storeCompareIds();
+    renderCompareTray();
+}
+
+// Reads the compared flats again, so the table and the CSV show current prices and details.
+// Flats that are no longer listed leave the tray; offline, the last data seen stands in.
+async function refreshCompareFlats() {
+    if (compareFlatIds.length === 0) return;
+    try {
+        const snapshot = await getDocs(query(collection(db, "flats"), where(documentId(), 'in', compareFlatIds)));
+        const current = {};
+        snapshot.docs.forEach(flatDoc => {
+            current[flatDoc.id] = { id: flatDoc.id, ...flatDoc.data() };
+        });
+        compareFlatData = current;
+        const removedCount = compareFlatIds.filter(id => !current[id]).length;
+        if (removedCount > 0) {
+            compareFlatIds = compareFlatIds.filter(id => current[id]);
+            storeCompareIds();
+            showToast(removedCount === 1
+                ? "An apartment that is no longer listed was removed from the comparison."
+                : `${removedCount} apartments that are no longer listed were removed from the comparison.`, "info");
+        }
+    } catch (error) {
+        if (!isNetworkError(error)) console.error("Error loading compared apartments:", error);
+        compareFlatIds.forEach(id => {
+            if (!compareFlatData[id]) {
+                const saved = findSavedFlat(id);
+                if (saved) compareFlatData[id] = saved;
+            }
+        });
+    }
+    renderCompareTray();
+}
+
+function renderCompareTray() {
+    if (!elements.compareTray) return;
+    elements.compareTray.classList.toggle('hidden', compareFlatIds.length === 0);
+    elements.compareCount.textContent = `${compareFlatIds.length}/${CONFIG.compareLimit}`;
+    elements.compareOpenBtn.disabled = compareFlatIds.length < 2;
+    elements.compareTrayList.innerHTML = compareFlatIds.map(id => {
+        const flat = compareFlatData[id];
+        return `
+        <li class="flex items-center bg-indigo-50 text-indigo-800 rounded-full pl-3 pr-1 py-1 text-sm">
+            ${escapeHtml(flat ? `${flat.type || 'Apartment'} · ${flat.location || 'Unknown'}` : 'Loading…')}
+            <button class="compare-remove-btn ml-1 px-2 text-indigo-500 hover:text-indigo-900" data-flat-id="${escapeHtml(id)}" aria-label="Remove from comparison">
+                <i class="fas fa-times"></i>
+            </button>
+        </li>
+    `;
+    }).join('');
+    document.querySelectorAll('.compare-btn').forEach(button => {
+        button.setAttribute('aria-pressed', String(isInCompare(button.getAttribute('data-flat-id'))));
+    });
+}
+
+function handleCompareTrayClick(event) {
+    const button = event.target.closest('.compare-remove-btn');
+    if (!button) return;
+    toggleCompare({ id: button.getAttribute('data-flat-id') });
+}
+
+function clearCompare() {
+    compareFlatIds = [];
+    compareFlatData = {};
+    localStorage.removeItem(CONFIG.compareFlatsKey);
+    renderCompareTray();
+}
+
+/**
+ * Rows of the comparison table. Each cell has `value` (what "best" is
+ * judged on, null when the row has no best), `display` (cell HTML) and
+ * `csv` (exported text). Prices are in the selected currency.
+ */
+function getCompareRows() {
+    const rate = getExchangeRate(currentCurrency) || 1;
+    const currency = getExchangeRate(currentCurrency) ? currentCurrency : CONFIG.listingCurrency;
+    const numeric = value => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+    const row = (label, read, { best = null, score = value => value, display = String, csv = String } = {}) => ({
+        label,
+        best,
+        cells: comparedFlats().map(flat => {
+            const value = read(flat);
+            if (value === null) return { value: null, display: 'N/A', csv: '' };
+            return { value: best ? score(value) : null, display: display(value), csv: csv(value) };
+        })
+    });
+    const money = fractionDigits => ({
+        display: value => formatPrice(value, { fractionDigits }),
+        csv: value => (value * rate).toFixed(fractionDigits)
+    });
+    return [
+        row(`Price (${currency})`, flat => numeric(flat.price), { best: 'min', ...money(0) }),
+        row(`Price per sqft (${currency})`, flat => (numeric(flat.price) !== null && flat.area > 0 ? flat.price / flat.area : null), { best: 'min', ...money(2) }),
+        row('Bedrooms', flat => numeric(flat.bedrooms), { best: 'max' }),
+        row('Bathrooms', flat => numeric(flat.bathrooms), { best: 'max' }),
+        row('Area (sqft)', flat => numeric(flat.area), { best: 'max' }),
+        row('Offer type', flat => capitalizeFirstLetter(flat.offerType || 'N/A'), { display: escapeHtml }),
+        row('Location', flat => flat.location || 'N/A', { display: escapeHtml }),
+        row('Amenities', flat => parseAmenities(flat.amenities || []).map(capitalizeFirstLetter), {
+            best: 'max',
+            score: amenities => amenities.length,
+            display: amenities => (amenities.length > 0 ? escapeHtml(amenities.join(', ')) : 'None'),
+            csv: amenities => amenities.join('; ')
+        })
+    ];
+}
+
+const rowDiffers = row => new Set(row.cells.map(cell => cell.csv)).size > 1;
+
+function getVisibleCompareRows() {
+    const rows = getCompareRows();
+    return elements.compareDifferencesOnly && elements.compareDifferencesOnly.checked ? rows.filter(rowDiffers) : rows;
+}
+
+// Best value per row; nothing is highlighted when every apartment ties.
+function getBestCompareValue(row) {
+    const values = row.cells.map(cell => cell.value).filter(value => value !== null);
+    if (!row.best || values.length === 0 || new Set(values).size === 1) return null;
+    return row.best === 'min' ? Math.min(...values) : Math.max(...values);
+}
+
+function renderCompareTable() {
+    const flats = comparedFlats();
+    const header = flats.map(flat => `
+        <th scope="col" class="align-top">
+            <img src="${flat.imageUrls && flat.imageUrls.length > 0 ? flat.imageUrls[0] : 'https://placehold.co/400x250/E0E0E0/888888?text=No+Image'}" alt="" class="w-full h-24 object-cover rounded-md mb-2">
+            <span class="text-indigo-800">${escapeHtml(flat.type || 'Apartment')}</span>
+        </th>
+    `).join('');
+    const rows = getVisibleCompareRows();
+    const body = rows.map(row => {
+        const best = getBestCompareValue(row);
+        return `
+            <tr>
+                <th scope="row" class="font-semibold text-gray-800">${row.label}</th>
+                ${row.cells.map(cell => `<td class="${best !== null && cell.value === best ? 'compare-best' : ''}">${cell.display}</td>`).join('')}
+            </tr>`;
+    }).join('');
+    elements.compareTable.innerHTML = `
+        <thead><tr><th scope="col"></th>${header}</tr></thead>
+        <tbody>${body || `<tr><td colspan="${flats.length + 1}" class="text-center text-gray-500">These apartments do not differ in any compared field.</td></tr>`}</tbody>
+    `;
+}
+
+async function openCompareModal() {
+    if (compareFlatIds.length < 2) return;
+    await refreshCompareFlats();
+    if (comparedFlats().length < 2) return;
+    renderCompareTable();
+    elements.compareModal.classList.remove('hidden');
+    document.body.classList.add('overflow-hidden');
+    if (dialogs.compare) dialogs.compare.open();
+}
+
+function closeCompareModal() {
+    elements.compareModal.classList.add('hidden');
+    document.body.classList.remove('overflow-hidden');
+    if (dialogs.compare) dialogs.compare.close();
+}
+
+// Quotes CSV fields and defuses values a spreadsheet would run as formulas.
+function toCsvField(value) {
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function exportCompareCsv() {
+    await refreshCompareFlats();
+    // The open table shows the same data as the file
+    if (!elements.compareModal.classList.contains('hidden')) renderCompareTable();
+    const rows = [
+        ['', ...comparedFlats().map(flat => `${flat.type || 'Apartment'} (${flat.id})`)],
+        ...getVisibleCompareRows().map(row => [row.label, ...row.cells.map(cell => cell.csv)])
+    ];
+    const csv = rows.map(row => row.map(toCsvField).join(',')).join('\r\n');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    link.download = 'apartment-comparison.csv';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+}
+
+// --- Viewing Booking ---
+function resetViewingBooking() {
+    viewingSlots = [];
+    selectedViewingSlot = null;
+    if (!elements.viewingStep) return;
+    elements.viewingStartBtn.classList.remove('hidden');
+    elements.viewingStep.classList.add('hidden');
+    elements.viewingForm.classList.add('hidden');
+    elements.viewingConfirmation.classList.add('hidden');
+    elements.viewingMessage.textContent = '';
+}
+
+const viewingDayKey = slot => new Date(slot.start).toDateString();
+
+function formatViewingTime(iso, options = {}) {
+    return new Date(iso).toLocaleString('en-US', { hour: 'numeric', minute: '2-digit', ...options });
+}
+
+function setViewingMessage(message, color = 'red') {
+    elements.viewingMessage.textContent = message;
+    elements.viewingMessage.style.color = color;
+}
+
+// Loads the next two weeks of slots and shows the first day that still has one free.
+async function loadViewingSlots() {
+    elements.viewingDays.innerHTML = '';
+    elements.viewingSlots.innerHTML = '<p class="text-gray-500">Loading available times...</p>';
+    try {
+        const response = await fetch(`/api/flats/${encodeURIComponent(currentDetailFlat.id)}/viewings/slots?days=14`);
+        if (!response.ok) throw new Error(`Slots request failed with ${response.status}`);
+        viewingSlots = (await response.json()).slots;
+    } catch (error) {
+        console.error("Error loading viewing slots:", error);
+        elements.viewingSlots.innerHTML = '';
+        setViewingMessage("Could not load viewing times. Please use the contact form instead.");
+        return;
+    }
+    const days = [...new Set(viewingSlots.map(viewingDayKey))];
+    elements.viewingDays.innerHTML = days.map(day => {
+        const hasFreeSlot = viewingSlots.some(slot => viewingDayKey(slot) === day && slot.available);
+        const label = new Date(day).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+        return `<button type="button" class="viewing-option" data-day="${day}" aria-pressed="false" ${hasFreeSlot ? '' : 'disabled'}>${label}</button>`;
+    }).join('');
+    const firstDay = days.find(day => viewingSlots.some(slot => viewingDayKey(slot) === day && slot.available));
+    if (firstDay) {
+        selectViewingDay(firstDay);
+    } else {
+        elements.viewingSlots.innerHTML = '<p class="text-gray-500">No viewing times are available in the next two weeks.</p>';
+    }
+}
+
+function selectViewingDay(day) {
+    elements.viewingDays.querySelectorAll('.viewing-option').forEach(button => {
+        button.setAttribute('aria-pressed', button.getAttribute('data-day') === day ? 'true' : 'false');
+    });
+    elements.viewingSlots.innerHTML = viewingSlots
+        .filter(slot => viewingDayKey(slot) === day)
+        .map(slot => `<button type="button" class="viewing-option" data-start="${slot.start}" aria-pressed="${selectedViewingSlot && selectedViewingSlot.start === slot.start}" ${slot.available ? '' : 'disabled'}>${formatViewingTime(slot.start)}</button>`)
+        .join('');
+}
+
+async function handleStartViewingBooking() {
+    if (!currentDetailFlat) return;
+    elements.viewingStartBtn.classList.add('hidden');
+    elements.viewingStep.classList.remove('hidden');
+    if (auth.currentUser && !elements.viewingEmail.value) elements.viewingEmail.value = auth.currentUser.email || '';
+    await loadViewingSlots();
+}
+
+function handleViewingOptionClick(event) {
+    const button = event.target.closest('.viewing-option');
+    if (!button || button.disabled) return;
+    if (button.hasAttribute('data-day')) {
+        selectViewingDay(button.getAttribute('data-day'));
+        return;
+    }
+    selectedViewingSlot = viewingSlots.find(slot => slot.start === button.getAttribute('data-start'));
+    elements.viewingSlots.querySelectorAll('.viewing-option').forEach(option => {
+        option.setAttribute('aria-pressed', option === button ? 'true' : 'false');
+    });
+    elements.viewingForm.classList.remove('hidden');
+    setViewingMessage('');
+    elements.viewingName.focus();
+}
+
+async function handleViewingFormSubmit(event) {
+    event.preventDefault();
+    if (!selectedViewingSlot) {
+        setViewingMessage("Please choose a time first.");
+        return;
+    }
+    elements.viewingSubmitBtn.disabled = true;
+    try {
+        const response = await fetch(`/api/flats/${encodeURIComponent(currentDetailFlat.id)}/viewings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                start: selectedViewingSlot.start,
+                name: elements.viewingName.value,
+                email: elements.viewingEmail.value,
+                phone: elements.viewingPhone.value || null
+            })
+        });
+        const result = await response.json();
+        if (response.status === 409) {
+            selectedViewingSlot = null;
+            elements.viewingForm.classList.add('hidden');
+            await loadViewingSlots();
+            setViewingMessage("Sorry, that time was just booked. Please pick another one.");
+            return;
+        }
+        if (response.status === 429) {
+            setViewingMessage("You've requested several viewings already. Please try again later.");
+            return;
+        }
+        if (!response.ok) {
+            setViewingMessage(result.details ? detailMessages(result.details, ' ') : result.error);
+            return;
+        }
+        elements.viewingStep.classList.add('hidden');
+        elements.viewingConfirmation.classList.remove('hidden');
+        elements.viewingConfirmationTime.textContent = formatViewingTime(result.start, { weekday: 'long', month: 'long', day: 'numeric' });
+        elements.viewingIcsLink.href = result.icsUrl;
+        showToast("Viewing booked!", "success");
+    } catch (error) {
+        console.error("Error booking viewing:", error);
+        setViewingMessage("Failed to book the viewing. Please try again.");
+    } finally {
+        elements.viewingSubmitBtn.disabled = false;
+    }
+}
+
+// --- Price History ---
+async function loadPriceHistory() {
+    const flatId = currentDetailFlat.id;
+    priceHistoryEntries = null;
+    elements.priceHistoryChart.textContent = 'Loading...';
+    try {
+        const response = await fetch(`/api/flats/${encodeURIComponent(flatId)}/price-history`);
+        if (!response.ok) throw new Error(`Price history request failed with ${response.status}`);
+        const { history } = await response.json();
+        if (!currentDetailFlat || currentDetailFlat.id !== flatId) return;
+        priceHistoryEntries = history;
+        renderPriceHistoryChart();
+    } catch (error) {
+        console.error("Error loading price history:", error);
+        elements.priceHistoryChart.textContent = 'Price history is unavailable.';
+    }
+}
+
+// Step chart of the recorded prices up to today, in the selected currency.
+function renderPriceHistoryChart() {
+    if (!priceHistoryEntries || !currentDetailFlat) return;
+    if (priceHistoryEntries.length < 2) {
+        elements.priceHistoryChart.textContent = 'No price changes since it was listed.';
+        return;
+    }
+    const points = priceHistoryEntries.map(entry => ({ time: new Date(entry.changedAt).getTime(), price: entry.price }));
+    points.push({ time: Date.now(), price: currentDetailFlat.price });
+    const width = 320;
+    const height = 90;
+    const padding = 6;
+    const [firstTime, lastTime] = [points[0].time, points[points.length - 1].time];
+    const prices = points.map(point => point.price);
+    const [minPrice, maxPrice] = [Math.min(...prices), Math.max(...prices)];
+    const x = time => padding + ((time - firstTime) / Math.max(lastTime - firstTime, 1)) * (width - 2 * padding);
+    const y = price => padding + (maxPrice === minPrice ? 0.5 : (maxPrice - price) / (maxPrice - minPrice)) * (height - 2 * padding);
+    // Each price holds until the next change, so the line steps rather than slopes
+    const path = points.map((point, index) => (index === 0
+        ? `M${x(point.time)},${y(point.price)}`
+        : `H${x(point.time)}V${y(point.price)}`)).join(' ');
+    const formatDate = time => new Date(time).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    const markers = points.slice(0, -1).map(point => `
+        <circle cx="${x(point.time)}" cy="${y(point.price)}" r="3"><title>${formatDate(point.time)}: ${formatPrice(point.price)}</title></circle>
+    `).join('');
+    elements.priceHistoryChart.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Price went from ${formatPrice(points[0].price)} on ${formatDate(firstTime)} to ${formatPrice(currentDetailFlat.price)} today">
+            <path d="${path}" />
+            ${markers}
+        </svg>
+        <div class="flex justify-between"><span>${formatDate(firstTime)}</span><span>High ${formatPrice(maxPrice)} · Low ${formatPrice(minPrice)}</span><span>Today</span></div>
+    `;
+}
+
+// --- Flat Reviews ---
+// Reviews go through the API: it keeps one review per user and flat, and only approved ones are listed.
+async function authHeaders() {
+    return { Authorization: `Bearer ${await auth.currentUser.getIdToken()}` };
+}
+
+function resetFlatReviews() {
+    flatReviewsCursor = null;
+    myReview = null;
+    elements.flatRatingSummary.innerHTML = formatRating(currentDetailFlat);
+    elements.flatReviewsList.innerHTML = '';
+    elements.reviewForm.reset();
+    setReviewStatus('');
+    loadFlatReviews();
+    loadMyReview();
+}
+
+async function loadFlatReviews() {
+    const flatId = currentDetailFlat.id;
+    const params = new URLSearchParams({ limit: CONFIG.reviewsPerPage });
+    if (flatReviewsCursor) params.set('cursor', flatReviewsCursor);
+    elements.flatReviewsMoreBtn.classList.add('hidden');
+    try {
+        const response = await fetch(`/api/flats/${encodeURIComponent(flatId)}/reviews?${params}`);
+        if (!response.ok) throw new Error(`Reviews request failed with ${response.status}`);
+        const { reviews, nextCursor } = await response.json();
+        if (!currentDetailFlat || currentDetailFlat.id !== flatId) return; // Another flat was opened meanwhile
+        if (!flatReviewsCursor && reviews.length === 0) {
+            elements.flatReviewsList.innerHTML = '<li class="text-gray-500">Be the first to review this apartment.</li>';
+        }
+        elements.flatReviewsList.insertAdjacentHTML('beforeend', reviews.map(review => `
+            <li class="bg-gray-50 rounded-lg p-4">
+                <div class="flex items-center justify-between mb-1">
+                    <span class="font-semibold text-gray-800">${escapeHtml(review.authorName)}</span>
+                    ${renderStars(review.rating)}
+                </div>
+                <p class="text-gray-700 whitespace-pre-line">${escapeHtml(review.text)}</p>
+                <p class="text-xs text-gray-500 mt-1">${new Date(review.updatedAt).toLocaleDateString()}</p>
+            </li>
+        `).join(''));
+        flatReviewsCursor = nextCursor;
+        elements.flatReviewsMoreBtn.classList.toggle('hidden', !nextCursor);
+    } catch (error) {
+        console.error("Error loading reviews:", error);
+        elements.flatReviewsList.innerHTML = '<li class="text-red-600">Error loading reviews.</li>';
+    }
+}
+
+// Shows the review form to signed-in users, filled with their own review if they wrote one.
+async function loadMyReview() {
+    const signedIn = Boolean(auth.currentUser);
+    elements.reviewForm.classList.toggle('hidden', !signedIn);
+    elements.reviewLoginPrompt.classList.toggle('hidden', signedIn);
+    if (!signedIn || !currentDetailFlat) return;
+    const flatId = currentDetailFlat.id;
+    try {
+        const response = await fetch(`/api/flats/${encodeURIComponent(flatId)}/reviews/mine`, { headers: await authHeaders() });
+        if (response.status === 404) return;
+        if (!response.ok) throw new Error(`Review request failed with ${response.status}`);
+        const review = await response.json();
+        if (!currentDetailFlat || currentDetailFlat.id !== flatId) return;
+        showMyReview(review);
+    } catch (error) {
+        console.error("Error loading your review:", error);
+    }
+}
+
+function showMyReview(review) {
+    myReview = review;
+    const ratingInput = elements.reviewForm.querySelector(`input[name="rating"][value="${review.rating}"]`);
+    if (ratingInput) ratingInput.checked = true;
+    elements.reviewText.value = review.text;
+    elements.reviewSubmitBtn.textContent = 'Update review';
+    const statusMessages = {
+        pending: 'Your review is waiting for moderation.',
+        approved: 'Your review is published. Editing it sends it back to moderation.',
+        rejected: `Your review was not published${review.moderationNote ? `: ${review.moderationNote}` : '.'} You can edit it and submit it again.`
+    };
+    setReviewStatus(statusMessages[review.status] || '');
+}
+
+// Once the user has a review on this flat the form edits it, whatever the status line says.
+function setReviewStatus(message) {
+    elements.reviewStatus.textContent = message;
+    if (!message) elements.reviewSubmitBtn.textContent = myReview ? 'Update review' : 'Submit review';
+}
+
+async function handleReviewFormSubmit(event) {
+    event.preventDefault();
+    if (!auth.currentUser || !currentDetailFlat) return;
+    const ratingInput = elements.reviewForm.querySelector('input[name="rating"]:checked');
+    if (!ratingInput) {
+        setReviewStatus("Please choose a rating.");
+        return;
+    }
+    elements.reviewSubmitBtn.disabled = true;
+    try {
+        const response = await fetch(`/api/flats/${encodeURIComponent(currentDetailFlat.id)}/reviews/mine`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
+            body: JSON.stringify({ rating: Number(ratingInput.value), text: elements.reviewText.value })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            setReviewStatus(result.details ? detailMessages(result.details, ' ') : result.error);
+            return;
+        }
+        showMyReview(result);
+        showToast("Thanks! Your review will appear once it has been approved.", "success");
+    } catch (error) {
+        console.error("Error saving review:", error);
+        setReviewStatus("Failed to save your review. Please try again.");
+    } finally {
+        elements.reviewSubmitBtn.disabled = false;
+    }
+}
+
+// --- Affordability Calculator ---
+// Inputs are percentages and years, so they hold in any currency; amounts are worked out in the listing currency and shown with formatPrice.
+const calculatorStorageKey = uid => `calculatorInputs:${uid || 'guest'}`;
+
+function readStoredCalculatorInputs(uid) {
+    try {
+        return JSON.parse(localStorage.getItem(calculatorStorageKey(uid))) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Signed-in users also keep their inputs on users/{uid} as calculatorInputs, so they follow them to other devices.
+async function loadCalculatorInputs(uid) {
+    calculatorInputs = { ...CONFIG.calculatorDefaults, ...readStoredCalculatorInputs(uid) };
+    if (uid) {
+        try {
+            const userDocSnap = await getDoc(doc(db, "users", uid));
+            if (userDocSnap.exists() && userDocSnap.data().calculatorInputs) {
+                calculatorInputs = { ...calculatorInputs, ...userDocSnap.data().calculatorInputs };
+            }
+        } catch (error) {
+            console.error("Error loading calculator inputs:", error);
+        }
+    }
+    syncCalculatorForm();
+    renderCalculator();
+}
+
+function syncCalculatorForm() {
+    if (!elements.calculatorForm) return;
+    Object.entries(calculatorInputs).forEach(([name, value]) => {
+        const input = elements.calculatorForm.elements[name];
+        if (input) {
+            input.value = value;
+            input.removeAttribute('aria-invalid');
+        }
+    });
+}
+
+// Values outside an input's min/max are flagged and ignored until corrected.
+function handleCalculatorInput(event) {
+    const input = event.target;
+    if (!(input.name in CONFIG.calculatorDefaults)) return;
+    const value = parseFloat(input.value);
+    const isValid = Number.isFinite(value) && !input.validity.rangeUnderflow && !input.validity.rangeOverflow;
+    if (!isValid) {
+        input.setAttribute('aria-invalid', 'true');
+        return;
+    }
+    input.removeAttribute('aria-invalid');
+    calculatorInputs[input.name] = value;
+    renderCalculator();
+    const uid = auth.currentUser ? auth.currentUser.uid : null;
+    localStorage.setItem(calculatorStorageKey(uid), JSON.stringify(calculatorInputs));
+    if (uid) {
+        clearTimeout(calculatorSaveTimeout);
+        calculatorSaveTimeout = setTimeout(() => saveCalculatorInputs(uid), CONFIG.calculatorSaveDelayMs);
+    }
+}
+
+async function saveCalculatorInputs(uid) {
+    try {
+        await setDoc(doc(db, "users", uid), { calculatorInputs }, { merge: true });
+    } catch (error) {
+        console.error("Error saving calculator inputs:", error);
+    }
+}
+
+// Sale listings get a mortgage breakdown; rent listings compare renting with buying a comparable home.
+function renderCalculator() {
+    if (!elements.affordabilityCalculator || !currentDetailFlat) return;
+    const price = Number(currentDetailFlat.price) || 0;
+    if (!window.HomeFinance || price <= 0) {
+        elements.affordabilityCalculator.classList.add('hidden');
+        return;
+    }
+    const isRent = currentDetailFlat.offerType === 'rent';
+    elements.affordabilityCalculator.classList.remove('hidden');
+    elements.calculatorTitle.textContent = isRent ? 'Rent or buy?' : 'Mortgage calculator';
+    elements.calculatorForm.querySelectorAll('[data-calculator-mode="rent"]').forEach(label => label.classList.toggle('hidden', !isRent));
+    if (isRent) {
+        renderRentVsBuy(price);
+    } else {
+        renderMortgage(price);
+    }
+}
+
+function renderMortgage(price) {
+    const { downPaymentPercent, annualRatePercent, years } = calculatorInputs;
+    const summary = window.HomeFinance.mortgageSummary({ price, downPaymentPercent, annualRatePercent, years });
+    elements.calculatorResults.innerHTML = `
+        <p class="text-2xl font-bold text-indigo-600">${formatPrice(summary.monthlyPayment)} <span class="text-base font-normal text-gray-600">a month</span></p>
+        <p class="text-sm mt-1">Down payment ${formatPrice(summary.downPayment)} &middot; Loan ${formatPrice(summary.loanAmount)} &middot; Total interest ${formatPrice(summary.totalInterest)}</p>
+    `;
+    elements.calculatorBreakdownSummary.textContent = `Amortization schedule (${summary.schedule.length} monthly payments)`;
+    // The full schedule runs to hundreds of rows, so it is only built while the breakdown is open.
+    renderCalculatorTable(() => `
+        <thead><tr><th>Month</th><th>Payment</th><th>Principal</th><th>Interest</th><th>Balance</th></tr></thead>
+        <tbody>${summary.schedule.map(row => `
+            <tr><td>${row.month}</td><td>${formatPrice(row.payment, { fractionDigits: 2 })}</td><td>${formatPrice(row.principal, { fractionDigits: 2 })}</td><td>${formatPrice(row.interest, { fractionDigits: 2 })}</td><td>${formatPrice(row.balance, { fractionDigits: 2 })}</td></tr>
+        `).join('')}</tbody>
+    `);
+}
+
+function renderRentVsBuy(monthlyRent) {
+    const result = window.HomeFinance.rentVsBuy({ monthlyRent, ...calculatorInputs });
+    const last = result.years[result.years.length - 1];
+    const verdict = result.breakEvenYear
+        ? `Buying comes out ahead after ${result.breakEvenYear} ${result.breakEvenYear === 1 ? 'year' : 'years'}.`
+        : `Renting stays cheaper over ${calculatorInputs.horizonYears} years.`;
+    elements.calculatorResults.innerHTML = `
+        <p class="text-2xl font-bold text-indigo-600">${verdict}</p>
+        <p class="text-sm mt-1">A comparable home would cost about ${formatPrice(result.homePrice)}, with a mortgage payment of ${formatPrice(result.monthlyPayment)} a month.</p>
+        <p class="text-sm">Over ${calculatorInputs.horizonYears} years, renting costs ${formatPrice(last.rentCost)}; buying costs ${formatPrice(last.buyCost)} once the home is sold and the loan repaid.</p>
+    `;
+    elements.calculatorBreakdownSummary.textContent = 'Year by year';
+    renderCalculatorTable(() => `
+        <thead><tr><th>Year</th><th>Renting so far</th><th>Buying so far</th><th>Equity if sold</th></tr></thead>
+        <tbody>${result.years.map(row => `
+            <tr><td>${row.year}</td><td>${formatPrice(row.rentCost)}</td><td>${formatPrice(row.buyCost)}</td><td>${formatPrice(row.equity)}</td></tr>
+        `).join('')}</tbody>
+    `);
+}
+
+function renderCalculatorTable(build) {
+    buildCalculatorTable = build;
+    elements.calculatorTable.innerHTML = elements.calculatorBreakdown.open ? build() : '';
+}
+
+function handleCalculatorBreakdownToggle() {
+    if (elements.calculatorBreakdown.open && buildCalculatorTable) elements.calculatorTable.innerHTML = buildCalculatorTable();
+}
+
+// --- Saved Searches ---
+// Stored on users/{uid} as savedSearches: [{ id, name, filters, createdAt }]; the server matches new listings against them.
+async function loadSavedSearches(uid) {
+    try {
+        const userDocSnap = await getDoc(doc(db, "users", uid));
+        savedSearches = userDocSnap.exists() ? userDocSnap.data().savedSearches || [] : [];
+    } catch (error) {
+        console.error("Error loading saved searches:", error);
+        savedSearches = [];
+    }
+    renderSavedSearches();
+}
+
+function renderSavedSearches() {
+    if (!elements.savedSearchesSelect) return;
+    elements.savedSearchesSelect.innerHTML = '<option value="">Choose a saved search</option>' + savedSearches
+        .map(search => `<option value="${escapeHtml(search.id)}">${escapeHtml(search.name)}</option>`)
+        .join('');
+    elements.deleteSavedSearchBtn.disabled = true;
+}
+
+async function persistSavedSearches() {
+    // The flag lets the server find users with saved searches; match emails go to the account's verified address.
+    await setDoc(doc(db, "users", auth.currentUser.uid), { savedSearches, hasSavedSearches: savedSearches.length > 0 }, { merge: true });
+}
+
+async function handleSaveSearch() {
+    if (!auth.currentUser) {
+        showToast("Please log in to save searches.", "info");
+        return;
+    }
+    const name = elements.savedSearchName.value.trim();
+    if (!name) {
+        showToast("Please name the search first.", "info");
+        elements.savedSearchName.focus();
+        return;
+    }
+    const { showFavorites, favoriteList, ...filters } = currentFilters;
+    const search = {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name,
+        filters: JSON.parse(JSON.stringify(filters)),
+        createdAt: new Date()
+    };
+    try {
+        savedSearches = [...savedSearches, search];
+        await persistSavedSearches();
+        renderSavedSearches();
+        elements.savedSearchName.value = '';
+        showToast(`Saved "${name}". We'll let you know about new matches.`, "success");
+    } catch (error) {
+        savedSearches = savedSearches.filter(item => item.id !== search.id);
+        console.error("Error saving search:", error);
+        showToast("Error saving the search. Please try again.", "error");
+    }
+}
+
+function handleSavedSearchSelect() {
+    const search = savedSearches.find(item => item.id === elements.savedSearchesSelect.value);
+    elements.deleteSavedSearchBtn.disabled = !search;
+    if (!search) return;
+    Object.assign(currentFilters, JSON.parse(JSON.stringify(DEFAULT_FILTERS)), search.filters, { showFavorites: false, favoriteList: '' });
+    syncFilterControls();
+    history.pushState(history.state, '', `${location.pathname}${filtersToQueryString()}`);
+    fetchFlats(true);
+}
+
+async function handleDeleteSavedSearch() {
+    const search = savedSearches.find(item => item.id === elements.savedSearchesSelect.value);
+    if (!search || !auth.currentUser) return;
+    const previous = savedSearches;
+    try {
+        savedSearches = savedSearches.filter(item => item.id !== search.id);
+        await persistSavedSearches();
+        renderSavedSearches();
+        showToast(`Deleted "${search.name}".`, "info");
+    } catch (error) {
+        savedSearches = previous;
+        console.error("Error deleting saved search:", error);
+        showToast("Error deleting the search. Please try again.", "error");
+    }
+}
+
+// --- Notifications ---
+// Keeps the header badge in sync with the user's unread saved-search matches.
+function subscribeToNotifications(uid) {
+    unsubscribeFromNotifications();
+    const unreadQuery = query(collection(db, "notifications"), where("uid", "==", uid), where("read", "==", false));
+    unsubscribeNotifications = onSnapshot(unreadQuery, snapshot => {
+        elements.notificationsBadge.textContent = snapshot.size > 9 ? '9+' : String(snapshot.size);
+        elements.notificationsBadge.classList.toggle('hidden', snapshot.size === 0);
+    }, error => console.error("Error watching notifications:", error));
+}
+
+function unsubscribeFromNotifications() {
+    if (unsubscribeNotifications) unsubscribeNotifications();
+    unsubscribeNotifications = null;
+    if (elements.notificationsBadge) elements.notificationsBadge.classList.add('hidden');
+}
+
+// Opening the list shows the latest matches and marks them read.
+async function toggleNotificationsDropdown() {
+    const isOpen = !elements.notificationsDropdown.classList.toggle('hidden');
+    elements.notificationsBtn.setAttribute('aria-expanded', String(isOpen));
+    if (!isOpen || !auth.currentUser) return;
+    elements.notificationsList.innerHTML = '<li class="px-4 py-2 text-gray-500">Loading...</li>';
+    try {
+        const latestQuery = query(collection(db, "notifications"), where("uid", "==", auth.currentUser.uid), orderBy("createdAt", "desc"), limit(CONFIG.notificationsListLimit));
+        const snapshot = await getDocs(latestQuery);
+        if (snapshot.empty) {
+            elements.notificationsList.innerHTML = '<li class="px-4 py-2 text-gray-500">No matches yet. Save a search to get notified about new listings.</li>';
+            return;
+        }
+        elements.notificationsList.innerHTML = snapshot.docs.map(notificationDoc => {
+            const notification = notificationDoc.data();
+            const what = notification.reason === 'price-change' ? 'Price change' : 'New listing';
+            return `
+                <li>
+                    <a href="/flats/${encodeURIComponent(notification.flatId)}" data-flat-id="${escapeHtml(notification.flatId)}" class="block px-4 py-2 hover:bg-gray-100 ${notification.read ? '' : 'font-semibold'}">
+                        ${what} for "${escapeHtml(notification.searchName)}" &middot; ${formatPrice(notification.price || 0)}
+                    </a>
+                </li>`;
+        }).join('');
+        await Promise.all(snapshot.docs
+            .filter(notificationDoc => !notificationDoc.data().read)
+            .map(notificationDoc => updateDoc(notificationDoc.ref, { read: true })));
+    } catch (error) {
+        console.error("Error loading notifications:", error);
+        elements.notificationsList.innerHTML = '<li class="px-4 py-2 text-red-600">Could not load notifications.</li>';
+    }
+}
+
+function handleNotificationClick(event) {
+    const link = event.target.closest('a[data-flat-id]');
+    if (!link) return;
+    event.preventDefault();
+    const flatId = link.getAttribute('data-flat-id');
+    elements.notificationsDropdown.classList.add('hidden');
+    elements.notificationsBtn.setAttribute('aria-expanded', 'false');
+    history.pushState({ flatId, fromListing: true }, '', `/flats/${encodeURIComponent(flatId)}${location.search}`);
+    openFlatFromUrl(flatId);
+}
+
+// --- URL State (shareable filters and /flats/:id deep links) ---
+// currentFilters keys and their query-string names; only non-default values are written.
+const URL_FILTER_PARAMS = {
+    searchTerm: 'q',
+    offerType: 'offerType',
+    flatType: 'flatType',
+    minPrice: 'minPrice',
+    maxPrice: 'maxPrice',
+    minBedrooms: 'minBedrooms',
+    maxBedrooms: 'maxBedrooms',
+    minBathrooms: 'minBathrooms',
+    maxBathrooms: 'maxBathrooms',
+    minArea: 'minArea',
+    maxArea: 'maxArea',
+    sortBy: 'sortBy',
+    amenityMatch: 'amenityMatch',
+    moveInBy: 'moveInBy'
+};
+const DEFAULT_FILTERS = JSON.parse(JSON.stringify(currentFilters));
+
+function filtersToQueryString() {
+    const params = new URLSearchParams();
+    Object.entries(URL_FILTER_PARAMS).forEach(([key, param]) => {
+        if (currentFilters[key] !== DEFAULT_FILTERS[key]) params.set(param, currentFilters[key]);
+    });
+    if (currentFilters.amenities.length > 0) params.set('amenities', currentFilters.amenities.join(','));
+    if (currentFilters.showFavorites) params.set('favorites', '1');
+    if (currentFilters.showFavorites && currentFilters.favoriteList) params.set('favoriteList', currentFilters.favoriteList);
+    const queryString = params.toString();
+    return queryString ? `?${queryString}` : '';
+}
+
+function readFiltersFromQueryString(search) {
+    const params = new URLSearchParams(search);
+    Object.entries(URL_FILTER_PARAMS).forEach(([key, param]) => {
+        currentFilters[key] = params.has(param) ? params.get(param) : DEFAULT_FILTERS[key];
+    });
+    currentFilters.amenities = params.get('amenities')
+        ? params.get('amenities').split(',').filter(amenity => amenity in CONFIG.flatAmenityIcons)
+        : [];
+    currentFilters.showFavorites = params.get('favorites') === '1';
+    currentFilters.favoriteList = currentFilters.showFavorites ? params.get('favoriteList') || '' : '';
+}
+
+// Puts currentFilters back into the filter bar controls.
+function syncFilterControls() {
+    if (elements.searchInput) elements.searchInput.value = currentFilters.searchTerm;
+    if (elements.offerTypeFilter) elements.offerTypeFilter.value = currentFilters.offerType;
+    if (elements.flatTypeFilter) elements.flatTypeFilter.value = currentFilters.flatType;
+    if (elements.sortByFilter) elements.sortByFilter.value = currentFilters.sortBy;
+    if (elements.amenityMatchFilter) elements.amenityMatchFilter.value = currentFilters.amenityMatch;
+    if (elements.moveInByFilter) elements.moveInByFilter.value = currentFilters.moveInBy;
+    if (elements.favoriteToggleButton) elements.favoriteToggleButton.checked = currentFilters.showFavorites;
+    if (elements.favoriteListFilter && currentFilters.favoriteList) {
+        elements.favoriteListFilter.value = currentFilters.favoriteList;
+        updateFavoriteListButtons();
+    }
+    Object.values(RANGE_FILTERS).flat().forEach(key => {
+        if (elements[`${key}Filter`]) elements[`${key}Filter`].value = currentFilters[key];
+    });
+    if (elements.amenityFilterChips) {
+        elements.amenityFilterChips.querySelectorAll('.amenity-chip').forEach(chip => {
+            chip.setAttribute('aria-pressed', currentFilters.amenities.includes(chip.getAttribute('data-amenity')) ? 'true' : 'false');
+        });
+    }
+}
+
+// Refines the filter bar from the listing query schema, so its options and bounds match what GET /api/flats accepts.
+// Where the API is not served, the options in the markup stay as they are.
+async function loadFilterOptions() {
     try {
-        await signOut(auth);
-        showToast("You have been signed out.", "info");
+        const response = await fetch('/api/flats/query-schema');
+        if (!response.ok || !(response.headers.get('content-type') || '').includes('application/json')) {
+            console.warn("Query schema unavailable, keeping the default filter options");
+            return;
+        }
+        const schema = await response.json();
+        renderFilterOptions(schema.params);
     } catch (error) {
-        console.error("Error signing out:", error);
-        showToast("Error signing out. Please try again.", "error");
+        console.warn("Query schema unavailable, keeping the default filter options:", error);
     }
 }
 
-function toggleAuthMode() {
-    if (authMode === 'login') {
-        authMode = 'register';
-        elements.authModeToggle.textContent = 'Register';
-        elements.authSubmitBtn.textContent = 'Register';
-        elements.toggleAuthModeLink.innerHTML = "Already have an account? Login";
+function renderFilterOptions(params) {
+    document.querySelectorAll('[data-query-param]').forEach(control => {
+        const spec = params[control.getAttribute('data-query-param')];
+        if (!spec) return;
+        if (spec.type === 'enum') {
+            control.innerHTML = spec.options
+                .map(option => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`)
+                .join('');
+        } else if (control.tagName === 'SELECT' && spec.type === 'integer') {
+            const options = ['<option value="">Any</option>'];
+            for (let value = spec.min; value <= spec.max; value++) {
+                options.push(`<option value="${value}">${value === 0 ? '0 (Studio)' : value}</option>`);
+            }
+            control.innerHTML = options.join('');
+        } else if (control.tagName === 'INPUT') {
+            if (spec.min !== undefined) control.min = spec.min;
+            if (spec.max !== undefined) control.max = spec.max;
+            if (spec.type === 'integer') control.step = 1;
+        }
+    });
+    // Filters from an old link or a removed option fall back to the defaults.
+    const previousQuery = filtersToQueryString();
+    Object.entries(URL_FILTER_PARAMS).forEach(([key, param]) => {
+        const spec = params[param];
+        if (spec && spec.type === 'enum' && !spec.options.some(option => option.value === currentFilters[key])) {
+            currentFilters[key] = DEFAULT_FILTERS[key];
+        }
+    });
+    syncFilterControls();
+    if (filtersToQueryString() !== previousQuery) {
+        history.replaceState(history.state, '', `${location.pathname}${filtersToQueryString()}`);
+        fetchFlats(true);
     } else {
-        authMode = 'login';
-        elements.authModeToggle.textContent = 'Login';
-        elements.authSubmitBtn.textContent = 'Login';
-        elements.toggleAuthModeLink.innerHTML = "Don't have an account? Register";
+        // The rebuilt options lost any counts a finished fetch had already applied.
+        updateFacetCounts();
     }
-    elements.authErrorMessage.classList.add('hidden');
-    elements.authErrorMessage.textContent = '';
-    elements.authPasswordInput.value = '';
 }
 
-// --- Firestore Data Fetching ---
-async function fetchApartmentDetails() {
+function getFlatIdFromPath() {
+    const match = location.pathname.match(/^\/flats\/([^/]+)\/?$/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+async function openFlatFromUrl(flatId) {
     try {
-        const docRef = doc(db, "apartmentDetails", "main");
-        const docSnap = await getDoc(docRef);
-        if (docSnap.exists()) {
-            const data = docSnap.data();
-            if (elements.addressSpan) elements.addressSpan.textContent = data.address || 'N/A';
-            if (elements.builtYearSpan) elements.builtYearSpan.textContent = data.builtYear || 'N/A';
-            if (elements.totalFlatsCounter) {
-                elements.totalFlatsCounter.setAttribute('data-target', data.totalFlats || '0');
-                initCounter(elements.totalFlatsCounter);
-            }
-            if (elements.descriptionSpan) elements.descriptionSpan.textContent = data.description || 'No description available.';
-            if (elements.amenitiesSpan) {
-                if (data.amenities && Array.isArray(data.amenities)) {
-                    elements.amenitiesSpan.innerHTML = data.amenities.map(amenity => `<span>${amenity}</span>`).join(', ');
-                } else {
-                    elements.amenitiesSpan.textContent = 'No amenities listed.';
-                }
-            }
+        const flatDoc = await getDoc(doc(db, "flats", flatId));
+        if (getFlatIdFromPath() !== flatId) return; // The user navigated away while loading
+        if (flatDoc.exists()) {
+            showFlatDetailModal({ id: flatDoc.id, ...flatDoc.data() }, { updateHistory: false });
         } else {
-            console.log("No apartment details document found!");
-            if (elements.addressSpan) elements.addressSpan.textContent = 'Not available';
-            if (elements.builtYearSpan) elements.builtYearSpan.textContent = 'Not available';
-            if (elements.totalFlatsCounter) {
-                elements.totalFlatsCounter.setAttribute('data-target', '0');
-                initCounter(elements.totalFlatsCounter);
-            }
-            if (elements.descriptionSpan) elements.descriptionSpan.textContent = 'Details not available.';
-            if (elements.amenitiesSpan) elements.amenitiesSpan.textContent = 'Not available.';
+            showFlatNotFound();
         }
     } catch (error) {
-        console.error("Error fetching apartment details:", error);
-        showToast("Error loading apartment details.", "error");
+        const savedFlat = isNetworkError(error) ? findSavedFlat(flatId) : null;
+        if (savedFlat) {
+            showFlatDetailModal(savedFlat, { updateHistory: false });
+            return;
+        }
+        console.error("Error loading flat from URL:", error);
+        showFlatNotFound();
     }
 }
 
-async function fetchFlats(reset = false) {
-    console.log(`fetchFlats called (reset: ${reset})`);
-    if (!elements.flatsList) {
-        elements.flatsList = document.getElementById('flatsList');
-        if (!elements.flatsList) {
-            console.error("Critical Error: Flats list container (id='flatsList') not found in the DOM.");
-            showToast("Error: Apartment display area not found. Please refresh the page.", "error");
-            return;
+// Back/forward: restore the filters from the query string and the modal from the path.
+function handlePopState() {
+    const previousQuery = filtersToQueryString();
+    readFiltersFromQueryString(location.search);
+    syncFilterControls();
+    let listingChanged = filtersToQueryString() !== previousQuery;
+    const flatId = getFlatIdFromPath();
+    // A flat or the history opened from a shared list keeps the list behind it; other pages come and go with /lists/:shareId
+    const sharedListId = getSharedListIdFromPath();
+    if (!flatId && !isHistoryPath() && sharedListId !== (sharedList ? sharedList.shareId : null)) {
+        if (sharedListId) {
+            sharedListReady = loadSharedList(sharedListId);
+        } else {
+            sharedList = null;
+            renderSharedListBanner();
         }
+        listingChanged = true;
     }
-    showSkeletons(CONFIG.skeletonCount);
-    console.log("Showing skeleton loaders");
-    if (reset) {
-        allFlatsData = [];
-        displayedFlatsCount = 0;
-        lastVisibleFlat = null;
-        elements.flatsList.innerHTML = '';
-        elements.loadMoreBtn.classList.add('hidden');
-        elements.noFlatsMessage.classList.add('hidden');
-        console.log("Resetting flats list and pagination");
+    if (listingChanged) {
+        fetchFlats(true);
     }
-    try {
-        let flatsQueryRef = collection(db, "flats");
-        if (currentFilters.offerType !== 'all') {
-            flatsQueryRef = query(flatsQueryRef, where("offerType", "==", currentFilters.offerType));
-        }
-        if (currentFilters.flatType !== 'all') {
-            flatsQueryRef = query(flatsQueryRef, where("type", "==", currentFilters.flatType));
-        }
-        if (currentFilters.minPrice) {
-            flatsQueryRef = query(flatsQueryRef, where("price", ">=", parseFloat(currentFilters.minPrice)));
-        }
-        if (currentFilters.maxPrice) {
-            flatsQueryRef = query(flatsQueryRef, where("price", "<=", parseFloat(currentFilters.maxPrice)));
-        }
-        if (currentFilters.showFavorites && favorites.length > 0) {
-            flatsQueryRef = query(flatsQueryRef, where(documentId(), 'in', favorites));
-        } else if (currentFilters.showFavorites && favorites.length === 0) {
-            hideSkeletons();
-            elements.flatsList.innerHTML = '';
-            elements.noFlatsMessage.classList.remove('hidden');
-            elements.noFlatsMessage.textContent = 'No favorite apartments found.';
-            elements.loadMoreBtn.classList.add('hidden');
-            console.log("No favorites to display");
-            return;
-        }
-        if (currentFilters.sortBy === 'price-asc') {
-            flatsQueryRef = query(flatsQueryRef, orderBy("price", "asc"));
-        } else if (currentFilters.sortBy === 'price-desc') {
-            flatsQueryRef = query(flatsQueryRef, orderBy("price", "desc"));
-        } else if (currentFilters.sortBy === 'area-asc') {
-            flatsQueryRef = query(flatsQueryRef, orderBy("area", "asc"));
-        } else if (currentFilters.sortBy === 'area-desc') {
-            flatsQueryRef = query(flatsQueryRef, orderBy("area", "desc"));
-        } else {
-            flatsQueryRef = query(flatsQueryRef, orderBy("price", "desc"));
-        }
-        if (lastVisibleFlat) {
-            flatsQueryRef = query(flatsQueryRef, startAfter(lastVisibleFlat));
-        }
-        flatsQueryRef = query(flatsQueryRef, limit(CONFIG.flatsPerPage));
-        const querySnapshot = await getDocs(flatsQueryRef);
-        console.log(`Query snapshot docs count: ${querySnapshot.docs.length}`);
-        const fetchedFlats = [];
-        querySnapshot.forEach((doc) => {
-            fetchedFlats.push({ id: doc.id, ...doc.data() });
-        });
-        console.log("Fetched flats data:", fetchedFlats);
-        if (fetchedFlats.length > 0) {
-            allFlatsData = allFlatsData.concat(fetchedFlats);
-            elements.flatsList.innerHTML = '';
-            console.log("Clearing flatsList and appending new cards");
-            fetchedFlats.forEach(flat => {
-                const card = createFlatCard(flat);
-                console.log("Appending flat card:", flat.id, card);
-                elements.flatsList.appendChild(card);
-            });
-            lastVisibleFlat = querySnapshot.docs[querySnapshot.docs.length - 1];
-            displayedFlatsCount += fetchedFlats.length;
-            console.log(`Total flats displayed: ${displayedFlatsCount}`);
-            if (fetchedFlats.length === CONFIG.flatsPerPage) {
-                elements.loadMoreBtn.classList.remove('hidden');
-                console.log("Showing load more button");
-            } else {
-                elements.loadMoreBtn.classList.add('hidden');
-                console.log("Hiding load more button");
-            }
-            elements.noFlatsMessage.classList.add('hidden');
-        } else {
-            console.log("No flats fetched");
-            elements.flatsList.innerHTML = '';
-            if (reset) {
-                elements.noFlatsMessage.classList.remove('hidden');
-                elements.noFlatsMessage.textContent = 'No apartments found matching your criteria.';
-                console.log("Showing no flats message");
-            } else {
-                showToast("No more apartments to load.", "info");
-            }
-            elements.loadMoreBtn.classList.add('hidden');
-        }
-        updateFavoriteIconsInDisplay();
-    } catch (error) {
-        console.error("Error fetching flats:", error);
-        showToast("Error loading apartments.", "error");
-        elements.flatsList.innerHTML = '';
-        elements.noFlatsMessage.classList.remove('hidden');
-        elements.noFlatsMessage.textContent = 'Error loading apartments.';
-    } finally {
-        hideSkeletons();
-        console.log("Hiding skeleton loaders");
+    if (isHistoryPath()) {
+        showHistoryPage({ updateHistory: false });
+    } else if (!flatId && elements.historyModal && !elements.historyModal.classList.contains('hidden')) {
+        hideHistoryPage();
     }
+    if (flatId) {
+        openFlatFromUrl(flatId);
+    } else if (elements.flatDetailModal && !elements.flatDetailModal.classList.contains('hidden')) {
+        hideFlatDetailModal();
+    }
+}
+
+function handleBrowseFromNotFound() {
+    hideFlatDetailModal();
+    history.pushState({}, '', `${listingPath()}${location.search}`);
+    document.getElementById('flats').scrollIntoView({ behavior: 'smooth' });
 }
 
 // --- Event Handlers ---
@@ -711,24 +2996,38 @@ function handleFavoriteButtonClick(event) {
     const button = event.target.closest('.favorite-btn');
     if (button) {
         const flatId = button.getAttribute('data-flat-id');
-        toggleFavorite(flatId, button);
+        toggleFavorite(flatId);
     }
 }
 
 function handleApplyFilters() {
-    if (!elements.offerTypeFilter || !elements.flatTypeFilter || !elements.minPriceFilter ||
+    if (!elements.searchInput || !elements.offerTypeFilter || !elements.flatTypeFilter || !elements.minPriceFilter ||
         !elements.maxPriceFilter || !elements.sortByFilter || !elements.favoriteToggleButton) {
         console.error("One or more filter elements are missing!");
         showToast("Error: Filter controls are missing.", "error");
         return;
     }
+    currentFilters.searchTerm = elements.searchInput.value.trim();
     currentFilters.offerType = elements.offerTypeFilter.value;
     currentFilters.flatType = elements.flatTypeFilter.value;
     currentFilters.minPrice = elements.minPriceFilter.value;
     currentFilters.maxPrice = elements.maxPriceFilter.value;
     currentFilters.sortBy = elements.sortByFilter.value;
+    Object.values(RANGE_FILTERS).flat().forEach(key => {
+        if (elements[`${key}Filter`]) currentFilters[key] = elements[`${key}Filter`].value;
+    });
+    currentFilters.amenities = elements.amenityFilterChips
+        ? Array.from(elements.amenityFilterChips.querySelectorAll('.amenity-chip[aria-pressed="true"]')).map(chip => chip.getAttribute('data-amenity'))
+        : [];
+    currentFilters.amenityMatch = elements.amenityMatchFilter ? elements.amenityMatchFilter.value : 'any';
+    currentFilters.moveInBy = elements.moveInByFilter ? elements.moveInByFilter.value : '';
     currentFilters.showFavorites = elements.favoriteToggleButton.checked;
+    currentFilters.favoriteList = currentFilters.showFavorites && elements.favoriteListFilter ? elements.favoriteListFilter.value : '';
     console.log("Applying filters:", currentFilters); // DEBUG
+    const url = `${location.pathname}${filtersToQueryString()}`;
+    if (url !== `${location.pathname}${location.search}`) {
+        history.pushState(history.state, '', url);
+    }
     fetchFlats(true);
 }
 
@@ -736,20 +3035,141 @@ function handleLoadMore() {
     fetchFlats(false);
 }
 
+function isFlatsSentinelNearViewport() {
+    if (!elements.flatsListSentinel) return false;
+    return elements.flatsListSentinel.getBoundingClientRect().top < window.innerHeight + CONFIG.infiniteScrollMarginPx;
+}
+
+// Loads the next page as the end of the grid approaches; the Load More button stays as a fallback.
+function initInfiniteScroll() {
+    if (!elements.flatsListSentinel || !('IntersectionObserver' in window)) return;
+    const observer = new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) {
+            fetchFlats(false);
+        }
+    }, {
+        rootMargin: `0px 0px ${CONFIG.infiniteScrollMarginPx}px 0px`
+    });
+    observer.observe(elements.flatsListSentinel);
+}
+
+// --- Exchange Rates ---
+function readCachedExchangeRates() {
+    try {
+        const cached = JSON.parse(localStorage.getItem(CONFIG.exchangeRatesCacheKey));
+        return cached && cached.rates ? cached : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// GET /api/rates when the API is served. Hosted without the API service, /api paths fall
+// through to apartment.html, so fall back to the Firestore document the API reads from.
+async function fetchExchangeRates() {
+    try {
+        const response = await fetch('/api/rates');
+        if (response.ok && (response.headers.get('content-type') || '').includes('application/json')) {
+            return await response.json();
+        }
+    } catch (error) {
+        console.warn("Rates API unavailable, reading Firestore:", error);
+    }
+    const ratesDoc = await getDoc(doc(db, "exchangeRates", "current"));
+    if (!ratesDoc.exists()) {
+        throw new Error("No exchange rates found");
+    }
+    const { base, asOf, rates } = ratesDoc.data();
+    return { base, asOf: asOf && asOf.toDate ? asOf.toDate().toISOString() : asOf, rates };
+}
+
+// Uses the cached table straight away and refreshes it once it is older than exchangeRatesMaxAgeMs.
+async function loadExchangeRates() {
+    const cached = readCachedExchangeRates();
+    if (cached) applyExchangeRates(cached);
+    if (cached && Date.now() - cached.fetchedAt < CONFIG.exchangeRatesMaxAgeMs) return;
+    try {
+        const table = await fetchExchangeRates();
+        localStorage.setItem(CONFIG.exchangeRatesCacheKey, JSON.stringify({ ...table, fetchedAt: Date.now() }));
+        applyExchangeRates(table);
+    } catch (error) {
+        console.error("Error loading exchange rates:", error);
+        if (!cached) showToast("Exchange rates are unavailable; prices are shown in " + CONFIG.listingCurrency + ".", "error");
+    }
+}
+
+function applyExchangeRates(table) {
+    exchangeRates = { base: table.base, asOf: table.asOf, rates: table.rates };
+    if (!getExchangeRate(currentCurrency)) currentCurrency = CONFIG.listingCurrency;
+    if (elements.currencySwitcher) {
+        elements.currencySwitcher.innerHTML = Object.keys(exchangeRates.rates)
+            .filter(code => getExchangeRate(code))
+            .sort()
+            .map(code => `<option value="${code}">${code}</option>`)
+            .join('');
+        elements.currencySwitcher.value = currentCurrency;
+    }
+    if (elements.ratesAsOf) {
+        const asOf = exchangeRates.asOf ? new Date(exchangeRates.asOf) : null;
+        elements.ratesAsOf.textContent = asOf && !Number.isNaN(asOf.getTime())
+            ? `Rates as of ${asOf.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}`
+            : '';
+    }
+    refreshDisplayedPrices();
+}
+
 function handleCurrencyChange() {
     currentCurrency = elements.currencySwitcher.value;
-    elements.flatsList.innerHTML = '';
-    allFlatsData.forEach(flat => {
-        elements.flatsList.appendChild(createFlatCard(flat));
+    refreshDisplayedPrices();
+}
+
+// Re-renders every loaded card in place, so loaded pages and the scroll position are kept.
+function refreshDisplayedPrices() {
+    renderPriceBucketFacets();
+    const scrollPosition = window.scrollY;
+    const flatsById = new Map(allFlatsData.map(flat => [flat.id, flat]));
+    elements.flatsList.querySelectorAll(':scope > [data-flat-id]').forEach(card => {
+        const flat = flatsById.get(card.getAttribute('data-flat-id'));
+        if (flat) card.replaceWith(createFlatCard(flat));
     });
+    displayRecentlyViewed();
+    renderHistoryPage();
     updateFavoriteIconsInDisplay();
+    renderCalculator();
+    if (currentDetailFlat) {
+        elements.flatDetailPrice.innerHTML = `${formatPrice(currentDetailFlat.price || 0)} ${formatPriceDrop(currentDetailFlat)}`;
+        renderFlatDetailSpecs(currentDetailFlat);
+        renderPriceHistoryChart();
+    }
+    window.scrollTo(0, scrollPosition);
+}
+
+// Opens the contact form from the detail modal, tied to that apartment.
+function handleInquireAboutFlat() {
+    if (!currentDetailFlat) return;
+    hideFlatDetailModal();
+    // Replace rather than go back, so restoring the listing's scroll position cannot undo the scroll to the form.
+    history.replaceState({}, '', `${listingPath()}${location.search}`);
+    setContactFlat(currentDetailFlat);
+    if (!elements.contactMessage.value) {
+        elements.contactMessage.value = `Hi, I'm interested in the ${currentDetailFlat.type || 'apartment'} in ${currentDetailFlat.location || 'your building'}. `;
+    }
+    document.getElementById('contact').scrollIntoView({ behavior: 'smooth' });
+    elements.contactName.focus({ preventScroll: true });
+}
+
+function setContactFlat(flat) {
+    elements.contactFlatId.value = flat ? flat.id : '';
+    elements.contactFlatSummary.textContent = flat ? `${flat.type || 'Apartment'} in ${flat.location || 'N/A'} (${formatPrice(flat.price || 0)})` : '';
+    elements.contactFlatContext.classList.toggle('hidden', !flat);
 }
 
+// The contact form goes through POST /api/inquiries, which validates, throttles and screens submissions.
+// Along with the fields it gets the honeypot input and how long the form was open, to tell people from bots.
 async function handleContactFormSubmit(event) {
     event.preventDefault();
-    const name = elements.contactName.value;
-    const email = elements.contactEmail.value;
-    const message = elements.contactMessage.value;
+    const name = elements.contactName.value.trim();
+    const email = elements.contactEmail.value.trim();
+    const message = elements.contactMessage.value.trim();
     const formMessage = elements.formMessage;
     formMessage.textContent = '';
     if (!name || !email || !message) {
@@ -757,26 +3177,253 @@ async function handleContactFormSubmit(event) {
         formMessage.style.color = 'red';
         return;
     }
+    if (!EMAIL_PATTERN.test(email)) {
+        formMessage.textContent = "Please enter a valid email address.";
+        formMessage.style.color = 'red';
+        return;
+    }
+    const inquiry = {
+        name,
+        email,
+        message,
+        flatId: elements.contactFlatId.value || null,
+        website: elements.contactWebsite.value,
+        fillTimeMs: Date.now() - contactFormOpenedAt
+    };
+    if (!navigator.onLine) {
+        queueInquiry(inquiry);
+        return;
+    }
+    const submitButton = elements.contactForm.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
     try {
-        await addDoc(collection(db, "inquiries"), {
-            name,
-            email,
-            message,
-            timestamp: new Date()
+        const response = await fetch('/api/inquiries', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(inquiry)
         });
+        const result = await response.json();
+        if (response.status === 429) {
+            formMessage.textContent = "You've sent several messages already. Please try again later.";
+            formMessage.style.color = 'red';
+            return;
+        }
+        if (response.status === 409) {
+            formMessage.textContent = "We've already received this message and will reply soon.";
+            formMessage.style.color = 'red';
+            return;
+        }
+        if (!response.ok) {
+            formMessage.textContent = result.details ? detailMessages(result.details, '. ') : "Failed to send message. Please try again.";
+            formMessage.style.color = 'red';
+            return;
+        }
         formMessage.textContent = "Your message has been sent!";
         formMessage.style.color = 'green';
         elements.contactForm.reset();
+        contactFormOpenedAt = Date.now();
+        setContactFlat(null);
         showToast("Inquiry sent successfully!", "success");
     } catch (error) {
+        if (isNetworkError(error)) {
+            queueInquiry(inquiry);
+            return;
+        }
         console.error("Error submitting inquiry:", error);
         formMessage.textContent = "Failed to send message. Please try again.";
         formMessage.style.color = 'red';
         showToast("Failed to send inquiry.", "error");
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+// --- Offline Support ---
+// sw.js caches the page and its assets; listings and queued changes are kept here, in localStorage.
+
+// Network failures: fetch rejects with a TypeError, Firestore with the `unavailable` code.
+function isNetworkError(error) {
+    return !navigator.onLine || error instanceof TypeError || (error && error.code === 'unavailable');
+}
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('/sw.js').catch(error => console.error("Service worker registration failed:", error));
+}
+
+function updateOfflineBanner() {
+    if (!elements.offlineBanner) return;
+    const offline = !navigator.onLine || savedListingsShownAt !== null;
+    elements.offlineBanner.classList.toggle('hidden', !offline);
+    if (!offline) return;
+    const parts = ["You're offline."];
+    if (savedListingsShownAt !== null) {
+        parts.push(`Showing apartments saved ${new Date(savedListingsShownAt).toLocaleString()}.`);
+    }
+    if (offlineQueue.length > 0) {
+        parts.push(`${offlineQueue.length} ${offlineQueue.length === 1 ? 'change' : 'changes'} will be sent when you reconnect.`);
+    }
+    elements.offlineBannerText.textContent = parts.join(' ');
+}
+
+function saveListingsForOffline() {
+    try {
+        localStorage.setItem(CONFIG.offlineListingsKey, JSON.stringify({
+            savedAt: Date.now(),
+            flats: allFlatsData.slice(0, CONFIG.offlineListingsLimit)
+        }));
+    } catch (error) {
+        console.error("Error saving listings for offline use:", error);
+    }
+}
+
+function loadSavedListings() {
+    try {
+        return JSON.parse(localStorage.getItem(CONFIG.offlineListingsKey)) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Shows the last listings loaded on this device, whatever filters they were loaded with, in place of an error.
+function showSavedListings() {
+    const saved = loadSavedListings();
+    elements.flatsList.innerHTML = '';
+    if (!saved || saved.flats.length === 0) {
+        elements.noFlatsMessage.classList.remove('hidden');
+        elements.noFlatsMessage.textContent = "You're offline, and no apartments have been saved on this device yet.";
+        return;
+    }
+    savedListingsShownAt = saved.savedAt;
+    allFlatsData = saved.flats;
+    displayedFlatsCount = saved.flats.length;
+    saved.flats.forEach(flat => elements.flatsList.appendChild(createFlatCard(flat)));
+    elements.noFlatsMessage.classList.add('hidden');
+    updateFavoriteIconsInDisplay();
+    if (listingView === 'map') renderFlatsMap();
+}
+
+// A flat viewed recently or among the saved listings, for opening /flats/:id offline.
+function findSavedFlat(flatId) {
+    const saved = loadSavedListings();
+    return historyFlats.get(flatId)
+        || (saved ? saved.flats.find(flat => flat.id === flatId) : null)
+        || null;
+}
+
+// Asks the service worker to keep every size of a flat's photos, so it can be browsed offline.
+function cacheFlatImagesForOffline(flat) {
+    if (!navigator.serviceWorker || !navigator.serviceWorker.controller) return;
+    const urls = [
+        ...(flat.imageUrls || []),
+        ...(flat.images || []).flatMap(image => image.variants.map(variant => variant.url))
+    ];
+    navigator.serviceWorker.controller.postMessage({ type: 'cacheImages', urls: [...new Set(urls)] });
+}
+
+function saveOfflineQueue() {
+    localStorage.setItem('offlineQueue', JSON.stringify(offlineQueue));
+    updateOfflineBanner();
+}
+
+// Favorite list changes are queued as made (see applyFavoriteChange) and replayed in order.
+function queueFavoriteChanges(uid, changes) {
+    offlineQueue.push({ type: 'favorites', uid, changes });
+    saveOfflineQueue();
+    showToast("Saved on this device. It will sync when you're back online.", "info");
+}
+
+function queueInquiry(inquiry) {
+    offlineQueue.push({ type: 'inquiry', inquiry });
+    saveOfflineQueue();
+    elements.formMessage.textContent = "You're offline. Your message will be sent when you reconnect.";
+    elements.formMessage.style.color = 'green';
+    elements.contactForm.reset();
+    contactFormOpenedAt = Date.now();
+    setContactFlat(null);
+}
+
+/**
+ * Sends the changes queued offline. Favorite list changes are applied to the
+ * signed-in user's lists in one write (other users' changes wait for them to sign in);
+ * inquiries are sent one by one and dropped once the server has answered,
+ * so only a lost connection keeps them queued.
+ */
+async function replayOfflineQueue() {
+    if (replayingOfflineQueue || !navigator.onLine || offlineQueue.length === 0) return;
+    replayingOfflineQueue = true;
+    let sent = 0;
+    try {
+        const user = auth.currentUser;
+        const favoriteActions = offlineQueue.filter(action => ['favorites', 'favorite'].includes(action.type) && user && action.uid === user.uid);
+        if (favoriteActions.length > 0) {
+            // Entries queued before favorite lists hold a single { flatId, favorite }
+            const changes = favoriteActions.flatMap(action => action.changes || [action.favorite
+                ? { type: 'add', listId: CONFIG.defaultFavoriteList.id, flatId: action.flatId }
+                : { type: 'remove', flatId: action.flatId }]);
+            const state = await saveFavoriteChanges(user.uid, changes);
+            offlineQueue = offlineQueue.filter(action => !favoriteActions.includes(action));
+            saveOfflineQueue();
+            setFavoriteState(state);
+            sent += favoriteActions.length;
+        }
+        for (const action of offlineQueue.filter(item => item.type === 'inquiry')) {
+            const response = await fetch('/api/inquiries', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(action.inquiry)
+            });
+            offlineQueue = offlineQueue.filter(item => item !== action);
+            saveOfflineQueue();
+            // 409: the same message had already arrived
+            if (response.ok || response.status === 409) {
+                sent += 1;
+            } else {
+                showToast("A message written offline could not be sent. Please try again from the contact form.", "error");
+            }
+        }
+        if (sent > 0) showToast("Changes made offline have been sent.", "success");
+    } catch (error) {
+        // Whatever was not sent stays queued for the next time the connection returns
+        if (!isNetworkError(error)) console.error("Error sending offline changes:", error);
+    } finally {
+        replayingOfflineQueue = false;
     }
 }
 
+function handleConnectionChange() {
+    updateOfflineBanner();
+    if (!navigator.onLine) return;
+    replayOfflineQueue();
+    if (savedListingsShownAt !== null) fetchFlats(true);
+}
+
 // --- Core Initialization Functions ---
+// Escape, a Tab cycle kept inside and focus restored on close for every modal; arrow keys, swipes and
+// pinch-zoom in the lightbox. Opening and closing stay with the functions above, which tell dialogs.js.
+function setupDialogs() {
+    if (!window.Dialogs) {
+        console.error("Dialog support (dialogs.js) not loaded!");
+        return;
+    }
+    const { createDialog, attachImageGestures } = window.Dialogs;
+    if (elements.flatDetailModal) dialogs.flatDetail = createDialog(elements.flatDetailModal, { onClose: closeFlatDetailModal });
+    if (elements.lightboxModal) {
+        dialogs.lightbox = createDialog(elements.lightboxModal, {
+            onClose: closeLightbox,
+            onKeyDown: event => {
+                if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+                    event.preventDefault();
+                    navigateLightbox(event.key === 'ArrowLeft' ? -1 : 1);
+                }
+            }
+        });
+        lightboxGestures = attachImageGestures(elements.lightboxModal.querySelector('.lightbox-content'), elements.lightboxImage, { onSwipe: navigateLightbox });
+    }
+    if (elements.compareModal) dialogs.compare = createDialog(elements.compareModal, { onClose: closeCompareModal });
+    if (elements.historyModal) dialogs.history = createDialog(elements.historyModal, { onClose: closeHistoryPage });
+}
+
 function initializeElements() {
     elements.authSection = document.getElementById('auth-section');
     elements.authForm = document.getElementById('auth-form');
@@ -804,21 +3451,92 @@ function initializeElements() {
     elements.amenitiesSpan = document.getElementById('amenities-span');
     elements.flatsList = document.getElementById('flatsList');
     elements.loadMoreBtn = document.getElementById('loadMoreBtn');
+    elements.flatsListSentinel = document.getElementById('flatsListSentinel');
     elements.noFlatsMessage = document.getElementById('no-flats-message');
+    elements.offlineBanner = document.getElementById('offline-banner');
+    elements.offlineBannerText = document.getElementById('offline-banner-text');
+    elements.searchInput = document.getElementById('searchInput');
+    elements.currencySwitcher = document.getElementById('currencySwitcher');
+    elements.ratesAsOf = document.getElementById('ratesAsOf');
     elements.offerTypeFilter = document.getElementById('offerTypeFilter');
     elements.flatTypeFilter = document.getElementById('flatTypeFilter');
     elements.minPriceFilter = document.getElementById('minPriceFilter');
     elements.maxPriceFilter = document.getElementById('maxPriceFilter');
+    elements.minBedroomsFilter = document.getElementById('minBedroomsFilter');
+    elements.maxBedroomsFilter = document.getElementById('maxBedroomsFilter');
+    elements.minBathroomsFilter = document.getElementById('minBathroomsFilter');
+    elements.maxBathroomsFilter = document.getElementById('maxBathroomsFilter');
+    elements.minAreaFilter = document.getElementById('minAreaFilter');
+    elements.maxAreaFilter = document.getElementById('maxAreaFilter');
+    elements.priceBucketFacets = document.getElementById('priceBucketFacets');
     elements.sortByFilter = document.getElementById('sortByFilter');
+    elements.amenityFilterChips = document.getElementById('amenityFilterChips');
+    elements.amenityMatchFilter = document.getElementById('amenityMatchFilter');
+    elements.moveInByFilter = document.getElementById('moveInByFilter');
     elements.favoriteToggleButton = document.getElementById('favorite-toggle-btn');
+    elements.applyFiltersBtn = document.getElementById('applyFiltersBtn');
     elements.favoritesCountSpan = document.getElementById('favorites-count-span');
+    elements.favoriteListFilter = document.getElementById('favoriteListFilter');
+    elements.newFavoriteListName = document.getElementById('newFavoriteListName');
+    elements.createFavoriteListBtn = document.getElementById('createFavoriteListBtn');
+    elements.shareFavoriteListBtn = document.getElementById('shareFavoriteListBtn');
+    elements.unshareFavoriteListBtn = document.getElementById('unshareFavoriteListBtn');
+    elements.deleteFavoriteListBtn = document.getElementById('deleteFavoriteListBtn');
+    elements.sharedListBanner = document.getElementById('shared-list-banner');
+    elements.sharedListName = document.getElementById('shared-list-name');
+    elements.sharedListCount = document.getElementById('shared-list-count');
+    elements.leaveSharedListBtn = document.getElementById('leave-shared-list-btn');
     elements.recentlyViewedList = document.getElementById('recently-viewed-list');
+    elements.viewHistoryLink = document.getElementById('view-history-link');
+    elements.historyModal = document.getElementById('history-modal');
+    elements.closeHistoryModalBtn = document.getElementById('close-history-modal-btn');
+    elements.historySyncNote = document.getElementById('history-sync-note');
+    elements.clearHistoryBtn = document.getElementById('clear-history-btn');
+    elements.historyList = document.getElementById('history-list');
     elements.reviewsList = document.getElementById('reviews-list');
+    elements.testimonialsNav = document.getElementById('testimonials-nav');
+    elements.testimonialsPrevBtn = document.getElementById('testimonials-prev-btn');
+    elements.testimonialsNextBtn = document.getElementById('testimonials-next-btn');
+    elements.testimonialsPage = document.getElementById('testimonials-page');
+    elements.testimonialForm = document.getElementById('testimonial-form');
+    elements.testimonialAuthor = document.getElementById('testimonial-author');
+    elements.testimonialQuote = document.getElementById('testimonial-quote');
+    elements.testimonialWebsite = document.getElementById('testimonial-website');
+    elements.testimonialMessage = document.getElementById('testimonial-message');
     elements.contactForm = document.getElementById('contact-form');
     elements.contactName = document.getElementById('contact-name');
     elements.contactEmail = document.getElementById('contact-email');
     elements.contactMessage = document.getElementById('contact-message');
+    elements.contactWebsite = document.getElementById('contact-website');
     elements.formMessage = document.getElementById('form-message');
+    elements.contactFlatId = document.getElementById('contact-flat-id');
+    elements.savedSearchesControls = document.getElementById('saved-searches-controls');
+    elements.savedSearchesSelect = document.getElementById('savedSearchesSelect');
+    elements.deleteSavedSearchBtn = document.getElementById('deleteSavedSearchBtn');
+    elements.savedSearchName = document.getElementById('savedSearchName');
+    elements.saveSearchBtn = document.getElementById('saveSearchBtn');
+    elements.notificationsMenu = document.getElementById('notifications-menu');
+    elements.compareTray = document.getElementById('compare-tray');
+    elements.listViewBtn = document.getElementById('listViewBtn');
+    elements.mapViewBtn = document.getElementById('mapViewBtn');
+    elements.flatsMap = document.getElementById('flatsMap');
+    elements.flatsMapNote = document.getElementById('flatsMapNote');
+    elements.compareCount = document.getElementById('compare-count');
+    elements.compareTrayList = document.getElementById('compare-tray-list');
+    elements.compareClearBtn = document.getElementById('compare-clear-btn');
+    elements.compareOpenBtn = document.getElementById('compare-open-btn');
+    elements.compareModal = document.getElementById('compare-modal');
+    elements.compareTable = document.getElementById('compare-table');
+    elements.compareDifferencesOnly = document.getElementById('compare-differences-only');
+    elements.compareExportBtn = document.getElementById('compare-export-btn');
+    elements.closeCompareModalBtn = document.getElementById('close-compare-modal-btn');
+    elements.notificationsBtn = document.getElementById('notifications-btn');
+    elements.notificationsBadge = document.getElementById('notifications-badge');
+    elements.notificationsDropdown = document.getElementById('notifications-dropdown');
+    elements.notificationsList = document.getElementById('notifications-list');
+    elements.contactFlatContext = document.getElementById('contact-flat-context');
+    elements.contactFlatSummary = document.getElementById('contact-flat-summary');
+    elements.contactFlatClearBtn = document.getElementById('contact-flat-clear');
     elements.flatDetailModal = document.getElementById('flat-detail-modal');
     if (elements.flatDetailModal) {
         elements.closeModalBtn = elements.flatDetailModal.querySelector('#close-modal-btn');
@@ -829,11 +3547,49 @@ function initializeElements() {
         elements.flatDetailSpecs = elements.flatDetailModal.querySelector('#flat-detail-specs');
         elements.flatDetailLocation = elements.flatDetailModal.querySelector('#flat-detail-location');
         elements.flatDetailAmenities = elements.flatDetailModal.querySelector('#flat-detail-amenities');
+        elements.flatDetailContent = elements.flatDetailModal.querySelector('#flat-detail-content');
+        elements.flatDetailNotFound = elements.flatDetailModal.querySelector('#flat-detail-not-found');
+        elements.flatNotFoundBrowseBtn = elements.flatDetailModal.querySelector('#flat-not-found-browse-btn');
+        elements.flatDetailInquireBtn = elements.flatDetailModal.querySelector('#flat-detail-inquire-btn');
+        elements.viewingStartBtn = elements.flatDetailModal.querySelector('#viewing-start-btn');
+        elements.viewingStep = elements.flatDetailModal.querySelector('#viewing-step');
+        elements.viewingDays = elements.flatDetailModal.querySelector('#viewing-days');
+        elements.viewingSlots = elements.flatDetailModal.querySelector('#viewing-slots');
+        elements.viewingForm = elements.flatDetailModal.querySelector('#viewing-form');
+        elements.viewingName = elements.flatDetailModal.querySelector('#viewing-name');
+        elements.viewingEmail = elements.flatDetailModal.querySelector('#viewing-email');
+        elements.viewingPhone = elements.flatDetailModal.querySelector('#viewing-phone');
+        elements.viewingSubmitBtn = elements.flatDetailModal.querySelector('#viewing-submit-btn');
+        elements.viewingMessage = elements.flatDetailModal.querySelector('#viewing-message');
+        elements.viewingConfirmation = elements.flatDetailModal.querySelector('#viewing-confirmation');
+        elements.viewingConfirmationTime = elements.flatDetailModal.querySelector('#viewing-confirmation-time');
+        elements.viewingIcsLink = elements.flatDetailModal.querySelector('#viewing-ics-link');
+        elements.affordabilityCalculator = elements.flatDetailModal.querySelector('#affordability-calculator');
+        elements.calculatorTitle = elements.flatDetailModal.querySelector('#calculator-title');
+        elements.calculatorForm = elements.flatDetailModal.querySelector('#calculator-form');
+        elements.calculatorResults = elements.flatDetailModal.querySelector('#calculator-results');
+        elements.calculatorBreakdown = elements.flatDetailModal.querySelector('#calculator-breakdown');
+        elements.calculatorBreakdownSummary = elements.flatDetailModal.querySelector('#calculator-breakdown-summary');
+        elements.calculatorTable = elements.flatDetailModal.querySelector('#calculator-table');
+        elements.priceHistoryChart = elements.flatDetailModal.querySelector('#price-history-chart');
+        elements.flatListsCheckboxes = elements.flatDetailModal.querySelector('#flat-lists-checkboxes');
+        elements.flatNoteField = elements.flatDetailModal.querySelector('#flat-note-field');
+        elements.flatNote = elements.flatDetailModal.querySelector('#flat-note');
+        elements.saveFlatNoteBtn = elements.flatDetailModal.querySelector('#save-flat-note-btn');
+        elements.flatRatingSummary = elements.flatDetailModal.querySelector('#flat-rating-summary');
+        elements.flatReviewsList = elements.flatDetailModal.querySelector('#flat-reviews-list');
+        elements.flatReviewsMoreBtn = elements.flatDetailModal.querySelector('#flat-reviews-more-btn');
+        elements.reviewLoginPrompt = elements.flatDetailModal.querySelector('#review-login-prompt');
+        elements.reviewForm = elements.flatDetailModal.querySelector('#review-form');
+        elements.reviewText = elements.flatDetailModal.querySelector('#review-text');
+        elements.reviewStatus = elements.flatDetailModal.querySelector('#review-status');
+        elements.reviewSubmitBtn = elements.flatDetailModal.querySelector('#review-submit-btn');
     }
     elements.lightboxModal = document.getElementById('lightbox-modal');
     elements.lightboxImage = document.getElementById('lightbox-image');
     elements.lightboxCloseBtn = document.querySelector('.lightbox-close-button');
     elements.lightboxPrevBtn = document.getElementById('lightbox-prev');
+    elements.lightboxCounter = document.getElementById('lightbox-counter');
     elements.lightboxNextBtn = document.getElementById('lightbox-next');
     elements.backToTopBtn = document.getElementById('back-to-top');
     if (!elements.flatsList) {
@@ -844,6 +3600,8 @@ function initializeElements() {
 }
 
 function setupEventListeners() {
+    window.addEventListener('online', handleConnectionChange);
+    window.addEventListener('offline', handleConnectionChange);
     if (elements.authForm) elements.authForm.addEventListener('submit', handleAuth);
     if (elements.toggleAuthModeLink) elements.toggleAuthModeLink.addEventListener('click', (e) => { e.preventDefault(); toggleAuthMode(); });
     if (elements.profileLogoutLink) elements.profileLogoutLink.addEventListener('click', (e) => { e.preventDefault(); handleLogout(); });
@@ -863,10 +3621,84 @@ function setupEventListeners() {
         });
     }
     if (elements.applyFiltersBtn) elements.applyFiltersBtn.addEventListener('click', handleApplyFilters);
+    if (elements.searchInput) {
+        elements.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                handleApplyFilters();
+            }
+        });
+    }
+    if (elements.currencySwitcher) elements.currencySwitcher.addEventListener('change', handleCurrencyChange);
+    if (elements.amenityFilterChips) elements.amenityFilterChips.addEventListener('click', handleAmenityChipClick);
+    if (elements.priceBucketFacets) elements.priceBucketFacets.addEventListener('click', handlePriceBucketClick);
     if (elements.loadMoreBtn) elements.loadMoreBtn.addEventListener('click', handleLoadMore);
     if (elements.flatsList) elements.flatsList.addEventListener('click', handleFavoriteButtonClick);
+    if (elements.recentlyViewedList) elements.recentlyViewedList.addEventListener('click', handleFavoriteButtonClick);
+    if (elements.viewHistoryLink) elements.viewHistoryLink.addEventListener('click', (e) => { e.preventDefault(); showHistoryPage(); });
+    if (elements.closeHistoryModalBtn) elements.closeHistoryModalBtn.addEventListener('click', closeHistoryPage);
+    if (elements.clearHistoryBtn) elements.clearHistoryBtn.addEventListener('click', handleClearHistory);
+    if (elements.historyList) elements.historyList.addEventListener('click', handleHistoryListClick);
+    if (elements.historyModal) {
+        elements.historyModal.addEventListener('click', event => {
+            if (event.target === elements.historyModal) closeHistoryPage();
+        });
+    }
     if (elements.contactForm) elements.contactForm.addEventListener('submit', handleContactFormSubmit);
+    if (elements.testimonialForm) elements.testimonialForm.addEventListener('submit', handleTestimonialFormSubmit);
+    if (elements.testimonialsPrevBtn) elements.testimonialsPrevBtn.addEventListener('click', () => showTestimonialPage(testimonialPageIndex - 1));
+    if (elements.testimonialsNextBtn) elements.testimonialsNextBtn.addEventListener('click', () => showTestimonialPage(testimonialPageIndex + 1));
+    if (elements.listViewBtn) elements.listViewBtn.addEventListener('click', () => setListingView('list'));
+    if (elements.mapViewBtn) elements.mapViewBtn.addEventListener('click', () => setListingView('map'));
+    if (elements.flatsMap) elements.flatsMap.addEventListener('click', handleMapClick);
+    if (elements.compareTrayList) elements.compareTrayList.addEventListener('click', handleCompareTrayClick);
+    if (elements.compareClearBtn) elements.compareClearBtn.addEventListener('click', clearCompare);
+    if (elements.compareOpenBtn) elements.compareOpenBtn.addEventListener('click', openCompareModal);
+    if (elements.closeCompareModalBtn) elements.closeCompareModalBtn.addEventListener('click', closeCompareModal);
+    if (elements.compareModal) {
+        elements.compareModal.addEventListener('click', event => {
+            if (event.target === elements.compareModal) closeCompareModal();
+        });
+    }
+    if (elements.compareDifferencesOnly) elements.compareDifferencesOnly.addEventListener('change', renderCompareTable);
+    if (elements.compareExportBtn) elements.compareExportBtn.addEventListener('click', exportCompareCsv);
+    if (elements.saveSearchBtn) elements.saveSearchBtn.addEventListener('click', handleSaveSearch);
+    if (elements.savedSearchesSelect) elements.savedSearchesSelect.addEventListener('change', handleSavedSearchSelect);
+    if (elements.deleteSavedSearchBtn) elements.deleteSavedSearchBtn.addEventListener('click', handleDeleteSavedSearch);
+    if (elements.favoriteListFilter) elements.favoriteListFilter.addEventListener('change', updateFavoriteListButtons);
+    if (elements.createFavoriteListBtn) elements.createFavoriteListBtn.addEventListener('click', handleCreateFavoriteList);
+    if (elements.newFavoriteListName) {
+        elements.newFavoriteListName.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                handleCreateFavoriteList();
+            }
+        });
+    }
+    if (elements.shareFavoriteListBtn) elements.shareFavoriteListBtn.addEventListener('click', handleShareFavoriteList);
+    if (elements.unshareFavoriteListBtn) elements.unshareFavoriteListBtn.addEventListener('click', handleUnshareFavoriteList);
+    if (elements.deleteFavoriteListBtn) elements.deleteFavoriteListBtn.addEventListener('click', handleDeleteFavoriteList);
+    if (elements.leaveSharedListBtn) elements.leaveSharedListBtn.addEventListener('click', handleLeaveSharedList);
+    if (elements.flatListsCheckboxes) elements.flatListsCheckboxes.addEventListener('change', handleFlatListCheckboxChange);
+    if (elements.saveFlatNoteBtn) elements.saveFlatNoteBtn.addEventListener('click', handleSaveFlatNote);
+    if (elements.notificationsBtn) elements.notificationsBtn.addEventListener('click', toggleNotificationsDropdown);
+    if (elements.notificationsList) elements.notificationsList.addEventListener('click', handleNotificationClick);
+    if (elements.contactFlatClearBtn) elements.contactFlatClearBtn.addEventListener('click', () => setContactFlat(null));
     if (elements.closeModalBtn) elements.closeModalBtn.addEventListener('click', closeFlatDetailModal);
+    if (elements.flatNotFoundBrowseBtn) elements.flatNotFoundBrowseBtn.addEventListener('click', handleBrowseFromNotFound);
+    if (elements.flatDetailInquireBtn) elements.flatDetailInquireBtn.addEventListener('click', handleInquireAboutFlat);
+    if (elements.viewingStartBtn) elements.viewingStartBtn.addEventListener('click', handleStartViewingBooking);
+    if (elements.viewingStep) elements.viewingStep.addEventListener('click', handleViewingOptionClick);
+    if (elements.viewingForm) elements.viewingForm.addEventListener('submit', handleViewingFormSubmit);
+    if (elements.flatReviewsMoreBtn) elements.flatReviewsMoreBtn.addEventListener('click', loadFlatReviews);
+    if (elements.reviewForm) elements.reviewForm.addEventListener('submit', handleReviewFormSubmit);
+    if (elements.calculatorForm) {
+        elements.calculatorForm.addEventListener('input', handleCalculatorInput);
+        elements.calculatorForm.addEventListener('submit', (event) => event.preventDefault());
+        elements.calculatorBreakdown.addEventListener('toggle', handleCalculatorBreakdownToggle);
+        syncCalculatorForm();
+    }
+    window.addEventListener('popstate', handlePopState);
     if (elements.lightboxCloseBtn) elements.lightboxCloseBtn.addEventListener('click', closeLightbox);
     if (elements.lightboxPrevBtn) elements.lightboxPrevBtn.addEventListener('click', () => navigateLightbox(-1));
     if (elements.lightboxNextBtn) elements.lightboxNextBtn.addEventListener('click', () => navigateLightbox(1));
@@ -904,29 +3736,61 @@ function initScrollAnimations() {
 // --- Initialization ---
 function initialize() {
     initializeElements();
+    loadMapConfig();
+    readFiltersFromQueryString(location.search);
+    renderAmenityFilterChips();
+    renderPriceBucketFacets();
+    renderCompareTray();
+    refreshCompareFlats();
+    syncFilterControls();
+    loadFilterOptions();
     setupEventListeners();
+    setupDialogs();
     initScrollAnimations();
-    const toastContainer = document.createElement('div');
-    toastContainer.id = 'toast-container';
-    toastContainer.className = 'fixed bottom-4 right-4 z-50 flex flex-col gap-2';
-    document.body.appendChild(toastContainer);
+    initInfiniteScroll();
+    const initialFlatId = getFlatIdFromPath();
+    if (initialFlatId) openFlatFromUrl(initialFlatId);
+    const initialSharedListId = getSharedListIdFromPath();
+    if (initialSharedListId) sharedListReady = loadSharedList(initialSharedListId);
+    if (isHistoryPath()) showHistoryPage({ updateHistory: false });
+    registerServiceWorker();
+    updateOfflineBanner();
+    loadExchangeRates();
+    renderTestimonials();
     onAuthStateChanged(auth, (user) => {
         if (user) {
             elements.authSection.classList.add('hidden');
-            loadFavorites(user.uid);
+            setFavoriteState(loadStoredFavoriteState(user.uid), { refresh: false });
+            // Favorites changed offline are saved first, so loading them picks the changes up
+            replayOfflineQueue().finally(() => loadFavorites(user.uid));
+            loadSavedSearches(user.uid);
+            loadBrowsingHistory(user.uid);
+            loadCalculatorInputs(user.uid);
+            if (currentDetailFlat) loadMyReview();
+            subscribeToNotifications(user.uid);
+            if (elements.savedSearchesControls) elements.savedSearchesControls.classList.remove('hidden');
+            if (elements.notificationsMenu) elements.notificationsMenu.classList.remove('hidden');
             showToast(`Welcome back, ${user.email}!`, "success");
             if (elements.loggedInUserName) elements.loggedInUserName.textContent = user.email;
-            if (elements.favoriteToggleButton) elements.favoriteToggleButton.classList.remove('hidden');
             if (elements.profileLogoutLink) elements.profileLogoutLink.classList.remove('hidden');
             if (elements.mobileProfileLogoutLink) elements.mobileProfileLogoutLink.classList.remove('hidden');
             if (elements.loginRegisterLink) elements.loginRegisterLink.classList.add('hidden');
             if (elements.mobileLoginRegisterLink) elements.mobileLoginRegisterLink.classList.add('hidden');
         } else {
             elements.authSection.classList.remove('hidden');
-            favorites = [];
-            localStorage.removeItem('favorites');
+            replayOfflineQueue();
+            // The account's lists stay with the account; a guest starts from the lists kept for guests
+            localStorage.removeItem(CONFIG.favoriteListsKey);
+            setFavoriteState(loadStoredFavoriteState(null), { refresh: false });
+            savedSearches = [];
+            renderSavedSearches();
+            loadGuestBrowsingHistory();
+            loadCalculatorInputs(null);
+            if (currentDetailFlat) resetFlatReviews();
+            unsubscribeFromNotifications();
+            if (elements.savedSearchesControls) elements.savedSearchesControls.classList.add('hidden');
+            if (elements.notificationsMenu) elements.notificationsMenu.classList.add('hidden');
             if (elements.loggedInUserName) elements.loggedInUserName.textContent = 'Guest';
-            if (elements.favoriteToggleButton) elements.favoriteToggleButton.classList.add('hidden');
             if (elements.profileLogoutLink) elements.profileLogoutLink.classList.add('hidden');
             if (elements.mobileProfileLogoutLink) elements.mobileProfileLogoutLink.classList.add('hidden');
             if (elements.loginRegisterLink) elements.loginRegisterLink.classList.remove('hidden');
@@ -0,0 +1,27 @@
+// scripts/importRates.js
+// Usage: npm run import-rates -- <rates.json|rates.csv>
+// Writes to the storage backend selected by STORAGE_BACKEND, like the server.
+const fs = require('fs');
+const path = require('path');
+const { createRepositories } = require('../server/repositories');
+const { CURRENT_RATES_ID, parseRatesFile, validateRates } = require('../server/rates');
+
+async function main(file) {
+  if (!file) {
+    throw new Error('Usage: npm run import-rates -- <rates.json|rates.csv>');
+  }
+  const extension = path.extname(file).slice(1).toLowerCase();
+  const data = parseRatesFile(fs.readFileSync(file, 'utf8'), ['json', 'csv'].includes(extension) ? extension : undefined);
+  const { errors, value } = validateRates(data);
+  if (errors.length > 0) {
+    throw new Error(`Invalid exchange rates:\n  ${errors.map(error => error.message).join('\n  ')}`);
+  }
+  const repositories = createRepositories();
+  await repositories.exchangeRates.set(CURRENT_RATES_ID, { ...value, updatedBy: 'cli', updatedAt: new Date() });
+  console.log(`Imported ${Object.keys(value.rates).length} rates (base ${value.base}, as of ${value.asOf.toISOString()})`);
+}
+
+main(process.argv[2]).then(() => process.exit(0), error => {
+  console.error(error.message);
+  process.exit(1);
+});
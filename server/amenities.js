@@ -0,0 +1,45 @@
+// server/amenities.js
+
+/**
+ * Normalises a flat's `amenities` field. Mirrors parseAmenities in script.js:
+ * older documents store the list as a single stringified JSON array, either
+ * on its own or wrapped in a one-element array.
+ */
+function parseAmenities(amenitiesData) {
+  if (!amenitiesData) return [];
+  if (Array.isArray(amenitiesData)) {
+    if (amenitiesData.length === 1 && typeof amenitiesData[0] === 'string' && amenitiesData[0].startsWith('[') && amenitiesData[0].endsWith(']')) {
+      return parseAmenities(amenitiesData[0]);
+    }
+    return amenitiesData.filter(item => typeof item === 'string');
+  }
+  if (typeof amenitiesData === 'string' && amenitiesData.startsWith('[') && amenitiesData.endsWith(']')) {
+    try {
+      const parsed = JSON.parse(amenitiesData);
+      return Array.isArray(parsed) ? parsed.filter(item => typeof item === 'string') : [];
+    } catch (error) {
+      console.error('Error parsing stringified amenities:', error);
+      return [];
+    }
+  }
+  return [];
+}
+
+// Lower-cased, de-duplicated amenity keys, stored on each flat as `amenityKeys` for querying.
+function normalizeAmenities(amenitiesData) {
+  return [...new Set(parseAmenities(amenitiesData).map(item => item.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Checks a flat against the selected amenities. `mode` is `any` (at least
+ * one selected amenity) or `all` (every selected amenity).
+ */
+function matchesAmenities(flat, selected, mode = 'any') {
+  if (!selected || selected.length === 0) return true;
+  const available = normalizeAmenities(flat.amenities);
+  return mode === 'all'
+    ? selected.every(amenity => available.includes(amenity))
+    : selected.some(amenity => available.includes(amenity));
+}
+
+module.exports = { matchesAmenities, normalizeAmenities, parseAmenities };
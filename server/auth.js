@@ -0,0 +1,111 @@
+// server/auth.js
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+// Verifies ID tokens against Firebase Auth (used with the Firestore backend).
+function verifyFirebaseIdToken(token) {
+  return admin.auth().verifyIdToken(token);
+}
+
+/**
+ * Decodes an unsigned JWT the way the Firebase Auth emulator does, for local
+ * development and tests. Never use this against real data.
+ */
+async function verifyLocalIdToken(token) {
+  const [, payload] = token.split('.');
+  const claims = payload ? JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')) : null;
+  const uid = claims && (claims.uid || claims.sub || claims.user_id);
+  if (!uid) {
+    throw new Error('Token has no uid');
+  }
+  return { ...claims, uid };
+}
+
+/**
+ * Picks the ID token verifier. Tokens are checked against Firebase Auth
+ * (or the Auth emulator, with FIREBASE_AUTH_EMULATOR_HOST) unless
+ * ALLOW_UNSIGNED_TOKENS=1 asks for local decoding, which is refused when
+ * NODE_ENV is production.
+ */
+function createIdTokenVerifier(env = process.env) {
+  if (env.ALLOW_UNSIGNED_TOKENS !== '1') {
+    return verifyFirebaseIdToken;
+  }
+  if (env.NODE_ENV === 'production') {
+    throw new Error('ALLOW_UNSIGNED_TOKENS cannot be used when NODE_ENV is production');
+  }
+  return verifyLocalIdToken;
+}
+
+// The address Firebase Auth has verified for a user, or null.
+async function lookupVerifiedEmail(uid) {
+  try {
+    const user = await admin.auth().getUser(uid);
+    return user.email && user.emailVerified ? user.email : null;
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') return null;
+    throw error;
+  }
+}
+
+/**
+ * Picks how the server finds a user's email address: the one Firebase Auth
+ * has verified, never a field users can write to their own document. With
+ * ALLOW_UNSIGNED_TOKENS there is no Auth to ask, so for local development
+ * the `email` field of `users/{uid}` (from the `users` repository) is used.
+ */
+function createUserEmailLookup(users, env = process.env) {
+  if (env.ALLOW_UNSIGNED_TOKENS !== '1') {
+    return lookupVerifiedEmail;
+  }
+  return async uid => {
+    const user = await users.get(uid);
+    return (user && user.email) || null;
+  };
+}
+
+/**
+ * Verifies the ID token sent as `Authorization: Bearer <token>` with the
+ * verifier stored in `app.locals.verifyIdToken`, and stores the decoded
+ * token on `req.user`.
+ */
+async function authenticate(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer (.+)$/);
+  if (!match) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  try {
+    req.user = await req.app.locals.verifyIdToken(match[1]);
+    next();
+  } catch (error) {
+    console.error('Error verifying ID token:', error);
+    res.status(401).json({ error: 'Invalid or expired token' });
+  }
+}
+
+// Rejects callers whose token does not carry the `admin` custom claim.
+function checkAdminClaim(req, res, next) {
+  if (!req.user || req.user.admin !== true) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
+const requireAdmin = [authenticate, checkAdminClaim];
+
+/**
+ * Calendar apps cannot send an Authorization header, so feeds also accept
+ * `?token=` matching `app.locals.feedToken` (VIEWING_FEED_TOKEN). Without
+ * a matching token this behaves like requireAdmin.
+ */
+function requireAdminOrFeedToken(req, res, next) {
+  const expected = req.app.locals.feedToken;
+  const token = typeof req.query.token === 'string' ? req.query.token : '';
+  if (expected && token.length === expected.length && crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected))) {
+    return next();
+  }
+  authenticate(req, res, () => checkAdminClaim(req, res, next));
+}
+
+module.exports = { authenticate, createIdTokenVerifier, createUserEmailLookup, requireAdmin, requireAdminOrFeedToken, verifyFirebaseIdToken, verifyLocalIdToken };
@@ -0,0 +1,68 @@
+// server/email.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Every transport exposes `send({ to, subject, text })`. Pick one with
+ * EMAIL_TRANSPORT:
+ * - `file` (default): appends each message to EMAIL_OUTBOX_FILE (data/outbox.jsonl), for development
+ * - `memory`: keeps messages in `transport.sent`, for tests
+ * - `http`: POSTs the message as JSON to EMAIL_HTTP_URL (with EMAIL_HTTP_TOKEN as a Bearer token),
+ *   for mail services and relays that accept webhooks
+ */
+// Under data/, which index.js does not serve and Hosting does not deploy: the outbox holds every recipient and body
+const DEFAULT_OUTBOX_FILE = path.join(__dirname, '..', 'data', 'outbox.jsonl');
+
+class FileEmailTransport {
+  constructor(file) {
+    this.file = file;
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.appendFile(this.file, `${JSON.stringify({ ...message, sentAt: new Date() })}\n`);
+  }
+}
+
+class MemoryEmailTransport {
+  constructor() {
+    this.sent = [];
+  }
+
+  async send(message) {
+    this.sent.push(message);
+  }
+}
+
+class HttpEmailTransport {
+  constructor(url, token) {
+    this.url = url;
+    this.token = token;
+  }
+
+  async send(message) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+    const response = await fetch(this.url, { method: 'POST', headers, body: JSON.stringify(message) });
+    if (!response.ok) {
+      throw new Error(`Email relay responded with ${response.status}`);
+    }
+  }
+}
+
+function createEmailTransport(env = process.env) {
+  const transport = env.EMAIL_TRANSPORT || 'file';
+  switch (transport) {
+    case 'file':
+      return new FileEmailTransport(env.EMAIL_OUTBOX_FILE || DEFAULT_OUTBOX_FILE);
+    case 'memory':
+      return new MemoryEmailTransport();
+    case 'http':
+      if (!env.EMAIL_HTTP_URL) throw new Error('EMAIL_TRANSPORT=http needs EMAIL_HTTP_URL');
+      return new HttpEmailTransport(env.EMAIL_HTTP_URL, env.EMAIL_HTTP_TOKEN);
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${transport}" (expected file, memory or http)`);
+  }
+}
+
+module.exports = { FileEmailTransport, HttpEmailTransport, MemoryEmailTransport, createEmailTransport };
@@ -0,0 +1,134 @@
+// server/flatFilters.js
+const { FLAT_TYPES, OFFER_TYPES } = require('./validation');
+const { matchesAmenities, normalizeAmenities } = require('./amenities');
+const { parseSearchQuery, scoreFlat } = require('./search');
+
+// Query parameter pairs for the numeric range filters, keyed by flat field.
+const RANGE_FILTERS = {
+  price: ['minPrice', 'maxPrice'],
+  bedrooms: ['minBedrooms', 'maxBedrooms'],
+  bathrooms: ['minBathrooms', 'maxBathrooms'],
+  area: ['minArea', 'maxArea']
+};
+
+// Price facet buckets in the base currency (USD): [min, max), the last one is open-ended.
+// Keep in sync with CONFIG.priceBuckets in script.js.
+const PRICE_BUCKET_BOUNDS = [0, 1000, 2000, 5000, 100000, 250000, 500000, 1000000];
+const PRICE_BUCKETS = PRICE_BUCKET_BOUNDS.map((min, index) => {
+  const max = index + 1 < PRICE_BUCKET_BOUNDS.length ? PRICE_BUCKET_BOUNDS[index + 1] : null;
+  return { key: max === null ? `${min}+` : `${min}-${max}`, min, max };
+});
+
+// Numbers from validated queries, or strings from saved searches; blanks and non-numbers are ignored.
+function toNumber(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Reads the listing filters from a GET /api/flats query (as parsed by
+ * server/querySchemas.js) or a saved search's filters. Facet
+ * names used with `except` below are `offerType`, `type`, `amenities`,
+ * `search`, `moveInBy` and the RANGE_FILTERS fields.
+ */
+function parseFlatFilters(query) {
+  const ranges = {};
+  Object.entries(RANGE_FILTERS).forEach(([field, [minParam, maxParam]]) => {
+    const min = toNumber(query[minParam]);
+    const max = toNumber(query[maxParam]);
+    if (min !== undefined || max !== undefined) {
+      ranges[field] = { min, max };
+    }
+  });
+  return {
+    offerType: query.offerType && query.offerType !== 'all' ? query.offerType : null,
+    type: query.flatType && query.flatType !== 'all' ? query.flatType : null,
+    ranges,
+    // amenities=pool,gym (repeated amenities= parameters are accepted too)
+    amenities: normalizeAmenities([].concat(query.amenities || []).join(',').split(',')),
+    amenityMatch: query.amenityMatch === 'all' ? 'all' : 'any',
+    searchTerms: parseSearchQuery(query.q),
+    // moveInBy=YYYY-MM-DD: rentals available on or before that date (flats without availableFrom never match)
+    moveInBy: query.moveInBy || null
+  };
+}
+
+/**
+ * Repository `where` clauses for the filters, sorted by `sortField`. Most
+ * combinations of filters (with each other or with the sort) would need a
+ * Firestore composite index of their own, so the query narrows by one filter
+ * only: search, else amenities (firestore.indexes.json pairs both with every
+ * sort field), else a range on the sort field, else, unsorted, the offer type
+ * or flat type. Callers must re-check every flat with matchesFlatFilters,
+ * which applies the rest in memory.
+ */
+function buildWhereClauses(filters, { except = [], sortField = null } = {}) {
+  if (filters.searchTerms.length > 0 && !except.includes('search')) {
+    return [['searchTokens', 'array-contains-any', filters.searchTerms]];
+  }
+  if (filters.amenities.length > 0 && !except.includes('amenities')) {
+    return [filters.amenityMatch === 'all'
+      ? ['amenityKeys', 'array-contains', filters.amenities[0]]
+      : ['amenityKeys', 'array-contains-any', filters.amenities]];
+  }
+  if (sortField) {
+    const range = except.includes(sortField) ? undefined : filters.ranges[sortField];
+    if (!range) return [];
+    const where = [];
+    if (range.min !== undefined) where.push([sortField, '>=', range.min]);
+    if (range.max !== undefined) where.push([sortField, '<=', range.max]);
+    return where;
+  }
+  if (filters.offerType && !except.includes('offerType')) return [['offerType', '==', filters.offerType]];
+  if (filters.type && !except.includes('type')) return [['type', '==', filters.type]];
+  return [];
+}
+
+// In-memory version of the filters, used to re-check query results and to compute facets.
+function matchesFlatFilters(flat, filters, { except = [] } = {}) {
+  if (filters.offerType && !except.includes('offerType') && flat.offerType !== filters.offerType) return false;
+  if (filters.type && !except.includes('type') && flat.type !== filters.type) return false;
+  for (const [field, { min, max }] of Object.entries(filters.ranges)) {
+    if (except.includes(field)) continue;
+    const value = flat[field];
+    if (typeof value !== 'number') return false;
+    if (min !== undefined && value < min) return false;
+    if (max !== undefined && value > max) return false;
+  }
+  if (filters.moveInBy && !except.includes('moveInBy') && !(typeof flat.availableFrom === 'string' && flat.availableFrom <= filters.moveInBy)) return false;
+  if (!except.includes('amenities') && !matchesAmenities(flat, filters.amenities, filters.amenityMatch)) return false;
+  if (filters.searchTerms.length > 0 && !except.includes('search') && scoreFlat(flat, filters.searchTerms) === 0) return false;
+  return true;
+}
+
+function countBy(flats, keyOf, initialKeys = []) {
+  const counts = Object.fromEntries(initialKeys.map(key => [key, 0]));
+  flats.forEach(flat => {
+    const key = keyOf(flat);
+    if (key === undefined || key === null) return;
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Facet counts for type, offerType, bedrooms and price buckets. Each facet
+ * ignores its own filter, so the counts show what choosing another option
+ * would return (e.g. "2BHK (14)" while 3BHK is selected).
+ */
+function computeFacets(flats, filters) {
+  const matching = except => flats.filter(flat => matchesFlatFilters(flat, filters, { except }));
+  const priceFlats = matching(['price']);
+  return {
+    total: matching([]).length,
+    type: countBy(matching(['type']), flat => flat.type, FLAT_TYPES),
+    offerType: countBy(matching(['offerType']), flat => flat.offerType, OFFER_TYPES),
+    bedrooms: countBy(matching(['bedrooms']), flat => (Number.isInteger(flat.bedrooms) ? flat.bedrooms : null)),
+    price: PRICE_BUCKETS.map(bucket => ({
+      ...bucket,
+      count: priceFlats.filter(flat => typeof flat.price === 'number' && flat.price >= bucket.min && (bucket.max === null || flat.price < bucket.max)).length
+    }))
+  };
+}
+
+module.exports = { PRICE_BUCKETS, RANGE_FILTERS, buildWhereClauses, computeFacets, matchesFlatFilters, parseFlatFilters };
@@ -0,0 +1,80 @@
+// server/geo.js
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+// Precision of the geohash stored on each flat (about 5 m cells).
+const GEOHASH_PRECISION = 9;
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+// Largest radius accepted by GET /api/flats/near
+const MAX_RADIUS_KM = 100;
+
+function encodeGeohash(latitude, longitude, precision = GEOHASH_PRECISION) {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const coordinate = evenBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+    value <<= 1;
+    if (coordinate >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+}
+
+// Cell size in degrees for a geohash length: bits alternate longitude first.
+function cellSize(precision) {
+  const bits = precision * 5;
+  return { lat: 180 / 2 ** Math.floor(bits / 2), lng: 360 / 2 ** Math.ceil(bits / 2) };
+}
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+// Great-circle distance between two points (haversine).
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+const wrapLongitude = lng => ((((lng + 180) % 360) + 360) % 360) - 180;
+
+/**
+ * Geohash prefixes whose cells cover the circle: the longest precision
+ * whose cells are at least as large as the radius, and the 3x3 block of
+ * cells around the centre. Query each prefix as the range [prefix,
+ * prefix + '~'] and re-check distances, since the cells overshoot the circle.
+ */
+function geohashPrefixesFor(latitude, longitude, radiusKm) {
+  const latDelta = radiusKm / KM_PER_DEGREE_LAT;
+  const lngDelta = radiusKm / (KM_PER_DEGREE_LAT * Math.max(Math.cos(toRadians(latitude)), 0.01));
+  let precision = GEOHASH_PRECISION;
+  while (precision > 1 && (cellSize(precision).lat < latDelta || cellSize(precision).lng < lngDelta)) {
+    precision--;
+  }
+  const { lat, lng } = cellSize(precision);
+  const prefixes = new Set();
+  [-1, 0, 1].forEach(dLat => {
+    [-1, 0, 1].forEach(dLng => {
+      const neighbourLat = Math.max(-90, Math.min(90, latitude + dLat * lat));
+      prefixes.add(encodeGeohash(neighbourLat, wrapLongitude(longitude + dLng * lng), precision));
+    });
+  });
+  return [...prefixes];
+}
+
+module.exports = { GEOHASH_PRECISION, MAX_RADIUS_KM, distanceKm, encodeGeohash, geohashPrefixesFor };
@@ -0,0 +1,87 @@
+// server/imageStorage.js
+const fs = require('fs');
+const path = require('path');
+const admin = require('firebase-admin');
+
+/**
+ * Every backend exposes `save(key, buffer, contentType)`, which resolves to
+ * the file's public URL, and `delete(key)`. Pick one with IMAGE_STORAGE:
+ * - `local` (default): files under IMAGE_UPLOAD_DIR (data/uploads), served by this server at /uploads, for development
+ * - `memory`: keeps files in `storage.files`, for tests
+ * - `firebase`: the Cloud Storage bucket FIREBASE_STORAGE_BUCKET (e.g. `my-project.appspot.com`), with public files
+ * Keys look like `flats/<flatId>/<imageId>/<width>.jpg`; files never change once written.
+ */
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, '..', 'data', 'uploads');
+const PUBLIC_PATH = '/uploads';
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+class LocalImageStorage {
+  constructor(directory) {
+    this.directory = directory;
+    this.publicPath = PUBLIC_PATH;
+  }
+
+  async save(key, buffer) {
+    const file = path.join(this.directory, key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer);
+    return `${this.publicPath}/${key}`;
+  }
+
+  async delete(key) {
+    await fs.promises.rm(path.join(this.directory, key), { force: true });
+  }
+}
+
+class MemoryImageStorage {
+  constructor() {
+    this.files = new Map();
+  }
+
+  async save(key, buffer, contentType) {
+    this.files.set(key, { buffer, contentType });
+    return `${PUBLIC_PATH}/${key}`;
+  }
+
+  async delete(key) {
+    this.files.delete(key);
+  }
+}
+
+class FirebaseImageStorage {
+  constructor(bucketName) {
+    this.bucketName = bucketName;
+  }
+
+  get bucket() {
+    return admin.storage().bucket(this.bucketName);
+  }
+
+  async save(key, buffer, contentType) {
+    const file = this.bucket.file(key);
+    await file.save(buffer, { contentType, metadata: { cacheControl: CACHE_CONTROL } });
+    await file.makePublic();
+    return file.publicUrl();
+  }
+
+  async delete(key) {
+    await this.bucket.file(key).delete({ ignoreNotFound: true });
+  }
+}
+
+function createImageStorage(env = process.env) {
+  const backend = env.IMAGE_STORAGE || 'local';
+  switch (backend) {
+    case 'local':
+      return new LocalImageStorage(env.IMAGE_UPLOAD_DIR || DEFAULT_UPLOAD_DIR);
+    case 'memory':
+      return new MemoryImageStorage();
+    case 'firebase':
+      if (!env.FIREBASE_STORAGE_BUCKET) throw new Error('IMAGE_STORAGE=firebase needs FIREBASE_STORAGE_BUCKET');
+      return new FirebaseImageStorage(env.FIREBASE_STORAGE_BUCKET);
+    default:
+      throw new Error(`Unknown IMAGE_STORAGE "${backend}" (expected local, memory or firebase)`);
+  }
+}
+
+module.exports = { CACHE_CONTROL, FirebaseImageStorage, LocalImageStorage, MemoryImageStorage, createImageStorage };
@@ -0,0 +1,122 @@
+// server/images.js
+const Jimp = require('jimp');
+const { issue } = require('./validation');
+
+// Uploads are decoded and re-encoded, so only formats the image library can read are accepted.
+const IMAGE_TYPES = { 'image/jpeg': 'jpg', 'image/png': 'png' };
+// maxPixels caps the decoded size: a small file can declare dimensions that take gigabytes to decode
+const IMAGE_UPLOAD_LIMITS = { maxBytes: 10 * 1024 * 1024, maxFiles: 10, maxPixels: 40 * 1000 * 1000 };
+// Widths of the resized copies; an image is never scaled up, so smaller ones get fewer.
+const IMAGE_VARIANT_WIDTHS = [320, 640, 1280, 1920];
+const PLACEHOLDER_WIDTH = 16;
+const JPEG_QUALITY = 80;
+
+// Thrown for uploads that are not a readable JPEG or PNG, whatever their declared type, or that are
+// too large to decode; `code` is the issue code to report.
+class InvalidImageError extends Error {
+  constructor(fileName, { code = 'invalid_format', message = `${fileName} is not a valid JPEG or PNG image` } = {}) {
+    super(message);
+    this.name = 'InvalidImageError';
+    this.code = code;
+  }
+}
+
+/**
+ * Checks the declared type and size of an uploaded file (as parsed by multer).
+ * @returns {{ code: string, field: string, message: string }[]} issues, empty when the file can be processed
+ */
+function validateImageFile(file) {
+  const errors = [];
+  if (!IMAGE_TYPES[file.mimetype]) {
+    errors.push(issue('invalid_type', 'images', `${file.originalname} must be a JPEG or PNG image`));
+  }
+  if (file.size > IMAGE_UPLOAD_LIMITS.maxBytes) {
+    errors.push(issue('too_large', 'images', `${file.originalname} must be at most ${IMAGE_UPLOAD_LIMITS.maxBytes / (1024 * 1024)} MB`));
+  }
+  return errors;
+}
+
+// JPEG start-of-frame markers, which carry the dimensions (C4, C8 and CC are other segments)
+const isStartOfFrame = marker => marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+
+/**
+ * Reads the pixel dimensions from a PNG or JPEG header without decoding it.
+ * @returns {{ width: number, height: number } | null} null when the header is not recognised
+ */
+function readImageSize(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.toString('ascii', 12, 16) === 'IHDR') {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1; // Fill byte
+    } else if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+      offset += 2; // Markers without a length
+    } else {
+      if (isStartOfFrame(marker)) {
+        return offset + 9 <= buffer.length ? { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) } : null;
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+function encode(image, mime) {
+  if (mime === Jimp.MIME_JPEG) image.quality(JPEG_QUALITY);
+  return image.getBufferAsync(mime);
+}
+
+/**
+ * Resizes an uploaded image into its variants and a tiny blurred placeholder.
+ * Images over IMAGE_UPLOAD_LIMITS.maxPixels are rejected from their header,
+ * before anything is decoded. Reading applies the EXIF orientation, and nothing is copied into the
+ * re-encoded files, so camera metadata such as GPS location is dropped.
+ * @returns {Promise<{ width, height, contentType, extension, variants: { width, height, buffer }[], placeholder: string }>}
+ *   `placeholder` is a data URL
+ */
+async function processImage(buffer, fileName) {
+  const size = readImageSize(buffer);
+  if (!size) {
+    throw new InvalidImageError(fileName);
+  }
+  if (size.width * size.height > IMAGE_UPLOAD_LIMITS.maxPixels) {
+    throw new InvalidImageError(fileName, {
+      code: 'too_large',
+      message: `${fileName} must be at most ${IMAGE_UPLOAD_LIMITS.maxPixels / 1e6} megapixels`
+    });
+  }
+  let image;
+  try {
+    image = await Jimp.read(buffer);
+  } catch (error) {
+    throw new InvalidImageError(fileName);
+  }
+  const contentType = image.getMIME();
+  if (!IMAGE_TYPES[contentType]) {
+    throw new InvalidImageError(fileName);
+  }
+  const { width: originalWidth } = image.bitmap;
+  const largest = Math.min(originalWidth, IMAGE_VARIANT_WIDTHS[IMAGE_VARIANT_WIDTHS.length - 1]);
+  const widths = [...IMAGE_VARIANT_WIDTHS.filter(width => width < largest), largest];
+  const variants = [];
+  for (const width of widths) {
+    const variant = width === originalWidth ? image.clone() : image.clone().resize(width, Jimp.AUTO);
+    variants.push({ width, height: variant.bitmap.height, buffer: await encode(variant, contentType) });
+  }
+  const placeholder = image.clone().resize(PLACEHOLDER_WIDTH, Jimp.AUTO).blur(1);
+  return {
+    width: largest,
+    height: variants[variants.length - 1].height,
+    contentType,
+    extension: IMAGE_TYPES[contentType],
+    variants,
+    placeholder: `data:${contentType};base64,${(await encode(placeholder, contentType)).toString('base64')}`
+  };
+}
+
+module.exports = { IMAGE_TYPES, IMAGE_UPLOAD_LIMITS, IMAGE_VARIANT_WIDTHS, InvalidImageError, processImage, readImageSize, validateImageFile };
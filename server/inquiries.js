@@ -0,0 +1,158 @@
+// server/inquiries.js
+const crypto = require('crypto');
+const { issue } = require('./validation');
+
+const INQUIRY_STATUSES = ['new', 'contacted', 'scheduled', 'closed'];
+
+// Allowed status changes; a closed inquiry can only be reopened as new.
+const INQUIRY_TRANSITIONS = {
+  new: ['contacted', 'scheduled', 'closed'],
+  contacted: ['scheduled', 'closed'],
+  scheduled: ['contacted', 'closed'],
+  closed: ['new']
+};
+
+const MAX_NOTE_LENGTH = 2000;
+
+// Maximum lengths of the contact form fields
+const INQUIRY_FIELD_LIMITS = { name: 100, email: 254, message: 5000, flatId: 100 };
+// Forms submitted faster than this after being opened are treated as automated
+const MIN_FILL_TIME_MS = 3000;
+// The same message from the same address about the same flat within this window is a duplicate
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Submissions per client IP and per email address
+const INQUIRY_RATE_LIMITS = {
+  ip: { max: 5, windowMs: 15 * 60 * 1000 },
+  email: { max: 3, windowMs: 60 * 60 * 1000 }
+};
+// Why a submission was moved to the quarantine collection
+const QUARANTINE_REASONS = ['rate-limited', 'invalid', 'honeypot', 'too-fast', 'duplicate'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Validates a contact form submission. `flatId` is optional; callers check
+ * that it refers to an existing flat.
+ * @returns {{ errors: { code: string, field: string, message: string }[], value: object }}
+ */
+function validateInquiry(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { errors: [issue('invalid_body', 'body', 'Request body must be a JSON object')], value: {} };
+  }
+  const errors = [];
+  ['name', 'email', 'message'].forEach(field => {
+    if (!isNonEmptyString(data[field])) errors.push(issue('required', field, `${field} is required`));
+    else if (data[field].trim().length > INQUIRY_FIELD_LIMITS[field]) errors.push(issue('too_long', field, `${field} must be at most ${INQUIRY_FIELD_LIMITS[field]} characters`));
+  });
+  if (isNonEmptyString(data.email) && !EMAIL_PATTERN.test(data.email.trim())) {
+    errors.push(issue('invalid_format', 'email', 'email must be a valid email address'));
+  }
+  if (data.flatId !== undefined && data.flatId !== null && !isNonEmptyString(data.flatId)) {
+    errors.push(issue('invalid_type', 'flatId', 'flatId must be a non-empty string'));
+  } else if (isNonEmptyString(data.flatId) && data.flatId.length > INQUIRY_FIELD_LIMITS.flatId) {
+    errors.push(issue('too_long', 'flatId', `flatId must be at most ${INQUIRY_FIELD_LIMITS.flatId} characters`));
+  }
+  const value = {
+    name: String(data.name || '').trim(),
+    email: String(data.email || '').trim(),
+    message: String(data.message || '').trim(),
+    flatId: data.flatId || null
+  };
+  return { errors, value };
+}
+
+/**
+ * Validates an admin update: `{ status, assignedTo, note }`, all optional
+ * but at least one required. `assignedTo: null` unassigns. The status
+ * transition itself is checked against the stored inquiry with canTransition.
+ * @returns {{ errors: { code: string, field: string, message: string }[], value: object }}
+ */
+function validateInquiryUpdate(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { errors: [issue('invalid_body', 'body', 'Request body must be a JSON object')], value: {} };
+  }
+  const errors = [];
+  const value = {};
+  if (data.status !== undefined) {
+    if (INQUIRY_STATUSES.includes(data.status)) value.status = data.status;
+    else errors.push(issue('invalid_value', 'status', `status must be one of ${INQUIRY_STATUSES.join(', ')}`));
+  }
+  if (data.assignedTo !== undefined) {
+    if (data.assignedTo === null || isNonEmptyString(data.assignedTo)) value.assignedTo = data.assignedTo;
+    else errors.push(issue('invalid_type', 'assignedTo', 'assignedTo must be a user ID or null'));
+  }
+  if (data.note !== undefined) {
+    if (typeof data.note === 'string' && data.note.length <= MAX_NOTE_LENGTH) value.note = data.note.trim();
+    else errors.push(issue('invalid_type', 'note', `note must be a string of at most ${MAX_NOTE_LENGTH} characters`));
+  }
+  if (errors.length === 0 && Object.keys(value).length === 0) {
+    errors.push(issue('no_changes', 'body', 'No updatable fields provided'));
+  }
+  return { errors, value };
+}
+
+/**
+ * Bot signals sent by the contact and testimonial forms: `website` is a
+ * honeypot field that people never see, and `fillTimeMs` is how long the
+ * form was open before it was submitted. Both forms always send a fill time,
+ * so a missing or non-numeric one fails the check like a fast one.
+ * @returns {{ reason: string, detail: string } | null}
+ */
+function screenInquiry(data) {
+  if (isNonEmptyString(data.website)) {
+    return { reason: 'honeypot', detail: 'The hidden website field was filled in' };
+  }
+  if (typeof data.fillTimeMs !== 'number' || !Number.isFinite(data.fillTimeMs)) {
+    return { reason: 'too-fast', detail: 'The form was submitted without a fill time' };
+  }
+  if (data.fillTimeMs < MIN_FILL_TIME_MS) {
+    return { reason: 'too-fast', detail: `The form was submitted ${data.fillTimeMs} ms after it was opened` };
+  }
+  return null;
+}
+
+// Identifies a message for duplicate detection, ignoring case and whitespace differences.
+function inquiryFingerprint({ email, message, flatId }) {
+  const normalizedMessage = message.toLowerCase().replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(JSON.stringify([email.toLowerCase(), normalizedMessage, flatId || null])).digest('hex');
+}
+
+// What is kept of a quarantined submission: the contact fields, cut to their length limits.
+function quarantineEntry({ reason, details, body, ip, now }) {
+  const submission = {};
+  ['name', 'email', 'message', 'flatId'].forEach(field => {
+    if (body && typeof body[field] === 'string') submission[field] = body[field].slice(0, INQUIRY_FIELD_LIMITS[field]);
+  });
+  return { reason, details, submission, ip, receivedAt: now };
+}
+
+function canTransition(from, to) {
+  return from === to || (INQUIRY_TRANSITIONS[from] || []).includes(to);
+}
+
+// Reads the admin inbox filters (?status=new&flatId=...&assignedTo=<uid>|unassigned) as where clauses.
+function buildInquiryWhereClauses(query) {
+  const where = [];
+  if (query.status) where.push(['status', '==', query.status]);
+  if (query.flatId) where.push(['flatId', '==', query.flatId]);
+  if (query.assignedTo) where.push(['assignedTo', '==', query.assignedTo === 'unassigned' ? null : query.assignedTo]);
+  return where;
+}
+
+module.exports = {
+  DUPLICATE_WINDOW_MS,
+  INQUIRY_FIELD_LIMITS,
+  INQUIRY_RATE_LIMITS,
+  INQUIRY_STATUSES,
+  INQUIRY_TRANSITIONS,
+  MIN_FILL_TIME_MS,
+  QUARANTINE_REASONS,
+  buildInquiryWhereClauses,
+  canTransition,
+  inquiryFingerprint,
+  quarantineEntry,
+  screenInquiry,
+  validateInquiry,
+  validateInquiryUpdate
+};
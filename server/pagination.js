@@ -0,0 +1,101 @@
+// server/pagination.js
+const crypto = require('crypto');
+const { DOCUMENT_ID } = require('./repositories');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+class InvalidCursorError extends Error {
+  constructor() {
+    super('Invalid cursor');
+    this.name = 'InvalidCursorError';
+  }
+}
+
+function parseLimit(value) {
+  const limit = parseInt(value, 10);
+  if (!Number.isInteger(limit) || limit < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(limit, MAX_PAGE_SIZE);
+}
+
+/**
+ * Identifies the query a cursor belongs to, so a cursor cannot be replayed
+ * against different filters or sorting. Paging parameters are ignored.
+ */
+function queryKeyFor(query) {
+  const { cursor, limit, ...rest } = query;
+  const normalized = Object.keys(rest).sort().map(key => [key, rest[key]]);
+  return crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('base64url').slice(0, 12);
+}
+
+// Dates in sort values survive the JSON round trip as { $date: iso }.
+const encodeValue = value => (value instanceof Date ? { $date: value.toISOString() } : value);
+const decodeValue = value => (value && typeof value === 'object' && typeof value.$date === 'string' ? new Date(value.$date) : value);
+
+// Cursors are opaque to clients: base64url JSON tagged with the query they belong to.
+function encodeCursor(position, queryKey) {
+  const encoded = position.after ? { after: position.after.map(encodeValue) } : position;
+  return Buffer.from(JSON.stringify({ ...encoded, k: queryKey })).toString('base64url');
+}
+
+function decodeCursor(cursor, queryKey) {
+  if (!cursor) return null;
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new InvalidCursorError();
+  }
+  if (!position || typeof position !== 'object' || position.k !== queryKey) {
+    throw new InvalidCursorError();
+  }
+  return Array.isArray(position.after) ? { ...position, after: position.after.map(decodeValue) } : position;
+}
+
+/**
+ * Keyset pagination over a repository. The document ID is appended to
+ * `orderBy` as a tie-breaker, so the cursor is the last document's sort
+ * values plus its ID. `filter` re-checks each document in memory; batches
+ * are read until the page is full, so filtered-out documents never
+ * produce short pages (the last page may still come back empty).
+ */
+async function paginate(collection, { where = [], orderBy = [], filter = () => true, limit, cursor, queryKey }) {
+  const position = decodeCursor(cursor, queryKey);
+  const direction = orderBy.length > 0 ? orderBy[orderBy.length - 1][1] || 'asc' : 'asc';
+  const order = [...orderBy, [DOCUMENT_ID, direction]];
+  let after = position ? position.after : undefined;
+  if (after !== undefined && (!Array.isArray(after) || after.length !== order.length)) {
+    throw new InvalidCursorError();
+  }
+  const items = [];
+  let hasMore = false;
+  let exhausted = false;
+  while (!exhausted && !hasMore) {
+    const batch = await collection.find({ where, orderBy: order, limit, startAfter: after });
+    exhausted = batch.length < limit;
+    for (const doc of batch) {
+      if (items.length === limit) {
+        hasMore = true;
+        break;
+      }
+      after = order.map(([field]) => (field === DOCUMENT_ID ? doc.id : doc[field]));
+      if (filter(doc)) items.push(doc);
+    }
+    if (items.length === limit && !exhausted) hasMore = true;
+  }
+  return { items, nextCursor: hasMore ? encodeCursor({ after }, queryKey) : null };
+}
+
+// Offset pagination over an already ordered list (used for relevance-ranked search results).
+function paginateList(list, { limit, cursor, queryKey }) {
+  const position = decodeCursor(cursor, queryKey);
+  const offset = position ? position.offset : 0;
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new InvalidCursorError();
+  }
+  const items = list.slice(offset, offset + limit);
+  const nextOffset = offset + items.length;
+  return { items, nextCursor: nextOffset < list.length ? encodeCursor({ offset: nextOffset }, queryKey) : null };
+}
+
+module.exports = { DEFAULT_PAGE_SIZE, InvalidCursorError, MAX_PAGE_SIZE, paginate, paginateList, parseLimit, queryKeyFor };
@@ -0,0 +1,36 @@
+// server/priceHistory.js
+
+// A flat's price history entry: written when a flat is listed (previousPrice null) and on every price change.
+function priceHistoryEntry({ flatId, price, previousPrice = null, changedAt, changedBy = null }) {
+  return { flatId, price, previousPrice, changedAt, changedBy };
+}
+
+/**
+ * The price-drop fields stored on a flat, from its latest history entry:
+ * when that entry lowered the price, `previousPrice`, `priceReducedAt` and
+ * `priceReductionPercent` (whole percent) describe the reduction. They are
+ * null otherwise (a later increase clears them), so unreduced flats still
+ * appear, last, when sorting by most recently reduced.
+ */
+function priceDropFields(latest) {
+  if (!latest || latest.previousPrice === null || !(latest.price < latest.previousPrice)) {
+    return { previousPrice: null, priceReducedAt: null, priceReductionPercent: null };
+  }
+  return {
+    previousPrice: latest.previousPrice,
+    priceReducedAt: latest.changedAt,
+    priceReductionPercent: Math.round((1 - latest.price / latest.previousPrice) * 100)
+  };
+}
+
+// The latest entry per flat ID, from any list of history entries.
+function latestEntriesByFlat(entries) {
+  const latest = new Map();
+  entries.forEach(entry => {
+    const current = latest.get(entry.flatId);
+    if (!current || entry.changedAt > current.changedAt) latest.set(entry.flatId, entry);
+  });
+  return latest;
+}
+
+module.exports = { latestEntriesByFlat, priceDropFields, priceHistoryEntry };
@@ -0,0 +1,224 @@
+// server/querySchemas.js
+const { FLAT_TYPES, OFFER_TYPES, issue } = require('./validation');
+const { MAX_PAGE_SIZE } = require('./pagination');
+const { MAX_RADIUS_KM } = require('./geo');
+const { INQUIRY_STATUSES, QUARANTINE_REASONS } = require('./inquiries');
+const { REVIEW_STATUSES } = require('./reviews');
+const { TESTIMONIAL_STATUSES } = require('./testimonials');
+
+/**
+ * Query strings are checked against a schema: `{ params, ranges }`, where
+ * `params` maps each accepted parameter to a spec and `ranges` lists
+ * [minParam, maxParam] pairs that must not be inverted. Spec types:
+ * - `number` / `integer`: coerced from the string and checked against `min` / `max`
+ * - `enum`: one of `options` (`{ value, label }`; the labels feed the filter menus)
+ * - `string`: at most `maxLength` characters, matching `pattern` when given
+ * - `list`: comma-separated or repeated values, at most `maxItems` of `maxLength` characters
+ * - `date`: a calendar date, YYYY-MM-DD
+ * Empty values count as missing. Unknown parameters are rejected, so typos
+ * do not silently change results.
+ */
+
+const option = (value, label = value) => ({ value, label });
+
+const OFFER_TYPE_LABELS = { sale: 'For Sale', rent: 'For Rent' };
+const FLAT_TYPE_LABELS = { studio: 'Studio', penthouse: 'Penthouse' };
+
+// Listing sort orders as `<field>-<direction>`; only these fields can be sorted on.
+const FLAT_SORT_OPTIONS = [
+  option('price-desc', 'Price: High to Low'),
+  option('price-asc', 'Price: Low to High'),
+  option('area-desc', 'Area: High to Low'),
+  option('area-asc', 'Area: Low to High'),
+  option('averageRating-desc', 'Rating: High to Low'),
+  option('priceReducedAt-desc', 'Recently Reduced')
+];
+
+const PAGINATION_PARAMS = {
+  limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+  cursor: { type: 'string', maxLength: 2000 }
+};
+
+const FLAT_FILTER_PARAMS = {
+  q: { type: 'string', maxLength: 200 },
+  offerType: { type: 'enum', options: [option('all', 'All'), ...OFFER_TYPES.map(type => option(type, OFFER_TYPE_LABELS[type]))] },
+  flatType: { type: 'enum', options: [option('all', 'All'), ...FLAT_TYPES.map(type => option(type, FLAT_TYPE_LABELS[type]))] },
+  minPrice: { type: 'number', min: 0, max: 1e9 },
+  maxPrice: { type: 'number', min: 0, max: 1e9 },
+  minBedrooms: { type: 'integer', min: 0, max: 10 },
+  maxBedrooms: { type: 'integer', min: 0, max: 10 },
+  minBathrooms: { type: 'integer', min: 0, max: 10 },
+  maxBathrooms: { type: 'integer', min: 0, max: 10 },
+  minArea: { type: 'number', min: 0, max: 1e6 },
+  maxArea: { type: 'number', min: 0, max: 1e6 },
+  amenities: { type: 'list', maxItems: 20, maxLength: 50 },
+  amenityMatch: { type: 'enum', options: [option('any', 'Any selected'), option('all', 'All selected')] },
+  moveInBy: { type: 'date' }
+};
+
+const FLAT_FILTER_RANGES = [['minPrice', 'maxPrice'], ['minBedrooms', 'maxBedrooms'], ['minBathrooms', 'maxBathrooms'], ['minArea', 'maxArea']];
+
+// Document IDs in paths: seeded, generated and slot IDs all fit this.
+const ID_PARAM = { type: 'string', pattern: /^[\w-]{1,128}$/ };
+
+const QUERY_SCHEMAS = {
+  none: { params: {} },
+  flatList: {
+    params: { ...FLAT_FILTER_PARAMS, sortBy: { type: 'enum', options: FLAT_SORT_OPTIONS }, ...PAGINATION_PARAMS },
+    ranges: FLAT_FILTER_RANGES
+  },
+  // Facets ignore sorting but accept sortBy, so the listing's query string can be reused
+  flatFacets: {
+    params: { ...FLAT_FILTER_PARAMS, sortBy: { type: 'enum', options: FLAT_SORT_OPTIONS } },
+    ranges: FLAT_FILTER_RANGES
+  },
+  flatsNear: {
+    params: {
+      lat: { type: 'number', min: -90, max: 90, required: true },
+      lng: { type: 'number', min: -180, max: 180, required: true },
+      radiusKm: { type: 'number', min: 0.01, max: MAX_RADIUS_KM, required: true },
+      ...FLAT_FILTER_PARAMS,
+      ...PAGINATION_PARAMS
+    },
+    ranges: FLAT_FILTER_RANGES
+  },
+  viewingSlots: {
+    params: { from: { type: 'date' }, days: { type: 'integer', min: 1, max: 31 } }
+  },
+  viewingCalendar: {
+    params: { token: { type: 'string', maxLength: 64, required: true } }
+  },
+  viewingFeed: {
+    params: { token: { type: 'string', maxLength: 200 } }
+  },
+  inquiryInbox: {
+    params: {
+      status: { type: 'enum', options: INQUIRY_STATUSES.map(status => option(status)) },
+      flatId: ID_PARAM,
+      assignedTo: { type: 'string', maxLength: 128 },
+      ...PAGINATION_PARAMS
+    }
+  },
+  flatReviews: { params: PAGINATION_PARAMS },
+  reviewQueue: {
+    params: { status: { type: 'enum', options: REVIEW_STATUSES.map(status => option(status)) }, flatId: ID_PARAM, ...PAGINATION_PARAMS }
+  },
+  testimonialList: { params: PAGINATION_PARAMS },
+  testimonialQueue: {
+    params: { status: { type: 'enum', options: TESTIMONIAL_STATUSES.map(status => option(status)) }, ...PAGINATION_PARAMS }
+  },
+  inquiryQuarantine: {
+    params: { reason: { type: 'enum', options: QUARANTINE_REASONS.map(reason => option(reason)) }, ...PAGINATION_PARAMS }
+  }
+};
+
+function parseParam(field, spec, raw) {
+  if (Array.isArray(raw) && spec.type !== 'list') {
+    return { error: issue('repeated_parameter', field, `${field} must be given once`) };
+  }
+  switch (spec.type) {
+    case 'number':
+    case 'integer': {
+      const value = Number(raw);
+      if (!Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+        return { error: issue('invalid_type', field, `${field} must be ${spec.type === 'integer' ? 'an integer' : 'a number'}`) };
+      }
+      if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+        return { error: issue('out_of_range', field, `${field} must be between ${spec.min} and ${spec.max}`) };
+      }
+      return { value };
+    }
+    case 'enum': {
+      const values = spec.options.map(item => item.value);
+      if (!values.includes(raw)) {
+        return { error: issue('invalid_value', field, `${field} must be one of ${values.join(', ')}`) };
+      }
+      return { value: raw };
+    }
+    case 'date': {
+      const date = new Date(`${raw}T00:00:00Z`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(raw) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== raw) {
+        return { error: issue('invalid_format', field, `${field} must be a date (YYYY-MM-DD)`) };
+      }
+      return { value: raw };
+    }
+    case 'list': {
+      const items = [].concat(raw).join(',').split(',').map(item => item.trim()).filter(Boolean);
+      if (items.length > spec.maxItems) {
+        return { error: issue('too_many_items', field, `${field} accepts at most ${spec.maxItems} values`) };
+      }
+      if (items.some(item => item.length > spec.maxLength)) {
+        return { error: issue('too_long', field, `each ${field} value must be at most ${spec.maxLength} characters`) };
+      }
+      return { value: items };
+    }
+    default: {
+      if (spec.maxLength !== undefined && raw.length > spec.maxLength) {
+        return { error: issue('too_long', field, `${field} must be at most ${spec.maxLength} characters`) };
+      }
+      if (spec.pattern && !spec.pattern.test(raw)) {
+        return { error: issue('invalid_format', field, `${field} is not in the expected format`) };
+      }
+      return { value: raw };
+    }
+  }
+}
+
+/**
+ * Checks a parsed query string against a schema.
+ * @returns {{ errors: { code: string, field: string, message: string }[], value: object }}
+ */
+function parseQuery(schema, query) {
+  const errors = [];
+  const value = {};
+  Object.keys(query).forEach(field => {
+    if (!Object.hasOwn(schema.params, field)) errors.push(issue('unknown_parameter', field, `${field} is not a supported parameter`));
+  });
+  Object.entries(schema.params).forEach(([field, spec]) => {
+    const raw = query[field];
+    if (raw === undefined || raw === '') {
+      if (spec.required) errors.push(issue('required', field, `${field} is required`));
+      return;
+    }
+    const result = parseParam(field, spec, raw);
+    if (result.error) errors.push(result.error);
+    else value[field] = result.value;
+  });
+  (schema.ranges || []).forEach(([minField, maxField]) => {
+    if (value[minField] !== undefined && value[maxField] !== undefined && value[minField] > value[maxField]) {
+      errors.push(issue('invalid_range', maxField, `${maxField} must not be less than ${minField}`));
+    }
+  });
+  return { errors, value };
+}
+
+/**
+ * Route middleware: validates req.query against `schema` and any `:id`
+ * path parameter, and stores the parsed query in res.locals.query.
+ * Failures answer 400 with `{ error, details: [{ code, field, message }] }`.
+ */
+function validateQuery(schema) {
+  return (req, res, next) => {
+    const { errors, value } = parseQuery(schema, req.query);
+    if (req.params.id !== undefined) {
+      const result = parseParam('id', ID_PARAM, req.params.id);
+      if (result.error) errors.unshift(result.error);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+    res.locals.query = value;
+    next();
+  };
+}
+
+// JSON form of a schema for clients; patterns are sent as their source.
+function describeSchema(schema) {
+  const params = Object.fromEntries(Object.entries(schema.params).map(([field, { pattern, ...spec }]) => [
+    field,
+    pattern ? { ...spec, pattern: pattern.source } : spec
+  ]));
+  return { params, ranges: schema.ranges || [] };
+}
+
+module.exports = { FLAT_SORT_OPTIONS, QUERY_SCHEMAS, describeSchema, parseQuery, validateQuery };
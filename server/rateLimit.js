@@ -0,0 +1,48 @@
+// server/rateLimit.js
+// Number of keys after which idle ones are dropped, to bound memory.
+const MAX_TRACKED_KEYS = 10000;
+
+/**
+ * Sliding-window rate limiter kept in process memory: at most `max` hits
+ * per key within `windowMs`. Counts are per server instance, so with
+ * several instances the effective limit is multiplied by their number.
+ */
+class RateLimiter {
+  constructor({ max, windowMs }) {
+    this.max = max;
+    this.windowMs = windowMs;
+    this.hits = new Map();
+  }
+
+  /**
+   * Records a hit for `key`. Rejected hits are counted too, so a client
+   * that keeps retrying stays blocked. `count` is the number of hits in the
+   * window including this one; `retryAfterSeconds` is set when rejected.
+   * @returns {{ allowed: boolean, count: number, retryAfterSeconds?: number }}
+   */
+  hit(key, now = Date.now()) {
+    if (this.hits.size >= MAX_TRACKED_KEYS) this.prune(now);
+    const recent = (this.hits.get(key) || []).filter(time => time > now - this.windowMs);
+    recent.push(now);
+    this.hits.set(key, recent.slice(-(this.max + 1)));
+    if (recent.length <= this.max) {
+      return { allowed: true, count: recent.length };
+    }
+    // The next hit is allowed once all but max - 1 of these have left the window.
+    const freedAt = recent[recent.length - this.max] + this.windowMs;
+    return { allowed: false, count: recent.length, retryAfterSeconds: Math.max(1, Math.ceil((freedAt - now) / 1000)) };
+  }
+
+  // Forgets keys with no hits left in the window.
+  prune(now = Date.now()) {
+    this.hits.forEach((times, key) => {
+      if (times[times.length - 1] <= now - this.windowMs) this.hits.delete(key);
+    });
+  }
+
+  reset() {
+    this.hits.clear();
+  }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,80 @@
+// server/rates.js
+const { issue } = require('./validation');
+
+// Flat prices are stored in this currency; every rate table must be able to convert from it.
+const LISTING_CURRENCY = 'USD';
+// Document in the exchangeRates collection that holds the current table.
+const CURRENT_RATES_ID = 'current';
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+const isPositiveNumber = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Parses a `currency,rate` CSV file (header row optional). `base` and
+ * `asOf` may be given as `#base,EUR` / `#asOf,2024-05-01` rows.
+ */
+function parseRatesCsv(text) {
+  const table = { rates: {} };
+  text.split(/\r?\n/).forEach(line => {
+    const [key, value] = line.split(',').map(cell => cell.trim());
+    if (!key || /^currency$/i.test(key)) return;
+    if (key === '#base') table.base = value;
+    else if (key === '#asOf') table.asOf = value;
+    else table.rates[key.toUpperCase()] = value === undefined || value === '' ? NaN : Number(value);
+  });
+  return table;
+}
+
+/**
+ * Validates an imported rate table: `{ base, asOf, rates: { CODE: rate } }`,
+ * where each rate is the amount of that currency per one unit of `base`.
+ * `base` defaults to the listing currency and `asOf` to now.
+ * @returns {{ errors: { code: string, field: string, message: string }[], value: object }}
+ */
+function validateRates(data, { now = new Date() } = {}) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { errors: [issue('invalid_body', 'body', 'Rates must be a JSON object')], value: null };
+  }
+  const base = data.base === undefined ? LISTING_CURRENCY : data.base;
+  if (typeof base !== 'string' || !CURRENCY_CODE.test(base)) {
+    errors.push(issue('invalid_format', 'base', 'base must be a three-letter currency code'));
+  }
+  const asOf = data.asOf === undefined ? now : new Date(data.asOf);
+  if (Number.isNaN(asOf.getTime())) {
+    errors.push(issue('invalid_format', 'asOf', 'asOf must be a date'));
+  }
+  const rates = {};
+  if (!data.rates || typeof data.rates !== 'object' || Array.isArray(data.rates)) {
+    errors.push(issue('invalid_type', 'rates', 'rates must be an object of currency codes to rates'));
+  } else {
+    Object.entries(data.rates).forEach(([code, rate]) => {
+      if (!CURRENCY_CODE.test(code)) {
+        errors.push(issue('invalid_format', `rates.${code}`, `${code} is not a three-letter currency code`));
+      } else if (!isPositiveNumber(rate)) {
+        errors.push(issue('out_of_range', `rates.${code}`, `rate for ${code} must be a positive number`));
+      } else {
+        rates[code] = rate;
+      }
+    });
+    if (errors.length === 0 && rates[base] === undefined) {
+      rates[base] = 1;
+    }
+    if (errors.length === 0 && rates[base] !== 1) {
+      errors.push(issue('invalid_value', `rates.${base}`, `rate for the base currency ${base} must be 1`));
+    }
+    if (errors.length === 0 && rates[LISTING_CURRENCY] === undefined) {
+      errors.push(issue('required', `rates.${LISTING_CURRENCY}`, `rates must include the listing currency ${LISTING_CURRENCY}`));
+    }
+  }
+  return { errors, value: errors.length === 0 ? { base, asOf, rates } : null };
+}
+
+// Reads a rate table from a JSON or CSV file's contents (format picked by `format` or sniffed).
+function parseRatesFile(text, format) {
+  const isJson = format ? format === 'json' : /^\s*\{/.test(text);
+  return isJson ? JSON.parse(text) : parseRatesCsv(text);
+}
+
+module.exports = { CURRENT_RATES_ID, LISTING_CURRENCY, parseRatesCsv, parseRatesFile, validateRates };
@@ -0,0 +1,6 @@
+// server/repositories/constants.js
+
+// Field name that refers to the document ID in where/orderBy clauses (Firestore's own name for it).
+const DOCUMENT_ID = '__name__';
+
+module.exports = { DOCUMENT_ID };
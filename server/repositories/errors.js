@@ -0,0 +1,12 @@
+// server/repositories/errors.js
+
+// Thrown by `create` when a document with that ID already exists.
+class DocumentExistsError extends Error {
+  constructor(id) {
+    super(`Document ${id} already exists`);
+    this.name = 'DocumentExistsError';
+    this.id = id;
+  }
+}
+
+module.exports = { DocumentExistsError };
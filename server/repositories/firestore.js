@@ -0,0 +1,131 @@
+// server/repositories/firestore.js
+const admin = require('firebase-admin');
+const { DocumentExistsError } = require('./errors');
+
+// gRPC status code Firestore reports when create() hits an existing document
+const ALREADY_EXISTS = 6;
+
+// Firestore returns Timestamp objects; convert them so both backends hand out Dates.
+function fromFirestore(value) {
+  if (value instanceof admin.firestore.Timestamp) return value.toDate();
+  if (Array.isArray(value)) return value.map(fromFirestore);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fromFirestore(item)]));
+  }
+  return value;
+}
+
+function toDocument(doc) {
+  return { id: doc.id, ...fromFirestore(doc.data()) };
+}
+
+// Firestore implementation of the collection repository.
+class FirestoreCollection {
+  constructor(collectionRef) {
+    this.ref = collectionRef;
+  }
+
+  async find({ where = [], orderBy = [], limit, startAfter } = {}) {
+    let query = this.ref;
+    where.forEach(([field, op, value]) => {
+      query = query.where(field, op, value);
+    });
+    orderBy.forEach(([field, direction = 'asc']) => {
+      query = query.orderBy(field, direction);
+    });
+    if (startAfter) {
+      query = query.startAfter(...startAfter);
+    }
+    if (limit !== undefined) {
+      query = query.limit(limit);
+    }
+    const snapshot = await query.get();
+    return snapshot.docs.map(toDocument);
+  }
+
+  async get(id) {
+    const doc = await this.ref.doc(id).get();
+    return doc.exists ? toDocument(doc) : null;
+  }
+
+  async add(data) {
+    const docRef = await this.ref.add(data);
+    return { id: docRef.id, ...data };
+  }
+
+  async set(id, data) {
+    await this.ref.doc(id).set(data);
+  }
+
+  async create(id, data) {
+    try {
+      await this.ref.doc(id).create(data);
+    } catch (error) {
+      if (error.code === ALREADY_EXISTS) throw new DocumentExistsError(id);
+      throw error;
+    }
+  }
+
+  async update(id, data) {
+    await this.ref.doc(id).update(data);
+  }
+
+  async delete(id) {
+    await this.ref.doc(id).delete();
+  }
+}
+
+// Firestore WriteBatch behind the repositories' batch() interface.
+class FirestoreBatch {
+  constructor(db) {
+    this.db = db;
+    this.batch = db.batch();
+  }
+
+  add(collection, data) {
+    const docRef = this.db.collection(collection).doc();
+    this.batch.set(docRef, data);
+    return docRef.id;
+  }
+
+  set(collection, id, data) {
+    this.batch.set(this.db.collection(collection).doc(id), data);
+  }
+
+  update(collection, id, data) {
+    this.batch.update(this.db.collection(collection).doc(id), data);
+  }
+
+  delete(collection, id) {
+    this.batch.delete(this.db.collection(collection).doc(id));
+  }
+
+  async commit() {
+    await this.batch.commit();
+  }
+}
+
+// Initializes the Firebase Admin SDK from FIREBASE_SERVICE_ACCOUNT or ./serviceAccountKey.json.
+function initializeFirebase() {
+  if (admin.apps.length > 0) return;
+  const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT
+    ? JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)
+    : require('../../serviceAccountKey.json');
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    databaseURL: 'https://apartment-34739.firebaseio.com'
+  });
+}
+
+function createFirestoreRepositories(collectionNames) {
+  initializeFirebase();
+  const db = admin.firestore();
+  const repositories = {};
+  collectionNames.forEach(name => {
+    repositories[name] = new FirestoreCollection(db.collection(name));
+  });
+  repositories.batch = () => new FirestoreBatch(db);
+  return repositories;
+}
+
+module.exports = { FirestoreBatch, FirestoreCollection, createFirestoreRepositories };
@@ -0,0 +1,56 @@
+// server/repositories/index.js
+const path = require('path');
+const { createFirestoreRepositories } = require('./firestore');
+const { createMemoryRepositories } = require('./memory');
+const { DOCUMENT_ID } = require('./constants');
+const { DocumentExistsError } = require('./errors');
+
+/**
+ * Every backend exposes one repository per collection with the same interface:
+ *
+ *   find({ where: [[field, op, value]], orderBy: [[field, 'asc'|'desc']], limit, startAfter: [values] })
+ *                    -> [{ id, ...data }]
+ *   get(id)          -> { id, ...data } or null
+ *   add(data)        -> { id, ...data }
+ *   set(id, data), update(id, data), delete(id)
+ *   create(id, data) -> like set, but atomically fails with DocumentExistsError if the ID is taken
+ *
+ * Alongside the collections, `batch()` groups writes to any of them so they
+ * are applied together or not at all:
+ *
+ *   add(collection, data) -> new document ID
+ *   set(collection, id, data), update(collection, id, data), delete(collection, id)
+ *   commit()
+ *
+ * `startAfter` holds one value per orderBy field, and the field name
+ * DOCUMENT_ID (`__name__`) stands for the document ID, as in Firestore.
+ * Timestamps are read back as Date objects from every backend.
+ */
+const COLLECTIONS = ['flats', 'flatAudit', 'inquiries', 'testimonials', 'apartmentDetails', 'exchangeRates', 'viewings', 'users', 'notifications', 'inquiryQuarantine', 'reviews', 'priceHistory'];
+
+const SEED_FILE = path.join(__dirname, '..', '..', 'data', 'seed.json');
+// Where the json backend keeps its data; untracked, and created from the seed on first write
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', '..', 'data', 'db.json');
+
+/**
+ * Picks the storage backend from STORAGE_BACKEND:
+ * - `firestore` (default): needs FIREBASE_SERVICE_ACCOUNT or ./serviceAccountKey.json
+ * - `memory`: seeded from DATA_FILE (data/seed.json by default), changes are discarded on exit
+ * - `json`: reads and saves every write to DATA_FILE (data/db.json by default), which
+ *   starts as a copy of data/seed.json when it does not exist yet
+ */
+function createRepositories(env = process.env) {
+  const backend = env.STORAGE_BACKEND || 'firestore';
+  switch (backend) {
+    case 'firestore':
+      return createFirestoreRepositories(COLLECTIONS);
+    case 'memory':
+      return createMemoryRepositories(COLLECTIONS, { seedFile: env.DATA_FILE || SEED_FILE });
+    case 'json':
+      return createMemoryRepositories(COLLECTIONS, { seedFile: SEED_FILE, storeFile: env.DATA_FILE || DEFAULT_DATA_FILE });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected firestore, memory or json)`);
+  }
+}
+
+module.exports = { COLLECTIONS, DOCUMENT_ID, DocumentExistsError, createRepositories };
@@ -0,0 +1,218 @@
+// server/repositories/memory.js
+const fs = require('fs');
+const crypto = require('crypto');
+const { DOCUMENT_ID } = require('./constants');
+const { DocumentExistsError } = require('./errors');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Deep copy that keeps Date instances, so callers never share state with the store.
+function clone(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+function newDocumentId() {
+  return crypto.randomBytes(10).toString('hex');
+}
+
+function reviveDates(key, value) {
+  return typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value;
+}
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function compareValues(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+}
+
+// `__name__` addresses the document ID, as in Firestore.
+function fieldValue(id, data, field) {
+  return field === DOCUMENT_ID ? id : data[field];
+}
+
+// Evaluates a single Firestore-style where clause against a document.
+function matches(id, docData, [field, op, expected]) {
+  const actual = fieldValue(id, docData, field);
+  switch (op) {
+    case '==': return compareValues(actual, expected) === 0;
+    case '!=': return actual !== undefined && compareValues(actual, expected) !== 0;
+    case '<': return actual !== undefined && compareValues(actual, expected) < 0;
+    case '<=': return actual !== undefined && compareValues(actual, expected) <= 0;
+    case '>': return actual !== undefined && compareValues(actual, expected) > 0;
+    case '>=': return actual !== undefined && compareValues(actual, expected) >= 0;
+    case 'in': return expected.some(item => compareValues(actual, item) === 0);
+    case 'not-in': return actual !== undefined && !expected.some(item => compareValues(actual, item) === 0);
+    case 'array-contains': return Array.isArray(actual) && actual.some(item => compareValues(item, expected) === 0);
+    case 'array-contains-any': return Array.isArray(actual) && actual.some(item => expected.some(value => compareValues(item, value) === 0));
+    default: throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+/**
+ * In-memory implementation of the collection repository. When `onChange`
+ * is given it is called after every write, which the JSON-file backend
+ * uses to persist the store.
+ */
+class MemoryCollection {
+  constructor(documents = {}, onChange = () => {}) {
+    this.documents = documents;
+    this.onChange = onChange;
+  }
+
+  async find({ where = [], orderBy = [], limit, startAfter } = {}) {
+    let results = Object.entries(this.documents)
+      .filter(([id, data]) => where.every(clause => matches(id, data, clause)))
+      // Like Firestore, documents missing an orderBy field are excluded.
+      .filter(([id, data]) => orderBy.every(([field]) => fieldValue(id, data, field) !== undefined));
+    // Compares a document with an orderBy tuple, honouring each field's direction.
+    const compareToTuple = (id, data, tuple) => {
+      for (let i = 0; i < tuple.length && i < orderBy.length; i++) {
+        const [field, direction = 'asc'] = orderBy[i];
+        const result = compareValues(fieldValue(id, data, field), tuple[i]);
+        if (result !== 0) return direction === 'desc' ? -result : result;
+      }
+      return 0;
+    };
+    results.sort(([idA, a], [idB, b]) => {
+      const result = compareToTuple(idA, a, orderBy.map(([field]) => fieldValue(idB, b, field)));
+      return result !== 0 ? result : compareValues(idA, idB);
+    });
+    if (startAfter) {
+      results = results.filter(([id, data]) => compareToTuple(id, data, startAfter) > 0);
+    }
+    if (limit !== undefined) {
+      results = results.slice(0, limit);
+    }
+    return results.map(([id, data]) => ({ id, ...clone(data) }));
+  }
+
+  async get(id) {
+    const data = this.documents[id];
+    return data ? { id, ...clone(data) } : null;
+  }
+
+  async add(data) {
+    const id = newDocumentId();
+    await this.set(id, data);
+    return { id, ...clone(data) };
+  }
+
+  async set(id, data) {
+    this.documents[id] = clone(data);
+    this.onChange();
+  }
+
+  async create(id, data) {
+    if (this.documents[id]) {
+      throw new DocumentExistsError(id);
+    }
+    await this.set(id, data);
+  }
+
+  async update(id, data) {
+    if (!this.documents[id]) {
+      throw new Error(`Document ${id} does not exist`);
+    }
+    this.documents[id] = { ...this.documents[id], ...clone(data) };
+    this.onChange();
+  }
+
+  async delete(id) {
+    delete this.documents[id];
+    this.onChange();
+  }
+}
+
+/**
+ * Writes across collections that are applied together on commit(), like a
+ * Firestore WriteBatch: when an update targets a missing document, nothing
+ * is written.
+ */
+class MemoryBatch {
+  constructor(data, onChange) {
+    this.data = data;
+    this.onChange = onChange;
+    this.writes = [];
+  }
+
+  queue(type, collection, id, data) {
+    if (!this.data[collection]) {
+      throw new Error(`Unknown collection: ${collection}`);
+    }
+    this.writes.push({ type, collection, id, data: clone(data) });
+  }
+
+  add(collection, data) {
+    const id = newDocumentId();
+    this.queue('set', collection, id, data);
+    return id;
+  }
+
+  set(collection, id, data) {
+    this.queue('set', collection, id, data);
+  }
+
+  update(collection, id, data) {
+    this.queue('update', collection, id, data);
+  }
+
+  delete(collection, id) {
+    this.queue('delete', collection, id);
+  }
+
+  async commit() {
+    // Every write is worked out before any is applied, so a failing update leaves the store untouched
+    const staged = new Map();
+    this.writes.forEach(({ type, collection, id, data }) => {
+      const key = JSON.stringify([collection, id]);
+      const current = staged.has(key) ? staged.get(key).data : this.data[collection][id];
+      if (type === 'update' && !current) {
+        throw new Error(`Document ${id} does not exist`);
+      }
+      const next = type === 'set' ? data : type === 'update' ? { ...current, ...data } : undefined;
+      staged.set(key, { collection, id, data: next });
+    });
+    staged.forEach(({ collection, id, data }) => {
+      if (data === undefined) delete this.data[collection][id];
+      else this.data[collection][id] = data;
+    });
+    this.writes = [];
+    this.onChange();
+  }
+}
+
+/**
+ * Creates in-memory collections seeded from `seedFile`. With `storeFile` set,
+ * the store is loaded from that file when it exists (from `seedFile` until
+ * then) and every write is saved to it, turning it into a JSON-file store.
+ * The seed file itself is never written.
+ */
+function createMemoryRepositories(collectionNames, { seedFile, storeFile } = {}) {
+  let data = {};
+  const source = storeFile && fs.existsSync(storeFile) ? storeFile : seedFile;
+  if (source && fs.existsSync(source)) {
+    data = JSON.parse(fs.readFileSync(source, 'utf8'), reviveDates);
+  }
+  const save = storeFile
+    ? () => fs.writeFileSync(storeFile, JSON.stringify(data, null, 2))
+    : () => {};
+  const repositories = {};
+  collectionNames.forEach(name => {
+    data[name] = data[name] || {};
+    repositories[name] = new MemoryCollection(data[name], save);
+  });
+  repositories.batch = () => new MemoryBatch(data, save);
+  return repositories;
+}
+
+module.exports = { MemoryBatch, MemoryCollection, createMemoryRepositories };
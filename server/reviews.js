@@ -0,0 +1,96 @@
+// server/reviews.js
+// New and edited reviews wait for a moderator; only approved ones are public and count towards a flat's rating.
+const { issue } = require('./validation');
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+const MAX_REVIEW_LENGTH = 2000;
+const MAX_AUTHOR_NAME_LENGTH = 100;
+const MAX_MODERATION_NOTE_LENGTH = 500;
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+const isPlainObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+// One review per user per flat: the document ID is derived from both.
+function reviewIdFor(flatId, uid) {
+  return `${flatId}_${uid}`;
+}
+
+/**
+ * Validates a review submission: `{ rating, text, authorName }`, where
+ * rating is a whole number of stars from 1 to 5 and authorName is optional.
+ * @returns {{ errors: { code: string, field: string, message: string }[], value: object }}
+ */
+function validateReview(data) {
+  if (!isPlainObject(data)) {
+    return { errors: [issue('invalid_body', 'body', 'Request body must be a JSON object')], value: {} };
+  }
+  const errors = [];
+  if (!Number.isInteger(data.rating) || data.rating < 1 || data.rating > 5) {
+    errors.push(issue('out_of_range', 'rating', 'rating must be a whole number from 1 to 5'));
+  }
+  if (!isNonEmptyString(data.text)) {
+    errors.push(issue('required', 'text', 'text is required'));
+  } else if (data.text.trim().length > MAX_REVIEW_LENGTH) {
+    errors.push(issue('too_long', 'text', `text must be at most ${MAX_REVIEW_LENGTH} characters`));
+  }
+  if (data.authorName !== undefined && data.authorName !== null && typeof data.authorName !== 'string') {
+    errors.push(issue('invalid_type', 'authorName', 'authorName must be a string'));
+  } else if (typeof data.authorName === 'string' && data.authorName.trim().length > MAX_AUTHOR_NAME_LENGTH) {
+    errors.push(issue('too_long', 'authorName', `authorName must be at most ${MAX_AUTHOR_NAME_LENGTH} characters`));
+  }
+  const value = {
+    rating: data.rating,
+    text: String(data.text || '').trim(),
+    authorName: typeof data.authorName === 'string' && data.authorName.trim() ? data.authorName.trim() : null
+  };
+  return { errors, value };
+}
+
+/**
+ * Validates a moderation decision: `{ status: 'approved' | 'rejected', note }`.
+ * @returns {{ errors: { code: string, field: string, message: string }[], value: object }}
+ */
+function validateModeration(data) {
+  if (!isPlainObject(data)) {
+    return { errors: [issue('invalid_body', 'body', 'Request body must be a JSON object')], value: {} };
+  }
+  const errors = [];
+  if (!['approved', 'rejected'].includes(data.status)) {
+    errors.push(issue('invalid_value', 'status', 'status must be approved or rejected'));
+  }
+  if (data.note !== undefined && data.note !== null && typeof data.note !== 'string') {
+    errors.push(issue('invalid_type', 'note', 'note must be a string'));
+  } else if (typeof data.note === 'string' && data.note.length > MAX_MODERATION_NOTE_LENGTH) {
+    errors.push(issue('too_long', 'note', `note must be at most ${MAX_MODERATION_NOTE_LENGTH} characters`));
+  }
+  return { errors, value: { status: data.status, note: isNonEmptyString(data.note) ? data.note.trim() : null } };
+}
+
+/**
+ * The rating fields stored on a flat, from its approved reviews:
+ * `averageRating` (rounded to one decimal, null without reviews) and
+ * `reviewCount`. Flats without reviews keep a null average so they still
+ * appear, last, when sorting by rating.
+ */
+function ratingSummary(reviews) {
+  const approved = reviews.filter(review => review.status === 'approved');
+  if (approved.length === 0) return { averageRating: null, reviewCount: 0 };
+  const total = approved.reduce((sum, review) => sum + review.rating, 0);
+  return { averageRating: Math.round((total / approved.length) * 10) / 10, reviewCount: approved.length };
+}
+
+// The public form of a review: no author uid or moderation details.
+function toPublicReview({ id, flatId, rating, text, authorName, createdAt, updatedAt }) {
+  return { id, flatId, rating, text, authorName: authorName || 'Anonymous', createdAt, updatedAt };
+}
+
+module.exports = {
+  MAX_REVIEW_LENGTH,
+  REVIEW_STATUSES,
+  ratingSummary,
+  reviewIdFor,
+  toPublicReview,
+  validateModeration,
+  validateReview
+};
@@ -0,0 +1,52 @@
+// server/savedSearches.js
+const { matchesFlatFilters, parseFlatFilters } = require('./flatFilters');
+
+/**
+ * Saved searches live on `users/{uid}` as `savedSearches: [{ id, name, filters, createdAt }]`,
+ * where `filters` is the page's currentFilters object, next to `hasSavedSearches: true` so
+ * the users to check can be queried. Maps those keys to
+ * the GET /api/flats query parameters understood by parseFlatFilters.
+ */
+function savedSearchFilters(filters = {}) {
+  const { searchTerm, amenities, showFavorites, sortBy, ...params } = filters;
+  return parseFlatFilters({
+    ...params,
+    q: searchTerm,
+    amenities: Array.isArray(amenities) ? amenities.join(',') : amenities
+  });
+}
+
+/**
+ * Saved searches that `flat` matches now but did not match as `previous`
+ * (null for a new listing), so each search is notified once per flat
+ * rather than on every edit.
+ * @returns {{ uid: string, search: object }[]}
+ */
+function findNewMatches(users, flat, previous = null) {
+  const matches = [];
+  users.forEach(user => {
+    (user.savedSearches || []).forEach(search => {
+      const filters = savedSearchFilters(search.filters);
+      if (matchesFlatFilters(flat, filters) && !(previous && matchesFlatFilters(previous, filters))) {
+        matches.push({ uid: user.id, search });
+      }
+    });
+  });
+  return matches;
+}
+
+// Email for one saved-search match; `flatUrl` links to the apartment's page.
+function matchEmail({ email, search, flat, reason, flatUrl }) {
+  const what = reason === 'price-change' ? 'now matches after a price change' : 'is a new listing that matches';
+  return {
+    to: email,
+    subject: `New match for your saved search "${search.name}"`,
+    text: [
+      `A ${flat.type} in ${flat.location} (${flat.offerType === 'rent' ? 'for rent' : 'for sale'}, ${flat.price} USD) ${what} your saved search "${search.name}".`,
+      '',
+      `View it: ${flatUrl}`
+    ].join('\n')
+  };
+}
+
+module.exports = { findNewMatches, matchEmail, savedSearchFilters };
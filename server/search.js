@@ -0,0 +1,94 @@
+// server/search.js
+const { parseAmenities } = require('./amenities');
+
+// Keep in sync with the search helpers in script.js, which query the same index.
+const MIN_PREFIX_LENGTH = 2;
+const MAX_PREFIX_LENGTH = 20;
+// Firestore allows at most 30 values in array-contains-any.
+const MAX_QUERY_TERMS = 10;
+
+// Relative weight of a match in each searchable field.
+const FIELD_WEIGHTS = {
+  type: 3,
+  location: 3,
+  amenities: 2,
+  description: 1
+};
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function searchableFields(flat) {
+  return {
+    type: tokenize(flat.type),
+    location: tokenize(flat.location),
+    amenities: tokenize(parseAmenities(flat.amenities).join(' ')),
+    description: tokenize(flat.description)
+  };
+}
+
+/**
+ * Builds the `searchTokens` index stored on each flat: every prefix
+ * (MIN_PREFIX_LENGTH to MAX_PREFIX_LENGTH characters) of every word in the
+ * searchable fields, so a prefix query is a single array-contains-any lookup.
+ */
+function buildSearchTokens(flat) {
+  const tokens = new Set();
+  Object.values(searchableFields(flat)).flat().forEach(word => {
+    const maxLength = Math.min(word.length, MAX_PREFIX_LENGTH);
+    for (let length = MIN_PREFIX_LENGTH; length <= maxLength; length++) {
+      tokens.add(word.slice(0, length));
+    }
+    if (word.length < MIN_PREFIX_LENGTH) {
+      tokens.add(word);
+    }
+  });
+  return [...tokens];
+}
+
+// Turns a user query into the lookup terms stored in `searchTokens`.
+function parseSearchQuery(q) {
+  return [...new Set(tokenize(q).map(term => term.slice(0, MAX_PREFIX_LENGTH)))].slice(0, MAX_QUERY_TERMS);
+}
+
+/**
+ * Scores a flat against the query terms. Every term must prefix-match a word
+ * in some field, otherwise the score is 0. Whole-word matches count double.
+ */
+function scoreFlat(flat, terms) {
+  const fields = searchableFields(flat);
+  let score = 0;
+  for (const term of terms) {
+    let termScore = 0;
+    Object.entries(fields).forEach(([field, words]) => {
+      words.forEach(word => {
+        if (word === term) {
+          termScore += FIELD_WEIGHTS[field] * 2;
+        } else if (word.startsWith(term)) {
+          termScore += FIELD_WEIGHTS[field];
+        }
+      });
+    });
+    if (termScore === 0) return 0;
+    score += termScore;
+  }
+  return score;
+}
+
+/**
+ * Filters flats to those matching every term and orders them by relevance.
+ * The sort is stable, so flats with equal scores keep their incoming order.
+ */
+function rankFlats(flats, terms) {
+  return flats
+    .map(flat => ({ flat, score: scoreFlat(flat, terms) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ flat, score }) => ({ ...flat, relevance: score }));
+}
+
+module.exports = { buildSearchTokens, parseSearchQuery, rankFlats, scoreFlat, tokenize };
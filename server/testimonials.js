@@ -0,0 +1,81 @@
+// server/testimonials.js
+// Submitted testimonials start as pending; only approved ones are shown, featured ones first.
+const { issue } = require('./validation');
+
+const TESTIMONIAL_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Maximum lengths of the "Share your experience" form fields
+const TESTIMONIAL_FIELD_LIMITS = { author: 100, quote: 1000 };
+// Submissions per client IP
+const TESTIMONIAL_RATE_LIMIT = { max: 3, windowMs: 60 * 60 * 1000 };
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+const isPlainObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validates a testimonial submission: `{ author, quote }`.
+ * @returns {{ errors: { code: string, field: string, message: string }[], value: object }}
+ */
+function validateTestimonial(data) {
+  if (!isPlainObject(data)) {
+    return { errors: [issue('invalid_body', 'body', 'Request body must be a JSON object')], value: {} };
+  }
+  const errors = [];
+  Object.entries(TESTIMONIAL_FIELD_LIMITS).forEach(([field, maxLength]) => {
+    if (!isNonEmptyString(data[field])) errors.push(issue('required', field, `${field} is required`));
+    else if (data[field].trim().length > maxLength) errors.push(issue('too_long', field, `${field} must be at most ${maxLength} characters`));
+  });
+  return { errors, value: { author: String(data.author || '').trim(), quote: String(data.quote || '').trim() } };
+}
+
+/**
+ * Validates a moderation update: `{ status, featured }`, both optional but
+ * at least one required. Only approved testimonials can be featured, and
+ * rejecting one unfeatures it; `current` is the stored testimonial.
+ * @returns {{ errors: { code: string, field: string, message: string }[], value: object }}
+ */
+function validateTestimonialUpdate(data, current) {
+  if (!isPlainObject(data)) {
+    return { errors: [issue('invalid_body', 'body', 'Request body must be a JSON object')], value: {} };
+  }
+  const errors = [];
+  const value = {};
+  if (data.status !== undefined) {
+    if (TESTIMONIAL_STATUSES.includes(data.status)) value.status = data.status;
+    else errors.push(issue('invalid_value', 'status', `status must be one of ${TESTIMONIAL_STATUSES.join(', ')}`));
+  }
+  if (data.featured !== undefined) {
+    if (typeof data.featured === 'boolean') value.featured = data.featured;
+    else errors.push(issue('invalid_type', 'featured', 'featured must be a boolean'));
+  }
+  if (errors.length === 0 && Object.keys(value).length === 0) {
+    errors.push(issue('no_changes', 'body', 'No updatable fields provided'));
+  }
+  const status = value.status || current.status;
+  if (value.featured === true && status !== 'approved') {
+    errors.push(issue('invalid_value', 'featured', 'Only approved testimonials can be featured'));
+  }
+  if (status !== 'approved') value.featured = false;
+  return { errors, value };
+}
+
+// Testimonials added by hand before moderation existed: treated as approved, unfeatured.
+function legacyTestimonialFields(testimonial, now) {
+  if (TESTIMONIAL_STATUSES.includes(testimonial.status)) return null;
+  return { status: 'approved', featured: false, createdAt: testimonial.createdAt || now };
+}
+
+// The public form of a testimonial: no moderation details or submitter IP.
+function toPublicTestimonial({ id, author, quote, featured, createdAt }) {
+  return { id, author, quote, featured: Boolean(featured), createdAt };
+}
+
+module.exports = {
+  TESTIMONIAL_FIELD_LIMITS,
+  TESTIMONIAL_RATE_LIMIT,
+  TESTIMONIAL_STATUSES,
+  legacyTestimonialFields,
+  toPublicTestimonial,
+  validateTestimonial,
+  validateTestimonialUpdate
+};
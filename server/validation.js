@@ -0,0 +1,109 @@
+// server/validation.js
+const FLAT_TYPES = ['studio', '1BHK', '2BHK', '3BHK', 'penthouse'];
+const OFFER_TYPES = ['sale', 'rent'];
+const UTILITIES = ['water', 'electricity', 'gas', 'heating', 'internet', 'trash'];
+// Lease terms, which only rentals can carry
+const RENTAL_FIELDS = ['availableFrom', 'minLeaseMonths', 'maxLeaseMonths', 'deposit', 'utilitiesIncluded'];
+
+// One validation problem, as reported in the `details` of a 400 for query strings and bodies alike
+const issue = (code, field, message) => ({ code, field, message });
+
+const isNonNegativeNumber = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isNonNegativeInteger = value => Number.isInteger(value) && value >= 0;
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+// Image URLs are absolute, or paths of images uploaded to the local image storage
+const isUrlArray = value => isStringArray(value) && value.every(item => /^(https?:\/\/|\/uploads\/)\S+$/.test(item));
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+// Calendar dates are stored as YYYY-MM-DD strings, which sort and compare chronologically
+const isDateString = value => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// Field rules for the flat fields that createFlatCard and showFlatDetailModal render;
+// `code` is the issue code reported when `check` fails.
+const FLAT_FIELDS = {
+  price: { check: isNonNegativeNumber, code: 'invalid_type', message: 'price must be a non-negative number' },
+  type: { check: value => FLAT_TYPES.includes(value), code: 'invalid_value', message: `type must be one of ${FLAT_TYPES.join(', ')}` },
+  offerType: { check: value => OFFER_TYPES.includes(value), code: 'invalid_value', message: `offerType must be one of ${OFFER_TYPES.join(', ')}` },
+  bedrooms: { check: isNonNegativeInteger, code: 'invalid_type', message: 'bedrooms must be a non-negative integer' },
+  bathrooms: { check: isNonNegativeInteger, code: 'invalid_type', message: 'bathrooms must be a non-negative integer' },
+  area: { check: isNonNegativeNumber, code: 'invalid_type', message: 'area must be a non-negative number' },
+  location: { check: isNonEmptyString, code: 'invalid_type', message: 'location must be a non-empty string' },
+  amenities: { check: isStringArray, code: 'invalid_type', message: 'amenities must be an array of strings' },
+  imageUrls: { check: isUrlArray, code: 'invalid_format', message: 'imageUrls must be an array of http(s) URLs or /uploads/ paths' },
+  description: { check: value => typeof value === 'string', code: 'invalid_type', message: 'description must be a string', optional: true },
+  latitude: { check: value => typeof value === 'number' && value >= -90 && value <= 90, code: 'out_of_range', message: 'latitude must be a number between -90 and 90', optional: true },
+  longitude: { check: value => typeof value === 'number' && value >= -180 && value <= 180, code: 'out_of_range', message: 'longitude must be a number between -180 and 180', optional: true },
+  // Rentals only; null clears a value
+  availableFrom: { check: isDateString, code: 'invalid_format', message: 'availableFrom must be a date (YYYY-MM-DD)', optional: true, nullable: true },
+  minLeaseMonths: { check: isPositiveInteger, code: 'invalid_type', message: 'minLeaseMonths must be a positive integer', optional: true, nullable: true },
+  maxLeaseMonths: { check: isPositiveInteger, code: 'invalid_type', message: 'maxLeaseMonths must be a positive integer', optional: true, nullable: true },
+  deposit: { check: isNonNegativeNumber, code: 'invalid_type', message: 'deposit must be a non-negative number', optional: true, nullable: true },
+  utilitiesIncluded: {
+    check: value => isStringArray(value) && value.every(item => UTILITIES.includes(item)),
+    code: 'invalid_value',
+    message: `utilitiesIncluded must be an array of: ${UTILITIES.join(', ')}`,
+    optional: true,
+    nullable: true
+  }
+};
+
+/**
+ * Validates a flat payload. With `partial` set (PATCH), only the fields
+ * present are checked. Unknown fields are dropped from the returned value.
+ * @returns {{ errors: { code: string, field: string, message: string }[], value: object }}
+ */
+function validateFlat(data, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { errors: [issue('invalid_body', 'body', 'Request body must be a JSON object')], value };
+  }
+  Object.entries(FLAT_FIELDS).forEach(([field, rule]) => {
+    if (data[field] === undefined) {
+      if (!partial && !rule.optional) {
+        errors.push(issue('required', field, `${field} is required`));
+      }
+      return;
+    }
+    if (data[field] === null && rule.nullable) {
+      value[field] = null;
+      return;
+    }
+    if (!rule.check(data[field])) {
+      errors.push(issue(rule.code, field, rule.message));
+      return;
+    }
+    value[field] = data[field];
+  });
+  if ((data.latitude === undefined) !== (data.longitude === undefined)) {
+    errors.push(issue('required', data.latitude === undefined ? 'latitude' : 'longitude', 'latitude and longitude must be given together'));
+  }
+  if (partial && errors.length === 0 && Object.keys(value).length === 0) {
+    errors.push(issue('no_changes', 'body', 'No updatable fields provided'));
+  }
+  return { errors, value };
+}
+
+/**
+ * Checks the lease terms of a whole flat (for PATCH, the stored flat with
+ * the changes applied): only rentals may have them, and the minimum lease
+ * must not exceed the maximum.
+ * @returns {{ code: string, field: string, message: string }[]} errors
+ */
+function validateRentalTerms(flat) {
+  const errors = [];
+  const present = RENTAL_FIELDS.filter(field => flat[field] !== undefined && flat[field] !== null);
+  if (flat.offerType !== 'rent' && present.length > 0) {
+    errors.push(issue('not_applicable', present[0], `${present.join(', ')} only apply to rentals`));
+  }
+  if (isPositiveInteger(flat.minLeaseMonths) && isPositiveInteger(flat.maxLeaseMonths) && flat.minLeaseMonths > flat.maxLeaseMonths) {
+    errors.push(issue('invalid_range', 'maxLeaseMonths', 'minLeaseMonths must not exceed maxLeaseMonths'));
+  }
+  return errors;
+}
+
+module.exports = { FLAT_TYPES, OFFER_TYPES, RENTAL_FIELDS, UTILITIES, issue, validateFlat, validateRentalTerms };
@@ -0,0 +1,214 @@
+// server/viewings.js
+const { issue } = require('./validation');
+
+/**
+ * Agent hours for viewings. `hours` maps a weekday (0 = Sunday) to the
+ * opening and closing time, as wall-clock times in `timeZone`; days that
+ * are missing have no viewings. Slots start every `slotMinutes` and must
+ * fit before closing time.
+ */
+const DEFAULT_VIEWING_SCHEDULE = {
+  timeZone: 'UTC',
+  slotMinutes: 30,
+  minNoticeMinutes: 60,
+  horizonDays: 14,
+  hours: {
+    1: ['09:00', '18:00'],
+    2: ['09:00', '18:00'],
+    3: ['09:00', '18:00'],
+    4: ['09:00', '18:00'],
+    5: ['09:00', '18:00'],
+    6: ['10:00', '14:00']
+  }
+};
+
+// Maximum lengths of the booking form fields
+const VIEWING_FIELD_LIMITS = { name: 100, email: 254, phone: 30 };
+// Bookings per client IP and per email address; each takes a slot from every flat, so they are scarce
+const VIEWING_RATE_LIMITS = {
+  ip: { max: 5, windowMs: 60 * 60 * 1000 },
+  email: { max: 3, windowMs: 24 * 60 * 60 * 1000 }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Reads overrides from VIEWING_TIME_ZONE, VIEWING_SLOT_MINUTES and VIEWING_HOURS (JSON, same shape as `hours`).
+function loadViewingSchedule(env = process.env) {
+  return {
+    ...DEFAULT_VIEWING_SCHEDULE,
+    timeZone: env.VIEWING_TIME_ZONE || DEFAULT_VIEWING_SCHEDULE.timeZone,
+    slotMinutes: env.VIEWING_SLOT_MINUTES ? parseInt(env.VIEWING_SLOT_MINUTES, 10) : DEFAULT_VIEWING_SCHEDULE.slotMinutes,
+    hours: env.VIEWING_HOURS ? JSON.parse(env.VIEWING_HOURS) : DEFAULT_VIEWING_SCHEDULE.hours
+  };
+}
+
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Wall-clock date and time of `date` in `timeZone`.
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const value = type => Number(parts.find(part => part.type === type).value);
+  return { year: value('year'), month: value('month') - 1, day: value('day'), hour: value('hour'), minute: value('minute'), second: value('second') };
+}
+
+// Minutes `timeZone` is ahead of UTC at `date`.
+function timeZoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  const wallClock = Date.UTC(year, month, day, hour, minute, second);
+  return (wallClock - Math.floor(date.getTime() / 1000) * 1000) / MINUTE;
+}
+
+// The instant when the wall clock in `timeZone` shows `minutes` past midnight on the given date.
+function zonedTime(year, month, day, minutes, timeZone) {
+  const wallClock = Date.UTC(year, month, day, 0, minutes);
+  const guess = wallClock - timeZoneOffset(new Date(wallClock), timeZone) * MINUTE;
+  return new Date(wallClock - timeZoneOffset(new Date(guess), timeZone) * MINUTE);
+}
+
+// Every slot on one local date, ignoring notice and horizon.
+function slotsOnDate(schedule, year, month, day) {
+  const weekday = new Date(Date.UTC(year, month, day)).getUTCDay();
+  const hours = schedule.hours[weekday];
+  if (!hours) return [];
+  const [open, close] = hours.map(toMinutes);
+  const slots = [];
+  for (let minutes = open; minutes + schedule.slotMinutes <= close; minutes += schedule.slotMinutes) {
+    const start = zonedTime(year, month, day, minutes, schedule.timeZone);
+    slots.push({ start, end: new Date(start.getTime() + schedule.slotMinutes * MINUTE) });
+  }
+  return slots;
+}
+
+function isBookableTime(schedule, start, now) {
+  return start.getTime() >= now.getTime() + schedule.minNoticeMinutes * MINUTE
+    && start.getTime() <= now.getTime() + schedule.horizonDays * DAY;
+}
+
+/**
+ * Viewing slots for `days` local dates starting at `from` (YYYY-MM-DD,
+ * default today in the schedule's time zone), limited to the booking
+ * window: at least minNoticeMinutes ahead and within horizonDays.
+ */
+function listSlots(schedule, { from, days = 7, now = new Date() } = {}) {
+  const start = from
+    ? { year: Number(from.slice(0, 4)), month: Number(from.slice(5, 7)) - 1, day: Number(from.slice(8, 10)) }
+    : zonedParts(now, schedule.timeZone);
+  const slots = [];
+  for (let offset = 0; offset < days; offset++) {
+    const date = new Date(Date.UTC(start.year, start.month, start.day + offset));
+    slots.push(...slotsOnDate(schedule, date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+  return slots.filter(slot => isBookableTime(schedule, slot.start, now));
+}
+
+// The slot starting exactly at `start`, or null when that is outside agent hours or the booking window.
+function findSlot(schedule, start, now = new Date()) {
+  if (!isBookableTime(schedule, start, now)) return null;
+  const { year, month, day } = zonedParts(start, schedule.timeZone);
+  return slotsOnDate(schedule, year, month, day).find(slot => slot.start.getTime() === start.getTime()) || null;
+}
+
+/**
+ * Validates a booking request: `{ start, name, email, phone }`, where
+ * `start` is the ISO timestamp of a slot from listSlots.
+ * @returns {{ errors: { code: string, field: string, message: string }[], value: object }}
+ */
+function validateViewingRequest(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { errors: [issue('invalid_body', 'body', 'Request body must be a JSON object')], value: {} };
+  }
+  const errors = [];
+  const start = typeof data.start === 'string' ? new Date(data.start) : null;
+  if (!start || Number.isNaN(start.getTime())) errors.push(issue('invalid_format', 'start', 'start must be an ISO date-time'));
+  if (!isNonEmptyString(data.name)) errors.push(issue('required', 'name', 'name is required'));
+  else if (data.name.trim().length > VIEWING_FIELD_LIMITS.name) errors.push(issue('too_long', 'name', `name must be at most ${VIEWING_FIELD_LIMITS.name} characters`));
+  if (typeof data.email !== 'string' || !EMAIL_PATTERN.test(data.email.trim())) errors.push(issue('invalid_format', 'email', 'email must be a valid email address'));
+  else if (data.email.trim().length > VIEWING_FIELD_LIMITS.email) errors.push(issue('too_long', 'email', `email must be at most ${VIEWING_FIELD_LIMITS.email} characters`));
+  if (data.phone !== undefined && data.phone !== null && typeof data.phone !== 'string') errors.push(issue('invalid_type', 'phone', 'phone must be a string'));
+  else if (typeof data.phone === 'string' && data.phone.trim().length > VIEWING_FIELD_LIMITS.phone) errors.push(issue('too_long', 'phone', `phone must be at most ${VIEWING_FIELD_LIMITS.phone} characters`));
+  return {
+    errors,
+    value: { start, name: String(data.name || '').trim(), email: String(data.email || '').trim(), phone: data.phone || null }
+  };
+}
+
+// Viewing document ID: one per slot, so the repository's atomic create() rules out double bookings.
+function viewingIdFor(start) {
+  return `slot-${start.toISOString().replace(/[-:]/g, '').replace(/\d{2}\.\d{3}Z$/, 'Z')}`;
+}
+
+function formatICalDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, 'Z');
+}
+
+function escapeICalText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Folds content lines longer than 75 octets, as RFC 5545 requires.
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Renders events as an iCalendar (RFC 5545) document. Each event needs
+ * `uid`, `start`, `end` and `summary`; `description` and `location` are optional.
+ */
+function toICalendar(events, { name, now = new Date() } = {}) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//The Grand Residences//Viewings//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+  if (name) lines.push(`X-WR-CALNAME:${escapeICalText(name)}`);
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatICalDate(now)}`,
+      `DTSTART:${formatICalDate(event.start)}`,
+      `DTEND:${formatICalDate(event.end)}`,
+      `SUMMARY:${escapeICalText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeICalText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeICalText(event.location)}`);
+    lines.push('STATUS:CONFIRMED', 'END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  DEFAULT_VIEWING_SCHEDULE,
+  VIEWING_FIELD_LIMITS,
+  VIEWING_RATE_LIMITS,
+  findSlot,
+  listSlots,
+  loadViewingSchedule,
+  toICalendar,
+  validateViewingRequest,
+  viewingIdFor
+};
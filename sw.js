@@ -0,0 +1,159 @@
+/**
+ * @file Service worker that keeps the page usable offline. The app shell is
+ * cached on install; scripts, styles and fonts (including the Firebase SDK
+ * and CDN assets) are served from the cache and refreshed in the background;
+ * images are kept once loaded; public API responses are fetched from the
+ * network first and the latest ones kept. Listing data comes from Firestore,
+ * which a service worker cannot cache, so script.js stores the last results
+ * itself and asks this worker to keep the images of recently viewed flats.
+ */
+// v2: drops shells that older workers may have overwritten with non-HTML navigations
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `assets-${CACHE_VERSION}`;
+const IMAGE_CACHE = `images-${CACHE_VERSION}`;
+const API_CACHE = `api-${CACHE_VERSION}`;
+// Oldest images are dropped above this many entries
+const IMAGE_CACHE_LIMIT = 300;
+// Oldest API responses are dropped above this many entries; every filter combination is one
+const API_CACHE_LIMIT = 100;
+// API responses that are wrong once they are old (viewing slots, calendar exports, admin data) always go to the network
+const UNCACHED_API_PATHS = [/\/viewings(\/|$)/, /^\/api\/admin\//];
+
+const APP_SHELL = [
+    '/',
+    '/style.css',
+    '/script.js',
+    '/firebase.js',
+    '/calculator.js',
+    '/dialogs.js',
+    '/manifest.webmanifest',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png'
+];
+
+// Page URLs that script.js routes itself, all served by apartment.html: the listing, /flats/:id, /lists/:shareId and /history
+const APP_ROUTES = [/^\/$/, /^\/apartment\.html$/, /^\/flats\/[^/]+\/?$/, /^\/lists\/[^/]+\/?$/, /^\/history\/?$/];
+
+// Firestore and Firebase Auth keep their own connections; the worker stays out of their way.
+const PASSTHROUGH_HOSTS = ['firestore.googleapis.com', 'identitytoolkit.googleapis.com', 'securetoken.googleapis.com'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(APP_SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    const current = [SHELL_CACHE, ASSET_CACHE, IMAGE_CACHE, API_CACHE];
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names.filter(name => !current.includes(name)).map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+// Responses worth keeping: successful ones, and opaque ones from CDNs loaded without CORS
+function isCacheable(response) {
+    return response && (response.ok || response.type === 'opaque');
+}
+
+function isAppRoute(url) {
+    return url.origin === self.location.origin && APP_ROUTES.some(route => route.test(url.pathname));
+}
+
+// Every app route is served by apartment.html, so the cached shell answers them all offline. Only HTML
+// responses refresh it; a 200 from the API service or a file opened in the tab must not replace the shell.
+async function handleNavigation(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok && (response.headers.get('content-type') || '').includes('text/html')) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put('/', response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await caches.match('/')) || Response.error();
+    }
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const refresh = fetch(request).then(response => {
+        if (isCacheable(response)) cache.put(request, response.clone());
+        return response;
+    });
+    if (cached) {
+        refresh.catch(() => {});
+        return cached;
+    }
+    return refresh;
+}
+
+async function trimCache(cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (isCacheable(response)) {
+        await cache.put(request, response.clone());
+        trimCache(cacheName, IMAGE_CACHE_LIMIT);
+    }
+    return response;
+}
+
+async function networkFirst(request, cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            trimCache(cacheName, maxEntries);
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (PASSTHROUGH_HOSTS.includes(url.hostname)) return;
+    if (request.mode === 'navigate') {
+        // Other navigations (calendar exports, uploaded files, ...) go straight to the network
+        if (isAppRoute(url)) event.respondWith(handleNavigation(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request, IMAGE_CACHE));
+    } else if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) {
+        // Public API responses (rates, query schema, reviews...) are reused offline; signed-in requests never are
+        if (!request.headers.has('Authorization') && !UNCACHED_API_PATHS.some(path => path.test(url.pathname))) {
+            event.respondWith(networkFirst(request, API_CACHE, API_CACHE_LIMIT));
+        }
+    } else if (url.origin === self.location.origin && APP_SHELL.includes(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    } else {
+        event.respondWith(staleWhileRevalidate(request, ASSET_CACHE));
+    }
+});
+
+// script.js sends { type: 'cacheImages', urls } so recently viewed flats keep their photos offline.
+self.addEventListener('message', event => {
+    const { data } = event;
+    if (!data || data.type !== 'cacheImages' || !Array.isArray(data.urls)) return;
+    event.waitUntil(caches.open(IMAGE_CACHE).then(cache => Promise.all(data.urls.map(async url => {
+        if (await cache.match(url)) return;
+        try {
+            const response = await fetch(url, { mode: 'no-cors' });
+            if (isCacheable(response)) await cache.put(url, response);
+        } catch (error) {
+            // Still offline or the image is gone; it is fetched again the next time it is shown
+        }
+    }))).then(() => trimCache(IMAGE_CACHE, IMAGE_CACHE_LIMIT)));
+});